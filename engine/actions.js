@@ -13,10 +13,29 @@ export const Actions = {
     tokens, // { red:1, blue:1, green:1 }
   }),
 
+  discardTokens: (tokens) => ({
+    type: "DISCARD_TOKENS",
+    tokens, // { red:1, yellow:1 } returned to the bank
+  }),
+
+  // ----- nobles -----
+  chooseNoble: (nobleId) => ({
+    type: "CHOOSE_NOBLE",
+    nobleId, // one of state.awaiting.nobleIds
+  }),
+
+  // ----- cities (Cities module) -----
+  chooseCity: (cityId) => ({
+    type: "CHOOSE_CITY",
+    cityId, // one of state.awaiting.cityIds
+  }),
+
   // ----- cards -----
-  buyCard: (card) => ({
+  // payment is optional: { red:1, yellow:2 }; without it colored tokens go first, gold covers the rest
+  buyCard: (card, payment) => ({
     type: "BUY_CARD",
-    card
+    card,
+    ...(payment ? { payment } : {}),
   }),
 
   reserveCard: (card) => ({
@@ -24,5 +43,37 @@ export const Actions = {
     card
   }),
 
+  // blind reserve: top card of a face-down deck
+  reserveFromDeck: (deck) => ({
+    type: "RESERVE_CARD",
+    deck, // "tier1" | "tier2" | "tier3"
+  }),
+
+  // ----- Orient card abilities (resolve state.awaiting after a buy) -----
+  chooseBonus: (color) => ({
+    type: "CHOOSE_BONUS",
+    color, // one of state.awaiting.colors: the bonus the joker card copies
+  }),
+
+  takeCard: (card) => ({
+    type: "TAKE_CARD",
+    card, // { meta, tier, index } from the state.awaiting.tier market row
+  }),
+
+  // ----- Trading Posts: the "tokenOnBuy" power (resolves state.awaiting) -----
+  takeFreeToken: (color) => ({
+    type: "TAKE_FREE_TOKEN",
+    color, // any color but gold, from the bank
+  }),
+
+  // ----- time controls (server-issued when a clock runs out) -----
+  passTurn: () => ({
+    type: "PASS_TURN"
+  }),
+
+  forfeit: () => ({
+    type: "FORFEIT" // active player leaves the game; tokens go back to the bank
+  }),
+
 
 };
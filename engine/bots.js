@@ -0,0 +1,264 @@
+// engine/bots.js
+// -----------------------------------------------------------------------------
+// Bot players (safe for server and browser)
+// -----------------------------------------------------------------------------
+// Run by server.js for online rooms and by public/net/local.js offline.
+// A bot occupies a seat like a human and plays through the same reducer:
+// every move it picks is an action that applyAction() accepted.
+//
+// Levels:
+//   greedy    - plays the move whose resulting position scores best right now
+//   lookahead - for its best few moves, plays the opponents forward (greedily)
+//               to its next turn and scores the best follow-up it would have
+//
+// Bots are handed the authoritative state, but search from their own seat's
+// view (viewFor) with every unseen card dealt at random: market refills and
+// opponents' blind reserves in the search are guesses, not peeks. The search
+// runs on the caller's event loop, so the lookahead stops trying new moves
+// once SEARCH_BUDGET_MS is spent.
+// -----------------------------------------------------------------------------
+
+import { applyAction } from "./reducer.js";
+import { legalActions } from "./moves.js";
+import { bonusByColor } from "./rules.js";
+import { viewFor } from "./view.js";
+
+export const BOT_LEVELS = {
+  greedy: "Greedy",
+  lookahead: "Lookahead",
+};
+
+// Pause before each bot move so games don't fly by.
+export const BOT_THINK_MS = 900;
+
+const COLORS = ["white", "blue", "green", "red", "black"];
+const WILD = "yellow";
+const TIERS = ["tier1", "tier2", "tier3"];
+
+const LOOKAHEAD_WIDTH = 8; // own moves explored by the lookahead bot
+const MAX_PLY_STEPS = 12;  // safety cap while playing opponents forward
+const SEARCH_BUDGET_MS = 100; // lookahead think time per move (blocks the caller)
+
+/**
+ * chooseBotAction(state, level)
+ * -----------------------------
+ * Returns the action the bot in the active seat wants to play, or null when
+ * it has no legal move.
+ */
+export function chooseBotAction(state, level) {
+  if (!state || state.gameOver) return null;
+
+  const seat = state.activePlayerIndex;
+  const search = dealUnseen(state, seat);
+  const deadline = Date.now() + SEARCH_BUDGET_MS;
+  const moves = candidateMoves(search);
+  if (!moves.length) return null;
+
+  // Sub-steps (discard / noble choice) are always decided greedily.
+  if (level !== "lookahead" || search.awaiting) {
+    return bestBy(moves, (m) => evaluate(m.next, seat)).action;
+  }
+
+  const shortlist = moves
+    .map((m) => ({ ...m, score: evaluate(m.next, seat) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, LOOKAHEAD_WIDTH);
+
+  // Most promising moves first, for as long as the budget lasts
+  const explored = [];
+  for (const m of shortlist) {
+    if (explored.length && Date.now() >= deadline) break;
+    explored.push({ ...m, score: lookaheadScore(m.next, seat) });
+  }
+  return bestBy(explored, (m) => m.score).action;
+}
+
+// -----------------------------------------------------------------------------
+// Move generation
+// -----------------------------------------------------------------------------
+
+// Every legal action in this position, paired with its result.
+function candidateMoves(state) {
+  return legalActions(state).map((action) => ({ action, next: applyAction(state, action) }));
+}
+
+// -----------------------------------------------------------------------------
+// Search
+// -----------------------------------------------------------------------------
+
+// Plays everyone else forward to the bot's next decision, then scores the
+// bot's best reply against the strongest opponent position.
+function lookaheadScore(state, seat) {
+  let cur = state;
+
+  for (let step = 0; step < MAX_PLY_STEPS; step++) {
+    if (cur.gameOver) return evaluate(cur, seat);
+
+    const isMine = cur.activePlayerIndex === seat;
+    if (isMine && !cur.awaiting && step > 0) break;
+
+    const moves = candidateMoves(cur);
+    if (!moves.length) break;
+
+    const actor = cur.activePlayerIndex;
+    cur = bestBy(moves, (m) => evaluate(m.next, actor)).next;
+  }
+
+  const replies = cur.gameOver || cur.activePlayerIndex !== seat ? [] : candidateMoves(cur);
+  const mine = replies.length
+    ? Math.max(...replies.map((m) => evaluate(m.next, seat)))
+    : evaluate(cur, seat);
+
+  let rival = 0;
+  cur.players.forEach((_, i) => {
+    if (i !== seat) rival = Math.max(rival, evaluate(cur, i));
+  });
+
+  return mine - 0.3 * rival;
+}
+
+function bestBy(items, score) {
+  let best = null;
+  let bestScore = -Infinity;
+  for (const item of items) {
+    // small jitter so bots don't all play the same game
+    const s = score(item) + Math.random() * 0.01;
+    if (s > bestScore) { best = item; bestScore = s; }
+  }
+  return best;
+}
+
+// The seat's view of the game, made playable again: per deck, the cards the
+// seat can't see (the deck itself and, for a tier, the opponents' blind
+// reserves from it) are shuffled together and dealt back into those places.
+function dealUnseen(state, seat) {
+  const search = structuredClone(viewFor(state, seat));
+
+  for (const [key, deck] of Object.entries(state.decks ?? {})) {
+    const unseen = [...deck];
+    const slots = [];
+    state.players.forEach((player, p) => {
+      (player.reserved ?? []).forEach((card, i) => {
+        if (search.players[p].reserved[i]?.hidden && `tier${card.tier}` === key) {
+          unseen.push(card);
+          slots.push([p, i]);
+        }
+      });
+    });
+
+    shuffle(unseen);
+    for (const [p, i] of slots) {
+      search.players[p].reserved[i] = { ...structuredClone(unseen.pop()), blind: true };
+    }
+    search.decks[key] = structuredClone(unseen);
+  }
+  return search;
+}
+
+function shuffle(list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+// -----------------------------------------------------------------------------
+// Heuristic
+// -----------------------------------------------------------------------------
+
+/**
+ * evaluate(state, seat)
+ * ---------------------
+ * Position score for one player: prestige first, then permanent bonuses,
+ * progress toward nobles (or cities) and trading posts, how close the best visible
+ * card is, and tokens.
+ */
+function evaluate(state, seat) {
+  const player = state.players[seat];
+  if (state.gameOver) return state.winner === seat ? 1e6 : -1e6;
+
+  const bonus = bonusByColor(player.cards);
+  const tokens = player.tokens ?? {};
+
+  let score = prestige(player) * 100;
+  score += (player.cards?.length ?? 0) * 12;
+
+  // noble progress (each noble is 3 points)
+  for (const noble of state.market.nobles) {
+    let need = 0;
+    let have = 0;
+    for (const color of COLORS) {
+      need += noble.req?.[color] ?? 0;
+      have += Math.min(bonus[color], noble.req?.[color] ?? 0);
+    }
+    if (need) score += 25 * (have / need) ** 2;
+  }
+
+  // city progress (Cities module): the bonuses, since prestige already counts
+  for (const city of state.market.cities ?? []) {
+    let need = 0;
+    let have = 0;
+    for (const color of COLORS) {
+      need += city.req?.[color] ?? 0;
+      have += Math.min(bonus[color], city.req?.[color] ?? 0);
+    }
+    if (city.req?.any) {
+      const spare = COLORS.filter((color) => city.req[color] == null).map((color) => bonus[color]);
+      need += city.req.any;
+      have += Math.min(city.req.any, Math.max(0, ...spare));
+    }
+    if (need) score += 40 * (have / need) ** 2;
+  }
+
+  // trading posts (Trading Posts module): a placed coat is a lasting power
+  for (const post of state.market.tradingPosts ?? []) {
+    if ((player.coats ?? []).some((c) => c.id === post.id)) {
+      score += 30;
+      continue;
+    }
+    let need = post.req?.nobles ?? 0;
+    let have = Math.min(player.nobles?.length ?? 0, need);
+    for (const color of COLORS) {
+      need += post.req?.[color] ?? 0;
+      have += Math.min(bonus[color], post.req?.[color] ?? 0);
+    }
+    if (need) score += 20 * (have / need) ** 2;
+  }
+
+  // best card within reach: worth more the fewer tokens it's still missing
+  let reach = 0;
+  const visible = [
+    ...TIERS.flatMap((t) => state.market.cards[t]),
+    ...(player.reserved ?? []),
+  ];
+  for (const card of visible) {
+    if (!card) continue;
+    let missing = 0;
+    for (const color of COLORS) {
+      missing += Math.max(0, (card.cost?.[color] ?? 0) - bonus[color] - (tokens[color] ?? 0));
+    }
+    missing = Math.max(0, missing - (tokens[WILD] ?? 0));
+    const worth = (card.points ?? 0) * 20 + 15;
+    reach = Math.max(reach, worth / (1 + missing));
+  }
+  score += reach;
+
+  for (const color of COLORS) score += (tokens[color] ?? 0) * 3;
+  score += (tokens[WILD] ?? 0) * 4;
+
+  // a discard still owed is tokens about to be lost
+  if (state.awaiting?.type === "DISCARD_TOKENS" && state.activePlayerIndex === seat) {
+    score -= state.awaiting.count * 3;
+  }
+
+  return score;
+}
+
+function prestige(player) {
+  const fromCards = (player.cards ?? []).reduce((s, c) => s + (c.points ?? 0), 0);
+  const fromNobles = (player.nobles ?? []).reduce((s, n) => s + (n.points ?? 0), 0);
+  const fromCoats = (player.coats ?? []).reduce((s, c) => s + (c.points ?? 0), 0);
+  return fromCards + fromNobles + fromCoats;
+}
+
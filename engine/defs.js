@@ -2,6 +2,9 @@
 //
 // - CARDS: immutable card definitions (base game)
 // - NOBLES: immutable noble definitions (base game)
+// - CITIES: immutable city definitions (Cities of Splendor module)
+// - ORIENT_CARDS: special development cards (Orient module)
+// - TRADING_POSTS: immutable trading post definitions (Trading Posts module)
 //
 // Your runtime game state should only reference these by id,
 // e.g. state.market.cards.tier1 = ["c_t1_001", ...]
@@ -31,8 +34,18 @@
  *   tier: 1 | 2 | 3,
  *   bonus: "white"|"blue"|"green"|"red"|"black", // permanent discount color
  *   points: number, // prestige points printed on card (0..5)
- *   cost: { white?:number, blue?:number, green?:number, red?:number, black?:number }
+ *   cost: { white?:number, blue?:number, green?:number, red?:number, black?:number },
+ *   ability?: "double" | "joker" | "reserve" | "take" | "noble", // Orient cards only
+ *   takeTier?: 1 | 2, // "take": the market row the free card comes from
  * }
+ *
+ * Orient abilities, resolved right after the card is bought (engine/reducer.js):
+ * - double:  the bonus counts twice
+ * - joker:   no printed bonus (null); it copies a color the player already
+ *            has a bonus in, chosen when bought
+ * - reserve: the player then reserves a card (market or deck), without gold
+ * - take:    the player then takes a card from the takeTier row for free
+ * - noble:   the player then takes a noble from the board, requirements or not
  */
 
 /**
@@ -44,6 +57,28 @@
  * }
  */
 
+/**
+ * CityDef schema:
+ * {
+ *   id: string,
+ *   points: number, // prestige needed to qualify
+ *   req: { white?:number, blue?:number, green?:number, red?:number, black?:number,
+ *          any?:number } // any: that many bonuses of one color not listed in req
+ * }
+ */
+
+/**
+ * TradingPostDef schema:
+ * {
+ *   id: string,
+ *   req: { white?:number, blue?:number, green?:number, red?:number, black?:number,
+ *          nobles?:number }, // bonuses, plus nobles the player has claimed
+ *   power: "extraToken"    // taking 2 tokens of one color, also take 1 of another
+ *        | "tokenOnBuy"    // after buying a card, take 1 token of any color
+ *        | "pointsPerCoat" // 1 prestige for each coat of arms the player has placed
+ * }
+ */
+
 export const COLORS = /** @type {const} */ ({
   white: "white",
   blue: "blue",
@@ -75,6 +110,10 @@ export const NUMBER_NOBLES_BY_PLAYERS = /** @type {const} */ ({
   4: 5,
 });
 
+// Official rule: a player may not end their turn holding more than 10
+// tokens (gold included). Extra tokens are returned during a discard step.
+export const TOKEN_HAND_LIMIT = 10;
+
 /* ------------------------------------------------------------------
    NOBLES (base game, 10 tiles)
    ------------------------------------------------------------------
@@ -99,6 +138,44 @@ export const NOBLES = [
   { id: "n_10", points: 3, req: { black: 3, white: 3, blue: 3 } },
 ];
 
+/* ------------------------------------------------------------------
+   CITIES (Cities of Splendor module, 9 tiles)
+   ------------------------------------------------------------------
+   Used instead of nobles when the "cities" game option is on: 3 are
+   revealed whatever the player count, and the first player to meet a
+   city's prestige + bonus requirement at the end of a turn triggers the
+   final round (see engine/reducer.js).
+*/
+
+export const CITIES = [
+  { id: "city_01", points: 11, req: { white: 4, blue: 4 } },
+  { id: "city_02", points: 11, req: { green: 4, red: 4 } },
+  { id: "city_03", points: 11, req: { black: 4, white: 4 } },
+  { id: "city_04", points: 12, req: { blue: 3, green: 3, black: 3 } },
+  { id: "city_05", points: 12, req: { red: 3, white: 3, green: 3 } },
+  { id: "city_06", points: 13, req: { any: 5 } },
+  { id: "city_07", points: 13, req: { blue: 2, red: 2, any: 4 } },
+  { id: "city_08", points: 14, req: { green: 2, black: 2, any: 3 } },
+  { id: "city_09", points: 15, req: { white: 1, blue: 1, green: 1, red: 1, black: 1 } },
+];
+
+export const NUMBER_CITIES = 3;
+
+/* ------------------------------------------------------------------
+   TRADING_POSTS (Trading Posts module)
+   ------------------------------------------------------------------
+   Laid out on the board when the "tradingPosts" game option is on. At
+   the end of a turn a player places a coat of arms on every post whose
+   requirement they meet; the post's power is theirs for the rest of the
+   game (see engine/reducer.js). Any number of players can share a post.
+*/
+
+export const TRADING_POSTS = [
+  { id: "tp_01", req: { red: 3, white: 1 }, power: "extraToken" },
+  { id: "tp_02", req: { white: 2, black: 2 }, power: "tokenOnBuy" },
+  { id: "tp_03", req: { blue: 3, nobles: 1 }, power: "pointsPerCoat" },
+];
+
 /*
 Card schema:
 {
@@ -223,10 +300,45 @@ export const CARDS = [
   { id: "t3_20", tier: 3, bonus: "green", points: 5, cost: { green: 3, blue: 7 } }
 ];
 
+/* ------------------------------------------------------------------
+   ORIENT_CARDS (Orient module, 18 cards)
+   ------------------------------------------------------------------
+   Shuffled into the tier decks alongside CARDS when the "orient" game
+   option is on.
+*/
+
+export const ORIENT_CARDS = [
+  { id: "t1_o01", tier: 1, bonus: null,    points: 0, cost: { white: 2, blue: 2 }, ability: "joker" },
+  { id: "t1_o02", tier: 1, bonus: null,    points: 0, cost: { red: 2, black: 2 }, ability: "joker" },
+  { id: "t1_o03", tier: 1, bonus: "green", points: 0, cost: { blue: 2, red: 1, white: 1 }, ability: "reserve" },
+  { id: "t1_o04", tier: 1, bonus: "black", points: 0, cost: { white: 2, green: 2 }, ability: "reserve" },
+  { id: "t1_o05", tier: 1, bonus: "white", points: 0, cost: { blue: 3, black: 3 }, ability: "double" },
+  { id: "t1_o06", tier: 1, bonus: "red",   points: 0, cost: { green: 3, white: 3 }, ability: "double" },
+
+  { id: "t2_o01", tier: 2, bonus: null,    points: 1, cost: { green: 4, white: 3 }, ability: "joker" },
+  { id: "t2_o02", tier: 2, bonus: null,    points: 1, cost: { red: 4, blue: 3 }, ability: "joker" },
+  { id: "t2_o03", tier: 2, bonus: "blue",  points: 1, cost: { blue: 3, black: 4 }, ability: "take", takeTier: 1 },
+  { id: "t2_o04", tier: 2, bonus: "red",   points: 1, cost: { red: 3, white: 4 }, ability: "take", takeTier: 1 },
+  { id: "t2_o05", tier: 2, bonus: "green", points: 0, cost: { green: 3, red: 2, black: 3 }, ability: "noble" },
+  { id: "t2_o06", tier: 2, bonus: "white", points: 0, cost: { white: 3, blue: 3, black: 2 }, ability: "noble" },
+
+  { id: "t3_o01", tier: 3, bonus: "black", points: 3, cost: { black: 5, green: 5, red: 3 }, ability: "double" },
+  { id: "t3_o02", tier: 3, bonus: "blue",  points: 3, cost: { blue: 5, white: 5, green: 3 }, ability: "double" },
+  { id: "t3_o03", tier: 3, bonus: "red",   points: 3, cost: { red: 6, green: 3, white: 3 }, ability: "take", takeTier: 2 },
+  { id: "t3_o04", tier: 3, bonus: "white", points: 3, cost: { white: 6, red: 3, blue: 3 }, ability: "take", takeTier: 2 },
+  { id: "t3_o05", tier: 3, bonus: null,    points: 3, cost: { green: 6, blue: 3, black: 3 }, ability: "joker" },
+  { id: "t3_o06", tier: 3, bonus: null,    points: 3, cost: { black: 6, white: 3, red: 3 }, ability: "joker" },
+];
+
 export const DEFS = {
   CARDS,
+  ORIENT_CARDS,
   NOBLES,
   TOKEN_POOL_BY_PLAYERS,
   NUMBER_NOBLES_BY_PLAYERS,
+  CITIES,
+  NUMBER_CITIES,
+  TRADING_POSTS,
+  TOKEN_HAND_LIMIT,
   COLORS
 };
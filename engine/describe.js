@@ -0,0 +1,114 @@
+// engine/describe.js
+// Compact, human-readable descriptions of accepted actions (safe for server)
+// Used for the room history / action log, e.g. "P2 bought t2_14 paying 3 red + 1 gold"
+
+import { hasLegalAction } from "./moves.js";
+
+const TOKEN_ORDER = ["white", "blue", "green", "red", "black", "yellow"];
+
+/**
+ * describeAction(prev, next, action)
+ * ---------------------------------
+ * prev/next are the states before and after applyAction accepted the action.
+ * Describes what the active player of prev did, using only public information
+ * (blind reserves name the deck, never the card).
+ */
+export function describeAction(prev, next, action) {
+  const actor = prev.activePlayerIndex;
+  const who = `P${actor + 1}`;
+  const before = prev.players[actor];
+  const after = next.players[actor];
+
+  let text;
+  switch (action.type) {
+    case "TAKE_TOKENS":
+      text = `${who} took ${formatTokens(action.tokens)}`;
+      break;
+
+    case "DISCARD_TOKENS":
+      text = `${who} returned ${formatTokens(action.tokens)}`;
+      break;
+
+    case "RESERVE_CARD": {
+      const gold = (after.tokens.yellow ?? 0) > (before.tokens.yellow ?? 0) ? " (+1 gold)" : "";
+      text = action.deck != null
+        ? `${who} reserved a tier ${action.deck.slice(-1)} card from the deck${gold}`
+        : `${who} reserved ${action.card?.meta?.id ?? action.card?.id}${gold}`;
+      break;
+    }
+
+    case "BUY_CARD": {
+      const card = after.cards[after.cards.length - 1];
+      const paid = tokensSpent(before.tokens, after.tokens);
+      text = `${who} bought ${card?.id}` + (Object.keys(paid).length ? ` paying ${formatTokens(paid)}` : " for free");
+      break;
+    }
+
+    case "CHOOSE_BONUS":
+      text = `${who} set the joker's bonus to ${action.color}`;
+      break;
+
+    case "TAKE_CARD":
+      text = `${who} took ${action.card?.meta?.id ?? action.card?.id} for free`;
+      break;
+
+    case "TAKE_FREE_TOKEN":
+      text = `${who} took a free ${action.color} token`;
+      break;
+
+    case "CHOOSE_NOBLE":
+      text = `${who} chose noble ${action.nobleId}`;
+      break;
+
+    case "CHOOSE_CITY":
+      text = `${who} chose city ${action.cityId}, starting the final round`;
+      break;
+
+    // Only ever issued by the server: its turn clock, or no legal move
+    case "PASS_TURN":
+      text = hasLegalAction(prev) ? `${who} ran out of time and passed` : `${who} had no legal move and passed`;
+      break;
+
+    case "FORFEIT":
+      text = hasLegalAction(prev) ? `${who} ran out of time and forfeited` : `${who} was stuck with no legal move and forfeited`;
+      break;
+
+    default:
+      text = `${who} ${action.type}`;
+  }
+
+  // Auto-claimed noble at end of turn
+  if (action.type !== "CHOOSE_NOBLE" && after.nobles.length > before.nobles.length) {
+    text += `, visited by ${after.nobles[after.nobles.length - 1].id}`;
+  }
+
+  // Cities module: qualifying for a city starts the final round
+  if (action.type !== "CHOOSE_CITY" && (after.cities?.length ?? 0) > (before.cities?.length ?? 0)) {
+    text += `, qualified for ${after.cities[after.cities.length - 1].id}`;
+  }
+
+  // Trading Posts module: coats of arms placed at the end of the turn
+  for (const coat of (after.coats ?? []).slice(before.coats?.length ?? 0)) {
+    text += `, placed a coat of arms on ${coat.id}`;
+  }
+
+  return text;
+}
+
+// "3 red + 1 gold"
+function formatTokens(tokens) {
+  return TOKEN_ORDER
+    .filter(c => (tokens?.[c] ?? 0) > 0)
+    .map(c => `${tokens[c]} ${c === "yellow" ? "gold" : c}`)
+    .join(" + ");
+}
+
+// Per-color tokens that left the player's hand between before and after
+function tokensSpent(before, after) {
+  const out = {};
+  for (const c of TOKEN_ORDER) {
+    const d = (before?.[c] ?? 0) - (after?.[c] ?? 0);
+    if (d > 0) out[c] = d;
+  }
+  return out;
+}
@@ -0,0 +1,161 @@
+// engine/moves.js
+// Legal move generation: every action rulesCheck accepts for the active player.
+// Bots, hints, "no legal move" detection, UI click gating and tests all
+// enumerate through here.
+
+import { Actions } from "./actions.js";
+import { rulesCheck } from "./rules.js";
+
+const COLORS = ["white", "blue", "green", "red", "black"];
+const WILD = "yellow";
+const TIERS = ["tier1", "tier2", "tier3"];
+
+/**
+ * legalActions(state)
+ * -------------------
+ * Returns every legal action for state.activePlayerIndex:
+ * - while a sub-step is pending: each discard that gets back to the hand
+ *   limit, each offered noble, the choices of an Orient card ability
+ *   (joker colors, free cards to take, cards to reserve), or a trading
+ *   post's free token
+ * - otherwise: all 3-color and 2-same token takes (plus 1 of another color
+ *   with the "extraToken" trading post), reserves (market cards
+ *   and deck tops) and affordable buys (market and reserved)
+ * Card actions use the same { meta, tier, index } shape the UI sends.
+ * Empty once the game is over, and also when a player is stuck (bank short
+ * of colors, 3 cards reserved, nothing affordable) - see hasLegalAction.
+ */
+export function legalActions(state) {
+  if (!state || state.gameOver) return [];
+  return proposals(state).filter((action) => rulesCheck({ state, action }));
+}
+
+/** True when the active player has at least one legal action. */
+export function hasLegalAction(state) {
+  if (!state || state.gameOver) return false;
+  return proposals(state).some((action) => rulesCheck({ state, action }));
+}
+
+/**
+ * canExtend(state, partial)
+ * -------------------------
+ * Is a partial selection still on the way to some legal action?
+ * `partial` is an action that may be missing pieces:
+ * - TAKE_TOKENS / DISCARD_TOKENS: the tokens picked so far
+ * - RESERVE_CARD / BUY_CARD: a card (or deck), or none yet
+ * - CHOOSE_NOBLE: a nobleId, or none yet
+ * - CHOOSE_CITY: a cityId, or none yet
+ * - CHOOSE_BONUS / TAKE_FREE_TOKEN: a color, or none yet
+ * - TAKE_CARD: a card, or none yet
+ * A complete, legal action is trivially extendable.
+ */
+export function canExtend(state, partial) {
+  if (!state || state.gameOver || !partial?.type) return false;
+  return proposals(state).some(
+    (action) => action.type === partial.type && contains(action, partial) && rulesCheck({ state, action })
+  );
+}
+
+// Does `action` include everything chosen so far in `partial`?
+function contains(action, partial) {
+  if (partial.tokens) {
+    for (const [color, n] of Object.entries(partial.tokens)) {
+      if ((action.tokens?.[color] ?? 0) < n) return false;
+    }
+  }
+  if (partial.deck != null && action.deck !== partial.deck) return false;
+  if (partial.card) {
+    const id = partial.card.meta?.id ?? partial.card.id;
+    if ((action.card?.meta?.id ?? null) !== id) return false;
+  }
+  if (partial.nobleId != null && action.nobleId !== partial.nobleId) return false;
+  if (partial.cityId != null && action.cityId !== partial.cityId) return false;
+  if (partial.color != null && action.color !== partial.color) return false;
+  return true;
+}
+
+// Superset of the legal actions; rulesCheck does the filtering so the two
+// can never disagree.
+function proposals(state) {
+  const player = state.players?.[state.activePlayerIndex];
+  if (!player) return [];
+
+  if (state.awaiting?.type === "DISCARD_TOKENS") {
+    return tokenMultisets(player.tokens, state.awaiting.count).map(Actions.discardTokens);
+  }
+  if (state.awaiting?.type === "CHOOSE_NOBLE") {
+    return (state.awaiting.nobleIds ?? []).map(Actions.chooseNoble);
+  }
+  if (state.awaiting?.type === "CHOOSE_CITY") {
+    return (state.awaiting.cityIds ?? []).map(Actions.chooseCity);
+  }
+  if (state.awaiting?.type === "CHOOSE_BONUS") {
+    return (state.awaiting.colors ?? []).map(Actions.chooseBonus);
+  }
+  if (state.awaiting?.type === "TAKE_CARD") {
+    return marketCards(state, `tier${state.awaiting.tier}`).map(Actions.takeCard);
+  }
+  if (state.awaiting?.type === "TAKE_FREE_TOKEN") {
+    return COLORS.map(Actions.takeFreeToken);
+  }
+
+  const out = [];
+
+  // tokens: 3 different, or 2 of the same color (+ 1 other: "extraToken")
+  for (let a = 0; a < COLORS.length; a++) {
+    for (let b = a + 1; b < COLORS.length; b++) {
+      for (let c = b + 1; c < COLORS.length; c++) {
+        out.push(Actions.takeTokens({ [COLORS[a]]: 1, [COLORS[b]]: 1, [COLORS[c]]: 1 }));
+      }
+    }
+    out.push(Actions.takeTokens({ [COLORS[a]]: 2 }));
+    for (const other of COLORS) {
+      if (other !== COLORS[a]) out.push(Actions.takeTokens({ [COLORS[a]]: 2, [other]: 1 }));
+    }
+  }
+
+  // market cards: buy or reserve; deck tops: blind reserve
+  for (const tier of TIERS) {
+    for (const ref of marketCards(state, tier)) {
+      out.push(Actions.buyCard(ref));
+      out.push(Actions.reserveCard(ref));
+    }
+    out.push(Actions.reserveFromDeck(tier));
+  }
+
+  // own reserved cards: buy
+  (player.reserved ?? []).forEach((card, index) => {
+    if (card?.id) out.push(Actions.buyCard({ meta: card, tier: card.tier, index }));
+  });
+
+  return out;
+}
+
+// Card payloads for the cards in one market row
+function marketCards(state, tier) {
+  const out = [];
+  (state.market?.cards?.[tier] ?? []).forEach((card, index) => {
+    if (card) out.push({ meta: card, tier: card.tier, index });
+  });
+  return out;
+}
+
+// All ways to pick `count` tokens out of `held` (a color may repeat).
+function tokenMultisets(held, count) {
+  const colors = [...COLORS, WILD].filter((c) => (held?.[c] ?? 0) > 0);
+  const out = [];
+
+  function walk(i, left, pick) {
+    if (left === 0) { out.push({ ...pick }); return; }
+    if (i >= colors.length) return;
+    const color = colors[i];
+    for (let n = Math.min(left, held[color]); n >= 0; n--) {
+      const next = { ...pick };
+      if (n) next[color] = n;
+      walk(i + 1, left - n, next);
+    }
+  }
+
+  walk(0, count, {});
+  return out;
+}
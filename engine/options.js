@@ -0,0 +1,71 @@
+// engine/options.js
+// Game options the host picks before a game starts (safe for server and browser)
+//
+//   targetPoints - prestige that triggers the final round (official: 15)
+//   firstPlayer  - "random" or a seat index (resolved once the game starts)
+//   reserveLimit - most cards a player may hold in reserve (official: 3)
+//   handLimit    - most tokens a player may end a turn with (official: 10)
+//   cities       - play the Cities of Splendor module: city tiles replace the
+//                  nobles, and qualifying for a city (not targetPoints)
+//                  triggers the final round
+//   orient       - shuffle the Orient module's special cards (engine/defs.js,
+//                  ORIENT_CARDS) into the decks
+//   tradingPosts - play the Trading Posts module: coats of arms on the posts
+//                  (engine/defs.js, TRADING_POSTS) unlock lasting powers; not
+//                  with cities, which replace the nobles one post asks for
+//   visibility   - "public" rooms are listed in the lobby, "private" ones
+//                  can only be joined with the room link
+//
+// Stored as state.options by initialState; rules, reducer and validate read
+// it through gameOptions(state) so older states fall back to the defaults.
+
+import { TOKEN_HAND_LIMIT } from "./defs.js";
+
+export const DEFAULT_OPTIONS = Object.freeze({
+  targetPoints: 15,
+  firstPlayer: 0,
+  reserveLimit: 3,
+  handLimit: TOKEN_HAND_LIMIT,
+  cities: false,
+  orient: false,
+  tradingPosts: false,
+  visibility: "public",
+});
+
+// Allowed range per numeric option
+export const OPTION_LIMITS = Object.freeze({
+  targetPoints: [5, 30],
+  reserveLimit: [1, 5],
+  handLimit: [6, 15],
+});
+
+export const VISIBILITIES = {
+  public: "Public",
+  private: "Private (link only)",
+};
+
+/** Validated options from a client message; anything missing or bad gets the default. */
+export function normalizeOptions(raw) {
+  const options = { ...DEFAULT_OPTIONS };
+  if (!raw || typeof raw !== "object") return options;
+
+  for (const [key, [min, max]] of Object.entries(OPTION_LIMITS)) {
+    const n = Math.round(Number(raw[key]));
+    if (raw[key] != null && Number.isFinite(n)) options[key] = Math.min(max, Math.max(min, n));
+  }
+
+  if (raw.firstPlayer === "random") options.firstPlayer = "random";
+  else if (Number.isInteger(raw.firstPlayer) && raw.firstPlayer >= 0 && raw.firstPlayer < 4) options.firstPlayer = raw.firstPlayer;
+
+  for (const key of ["cities", "orient", "tradingPosts"]) {
+    if (typeof raw[key] === "boolean") options[key] = raw[key];
+  }
+  if (options.cities) options.tradingPosts = false;
+  if (Object.hasOwn(VISIBILITIES, raw.visibility)) options.visibility = raw.visibility;
+  return options;
+}
+
+/** The options a game is played with (defaults for states that predate options). */
+export function gameOptions(state) {
+  return { ...DEFAULT_OPTIONS, ...state?.options };
+}
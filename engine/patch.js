@@ -0,0 +1,73 @@
+// engine/patch.js
+// Structural diffs between two versions of (projected) state.
+// The server sends diffState(viewBefore, viewAfter) instead of a full
+// snapshot; clients rebuild the new view with applyPatch. Safe for both sides.
+
+/**
+ * Patch format: a list of ops, each
+ *   [path, value]  set the value at path (creating objects as needed)
+ *   [path]         delete the key at path
+ * where path is an array of object keys / array indices.
+ * Arrays that change length are replaced whole; same-length arrays are
+ * diffed per index (a market refill is one small op).
+ */
+
+/** diffState(prev, next) -> ops turning prev into next. Never mutates. */
+export function diffState(prev, next) {
+  const ops = [];
+  diffInto(prev, next, [], ops);
+  return ops;
+}
+
+/** applyPatch(state, ops) -> new state; `state` itself is left untouched. */
+export function applyPatch(state, ops) {
+  let root = structuredClone(state);
+
+  for (const [path, ...rest] of ops) {
+    const isSet = rest.length > 0;
+    const value = isSet ? structuredClone(rest[0]) : undefined;
+
+    if (path.length === 0) {
+      root = value;
+      continue;
+    }
+
+    let node = root;
+    for (let i = 0; i < path.length - 1; i++) {
+      node[path[i]] ??= typeof path[i + 1] === "number" ? [] : {};
+      node = node[path[i]];
+    }
+
+    const key = path[path.length - 1];
+    if (isSet) node[key] = value;
+    else delete node[key];
+  }
+
+  return root;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function diffInto(a, b, path, ops) {
+  if (Object.is(a, b)) return;
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    for (const key of Object.keys(b)) {
+      if (!(key in a)) ops.push([[...path, key], b[key]]);
+      else diffInto(a[key], b[key], [...path, key], ops);
+    }
+    for (const key of Object.keys(a)) {
+      if (!(key in b)) ops.push([[...path, key]]);
+    }
+    return;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+    for (let i = 0; i < b.length; i++) diffInto(a[i], b[i], [...path, i], ops);
+    return;
+  }
+
+  ops.push([path, b]);
+}
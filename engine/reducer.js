@@ -1,4 +1,5 @@
-import { rulesCheck } from "./rules.js";
+import { rulesCheck, checkAction, bonusByColor } from "./rules.js";
+import { gameOptions } from "./options.js";
 
 /**
  * applyAction(prev, action)
@@ -7,7 +8,10 @@ import { rulesCheck } from "./rules.js";
  * - Validates action (rulesCheck) against prev (no mutation)
  * - structuredClone(prev) to avoid mutating the authoritative state reference
  * - Applies the action
- * - Runs end-of-turn side effects (noble claim, turn advance)
+ * - Opens Orient ability and trading post free-token steps after a buy
+ *   (state.awaiting), which keep the turn open until resolved
+ * - Runs end-of-turn side effects (hand-limit discard, noble claim/choice,
+ *   trading post coats, city claim/choice, turn advance)
  * - Returns NEW state reference if valid; otherwise returns prev
  */
 export function applyAction(prev, action) {
@@ -26,17 +30,9 @@ export function applyAction(prev, action) {
   function cardCost(card) {
     return card?.cost ?? {};
   }
-  function cardBonus(card) {
-    return card?.bonus;
-  }
 
-  function bonusByColor(purchasedCards) {
-    const bonus = { white: 0, blue: 0, green: 0, red: 0, black: 0 };
-    for (const c of purchasedCards ?? []) {
-      const b = cardBonus(c);
-      if (bonus[b] != null) bonus[b] += 1;
-    }
-    return bonus;
+  function countTokens(tokens) {
+    return Object.values(tokens ?? {}).reduce((s, n) => s + (Number(n) || 0), 0);
   }
 
   // Finds a card in the market rows by id, returns which row + index.
@@ -62,13 +58,29 @@ export function applyAction(prev, action) {
     }
   }
 
+  // Reserving awards 1 gold if the bank has any left.
+  function takeGoldForReserve(state, player) {
+    if ((state.market.bank[WILD] ?? 0) > 0) {
+      state.market.bank[WILD] -= 1;
+      player.tokens[WILD] = (player.tokens[WILD] ?? 0) + 1;
+    }
+  }
+
   /**
-   * computePayment(card, player)
-   * ----------------------------
+   * computePayment(card, player, chosen)
+   * ------------------------------------
    * Computes how many tokens of each color the player will pay,
    * using discounts from purchased cards as bonuses and using gold (yellow) as wilds.
+   * `chosen` is the action's explicit payment (already checked by rulesCheck);
+   * without one, colored tokens are spent first and gold covers the rest.
    */
-  function computePayment(card, player) {
+  function computePayment(card, player, chosen) {
+    if (chosen) {
+      const pay = { white: 0, blue: 0, green: 0, red: 0, black: 0, yellow: 0 };
+      for (const color of Object.keys(pay)) pay[color] = Number(chosen[color] ?? 0);
+      return { ok: true, pay };
+    }
+
     const cost = cardCost(card);
     const bonus = bonusByColor(player.cards);
 
@@ -114,26 +126,28 @@ export function applyAction(prev, action) {
    * claimOneEligibleNoble(state, player)
    * -----------------------------------
    * Splendor rule: at most 1 noble is claimed at end of your turn, if eligible.
-   * Deterministic selection so all servers/clients agree:
-   * - pick lowest id (fallback left-to-right if ids missing)
+   * - exactly one eligible => claimed automatically (the common, fast path)
+   * - several eligible     => the player picks one; returns the eligible ids
+   *                           so the caller can wait for CHOOSE_NOBLE
+   * Returns the list of ids still awaiting a choice (empty when resolved).
    */
   function claimOneEligibleNoble(state, player) {
     const nobles = state.market?.nobles ?? [];
-    if (!nobles.length) return false;
+    const eligible = nobles.filter((n) => n && canClaimNoble(player, n));
 
-    const eligible = [];
-    for (let i = 0; i < nobles.length; i++) {
-      const n = nobles[i];
-      if (n && canClaimNoble(player, n)) eligible.push({ i, n });
-    }
-    if (!eligible.length) return false;
+    if (eligible.length === 1) claimNoble(state, player, eligible[0].id);
+    if (eligible.length <= 1) return [];
+
+    return eligible.map((n) => n.id);
+  }
 
-    eligible.sort((a, b) =>
-      String(a.n?.id ?? "").localeCompare(String(b.n?.id ?? ""))
-    );
+  // Moves a noble from the board to the player.
+  function claimNoble(state, player, nobleId) {
+    const nobles = state.market?.nobles ?? [];
+    const idx = nobles.findIndex((n) => n?.id === nobleId);
+    if (idx === -1) return false;
 
-    const pick = eligible[0];
-    const claimed = nobles.splice(pick.i, 1)[0];
+    const claimed = nobles.splice(idx, 1)[0];
 
     player.nobles ??= [];
     player.nobles.push(claimed);
@@ -141,26 +155,164 @@ export function applyAction(prev, action) {
     return true;
   }
 
+  // --- Orient card abilities
+
+  /**
+   * startAbility(state, player, card)
+   * --------------------------------
+   * Runs the ability of a card the player just gained (see CardDef in
+   * engine/defs.js). When it needs a choice, sets state.awaiting to the
+   * action that resolves it; abilities that can't be used are skipped.
+   */
+  function startAbility(state, player, card) {
+    switch (card.ability) {
+      case "joker": {
+        const bonus = bonusByColor(player.cards);
+        const colors = COLORS.filter((color) => bonus[color] > 0);
+        if (colors.length === 1) card.bonus = colors[0];
+        else if (colors.length > 1) state.awaiting = { type: "CHOOSE_BONUS", cardId: card.id, colors };
+        return;
+      }
+
+      case "reserve": {
+        if ((player.reserved ?? []).length >= gameOptions(state).reserveLimit) return;
+        const anyCard = ["tier1", "tier2", "tier3"].some(
+          (rowKey) => state.decks[rowKey].length || state.market.cards[rowKey].some(Boolean)
+        );
+        if (anyCard) state.awaiting = { type: "RESERVE_CARD" };
+        return;
+      }
+
+      case "take": {
+        const row = state.market.cards[`tier${card.takeTier}`] ?? [];
+        const hasColor = COLORS.some((color) => bonusByColor(player.cards)[color] > 0);
+        if (row.some((c) => c && (c.ability !== "joker" || hasColor))) {
+          state.awaiting = { type: "TAKE_CARD", tier: card.takeTier };
+        }
+        return;
+      }
+
+      case "noble": {
+        const nobles = (state.market?.nobles ?? []).filter(Boolean);
+        if (nobles.length === 1) claimNoble(state, player, nobles[0].id);
+        else if (nobles.length > 1) state.awaiting = { type: "CHOOSE_NOBLE", nobleIds: nobles.map((n) => n.id), ability: true };
+        return;
+      }
+    }
+  }
+
+  // --- Cities (Cities of Splendor module)
+
+  /**
+   * qualifiesForCity(player, city)
+   * ------------------------------
+   * Enough prestige plus the listed bonuses; `any` asks for that many
+   * bonuses of a single color the city doesn't already list.
+   */
+  function qualifiesForCity(player, city) {
+    const req = city?.req ?? {};
+    if (playerPrestige(player) < (city?.points ?? 0)) return false;
+
+    const bonus = bonusByColor(player.cards);
+    for (const color of COLORS) {
+      if ((bonus[color] ?? 0) < (req[color] ?? 0)) return false;
+    }
+    if (!req.any) return true;
+    return COLORS.some((color) => req[color] == null && bonus[color] >= req.any);
+  }
+
+  /**
+   * claimEligibleCity(state, player)
+   * --------------------------------
+   * Unlike nobles, a city stays on the board: several players may qualify
+   * for the same one during the final round. Each player records one.
+   * - exactly one qualifies => recorded automatically
+   * - several qualify       => the player picks one; returns their ids
+   *                            so the caller can wait for CHOOSE_CITY
+   * Returns the list of ids still awaiting a choice (empty when resolved).
+   */
+  function claimEligibleCity(state, player) {
+    if (player.cities?.length) return [];
+
+    const eligible = (state.market?.cities ?? []).filter((c) => c && qualifiesForCity(player, c));
+    if (eligible.length === 1) claimCity(state, player, eligible[0].id);
+    if (eligible.length <= 1) return [];
+
+    return eligible.map((c) => c.id);
+  }
+
+  // Records a copy of a board city for the player.
+  function claimCity(state, player, cityId) {
+    const city = (state.market?.cities ?? []).find((c) => c?.id === cityId);
+    if (!city) return false;
+
+    player.cities ??= [];
+    player.cities.push(structuredClone(city));
+    return true;
+  }
+
+  // --- Trading posts (Trading Posts module)
+
+  function hasPower(player, power) {
+    return (player.coats ?? []).some((c) => c?.power === power);
+  }
+
+  function qualifiesForPost(player, post) {
+    const req = post?.req ?? {};
+    const bonus = bonusByColor(player.cards);
+
+    for (const color of COLORS) {
+      if ((bonus[color] ?? 0) < (req[color] ?? 0)) return false;
+    }
+    return (player.nobles ?? []).length >= (req.nobles ?? 0);
+  }
+
+  /**
+   * placeCoats(state, player)
+   * -------------------------
+   * Puts the player's coat of arms on every trading post they now qualify
+   * for. Posts are shared and coats stay for the rest of the game. Coats
+   * are worth 1 prestige each once the player holds "pointsPerCoat".
+   */
+  function placeCoats(state, player) {
+    player.coats ??= [];
+    for (const post of state.market?.tradingPosts ?? []) {
+      if (player.coats.some((c) => c.id === post.id) || !qualifiesForPost(player, post)) continue;
+      player.coats.push(structuredClone(post));
+    }
+
+    const perCoat = hasPower(player, "pointsPerCoat") ? 1 : 0;
+    for (const coat of player.coats) coat.points = perCoat;
+  }
+
   // --- Turn advance
 
   /**
    * advanceTurn(state)
    * ------------------
-   * For now: rotate through all players in state.players (usually 4).
-   * Later (true multiplayer seats): you can store seat occupancy in state
-   * and skip empty seats here.
+   * Rotate to the next player in state.players, skipping anyone who has
+   * forfeited. Returns true when the rotation wrapped past the last seat,
+   * i.e. a round just ended.
    */
   function advanceTurn(state) {
     const n = state.players?.length ?? 0;
-    if (n <= 0) return;
+    if (n <= 0) return false;
 
     const cur = state.activePlayerIndex ?? 0;
-    state.activePlayerIndex = (cur + 1) % n;
-
-    // Optional: increment turn counter when wrap-around happens
-    if (state.activePlayerIndex === 0) {
+    let next = cur;
+    do {
+      next = (next + 1) % n;
+    } while (state.players[next].forfeited && next !== cur);
+    state.activePlayerIndex = next;
+
+    // Increment turn counter when play passes the first player's seat again
+    const first = state.firstPlayerIndex ?? 0;
+    const seatInRound = (i) => (i - first + n) % n;
+    const wrapped = seatInRound(next) <= seatInRound(cur);
+    if (wrapped) {
       state.turn = (state.turn ?? 1) + 1;
     }
+    return wrapped;
   }
 
   // --- Main action implementation
@@ -189,11 +341,29 @@ export function applyAction(prev, action) {
         player.tokens ??= {};
         player.reserved ??= [];
 
+        if (player.reserved.length >= gameOptions(state).reserveLimit) return false;
+
+        // An Orient "reserve" card's free reserve: no gold comes with it
+        const free = state.awaiting?.type === "RESERVE_CARD";
+        state.awaiting = null;
+
+        // Blind reserve from the top of a deck: the card stays hidden from
+        // other players (see engine/view.js) until it is bought.
+        if (action.deck != null) {
+          const deck = state.decks[action.deck];
+          if (!deck?.length) return false;
+
+          const reservedCard = deck.splice(0, 1)[0]; // top at index 0
+          reservedCard.blind = true;
+          player.reserved.push(reservedCard);
+
+          if (!free) takeGoldForReserve(state, player);
+          return true;
+        }
+
         const id = cardId(action.card?.meta);
         if (!id) return false;
 
-        if (player.reserved.length >= 3) return false;
-
         const slot = findMarketSlotById(state, id);
         if (!slot) return false;
 
@@ -203,11 +373,7 @@ export function applyAction(prev, action) {
         // Move card to reserved
         player.reserved.push(reservedCard);
 
-        // Take 1 gold if available
-        if ((state.market.bank[WILD] ?? 0) > 0) {
-          state.market.bank[WILD] -= 1;
-          player.tokens[WILD] = (player.tokens[WILD] ?? 0) + 1;
-        }
+        if (!free) takeGoldForReserve(state, player);
 
         // Refill market
         drawFromDeckIntoMarketSlot(state, slot.rowKey, slot.idx);
@@ -238,7 +404,7 @@ export function applyAction(prev, action) {
 
         if (!buyingCard) return false;
 
-        const payment = computePayment(buyingCard, player);
+        const payment = computePayment(buyingCard, player, action.payment);
         if (!payment.ok) return false;
 
         // Pay tokens back to bank
@@ -248,7 +414,8 @@ export function applyAction(prev, action) {
           state.market.bank[color] = (state.market.bank[color] ?? 0) + n;
         }
 
-        // Gain card
+        // Gain card (bought cards are public, even if reserved blind)
+        delete buyingCard.blind;
         player.cards.push(buyingCard);
 
         // Remove from source + refill if needed
@@ -258,6 +425,101 @@ export function applyAction(prev, action) {
           drawFromDeckIntoMarketSlot(state, marketSlot.rowKey, marketSlot.idx);
         }
 
+        // "tokenOnBuy" trading post: the free token comes first, then the
+        // card's own ability (see TAKE_FREE_TOKEN)
+        if (hasPower(player, "tokenOnBuy") && COLORS.some((color) => state.market.bank[color] > 0)) {
+          state.awaiting = { type: "TAKE_FREE_TOKEN", cardId: buyingCard.id };
+        } else {
+          startAbility(state, player, buyingCard);
+        }
+        return true;
+      }
+
+      case "TAKE_FREE_TOKEN": {
+        const player = state.players[state.activePlayerIndex];
+        const bought = (player.cards ?? []).find((c) => c?.id === state.awaiting?.cardId);
+        if (!bought) return false;
+
+        state.market.bank[action.color] -= 1;
+        player.tokens[action.color] = (player.tokens[action.color] ?? 0) + 1;
+
+        state.awaiting = null;
+        startAbility(state, player, bought);
+        return true;
+      }
+
+      case "CHOOSE_BONUS": {
+        const player = state.players[state.activePlayerIndex];
+        const joker = (player.cards ?? []).find((c) => c?.id === state.awaiting?.cardId);
+        if (!joker) return false;
+
+        joker.bonus = action.color;
+        state.awaiting = null;
+        return true;
+      }
+
+      case "TAKE_CARD": {
+        const player = state.players[state.activePlayerIndex];
+        const slot = findMarketSlotById(state, cardId(action.card?.meta));
+        if (!slot) return false;
+
+        const taken = state.market.cards[slot.rowKey][slot.idx];
+        player.cards.push(taken);
+        drawFromDeckIntoMarketSlot(state, slot.rowKey, slot.idx);
+
+        // the free card's own ability may open the next step
+        state.awaiting = null;
+        startAbility(state, player, taken);
+        return true;
+      }
+
+      case "DISCARD_TOKENS": {
+        const returns = action.tokens ?? {};
+        const player = state.players[state.activePlayerIndex];
+        player.tokens ??= {};
+
+        for (const [color, n] of Object.entries(returns)) {
+          if ((player.tokens[color] ?? 0) < n) return false;
+        }
+
+        for (const [color, n] of Object.entries(returns)) {
+          player.tokens[color] -= n;
+          state.market.bank[color] = (state.market.bank[color] ?? 0) + n;
+        }
+
+        state.awaiting = null;
+        return true;
+      }
+
+      case "CHOOSE_NOBLE": {
+        const player = state.players[state.activePlayerIndex];
+        if (!claimNoble(state, player, action.nobleId)) return false;
+
+        state.awaiting = null;
+        return true;
+      }
+
+      case "CHOOSE_CITY": {
+        const player = state.players[state.activePlayerIndex];
+        if (!claimCity(state, player, action.cityId)) return false;
+
+        state.awaiting = null;
+        return true;
+      }
+
+      // Clock ran out (see server/clock.js)
+      case "PASS_TURN":
+        return true;
+
+      case "FORFEIT": {
+        const player = state.players[state.activePlayerIndex];
+        for (const [color, n] of Object.entries(player.tokens ?? {})) {
+          if (!n) continue;
+          state.market.bank[color] = (state.market.bank[color] ?? 0) + n;
+          player.tokens[color] = 0;
+        }
+        player.forfeited = true;
+        state.awaiting = null;
         return true;
       }
 
@@ -275,47 +537,129 @@ export function applyAction(prev, action) {
   // Invalid => preserve reducer contract: return prev reference
   if (!changed) return prev;
 
+  // An Orient ability or free token step was opened: the turn waits for it
+  if (state.awaiting) return state;
+
   // End-of-turn effects for "commit" actions
   const endsTurn =
     action.type === "TAKE_TOKENS" ||
     action.type === "RESERVE_CARD" ||
-    action.type === "BUY_CARD";
+    action.type === "BUY_CARD" ||
+    action.type === "DISCARD_TOKENS" ||
+    action.type === "CHOOSE_NOBLE" ||
+    action.type === "CHOOSE_CITY" ||
+    action.type === "CHOOSE_BONUS" ||
+    action.type === "TAKE_CARD" ||
+    action.type === "TAKE_FREE_TOKEN" ||
+    action.type === "PASS_TURN" ||
+    action.type === "FORFEIT";
+
+  // Last player standing wins outright
+  const remaining = state.players.filter((p) => !p.forfeited);
+  if (action.type === "FORFEIT" && remaining.length <= 1) {
+    state.gameOver = true;
+    state.winner = state.players.indexOf(remaining[0]);
+    return state;
+  }
 
-  if (endsTurn) {
-    // 1) Claim at most one noble
+  if (endsTurn && action.type !== "FORFEIT") {
     const player = state.players[state.activePlayerIndex];
-    claimOneEligibleNoble(state, player);
+    const { handLimit, targetPoints, cities } = gameOptions(state);
+
+    // 1) Over the hand limit: pause the turn until the player discards down.
+    //    The remaining steps run once DISCARD_TOKENS is accepted.
+    const held = countTokens(player.tokens);
+    if (held > handLimit) {
+      state.awaiting = { type: "DISCARD_TOKENS", count: held - handLimit };
+      return state;
+    }
+
+    // 2) Claim at most one noble. With several eligible, pause the turn
+    //    until the player picks one (CHOOSE_NOBLE already did the claim,
+    //    unless it was an Orient card's free noble).
+    if (action.type !== "CHOOSE_NOBLE" || prev.awaiting?.ability) {
+      const nobleIds = claimOneEligibleNoble(state, player);
+      if (nobleIds.length) {
+        state.awaiting = { type: "CHOOSE_NOBLE", nobleIds };
+        return state;
+      }
+    }
 
-    // 2) Check if this player triggered the final round (>= 15 prestige)
-    if (!state.finalRound && playerPrestige(player) >= 15) {
+    // 3) Trading Posts module: coats of arms on every post now reached
+    placeCoats(state, player);
+
+    // 4) Check if this player triggered the final round: qualifying for a
+    //    city with the Cities module, otherwise >= target prestige (15 by default).
+    //    With several cities in reach, pause the turn until the player picks
+    //    one (CHOOSE_CITY already recorded it).
+    if (cities) {
+      const cityIds = action.type === "CHOOSE_CITY" ? [] : claimEligibleCity(state, player);
+      if (cityIds.length) {
+        state.awaiting = { type: "CHOOSE_CITY", cityIds };
+        return state;
+      }
+      if (player.cities?.length) state.finalRound = true;
+    } else if (!state.finalRound && playerPrestige(player) >= targetPoints) {
       state.finalRound = true;
     }
+  }
 
-    // 3) Advance to next player's turn
-    advanceTurn(state);
+  if (endsTurn) {
+    // 5) Advance to next player's turn
+    const wrapped = advanceTurn(state);
 
-    // 4) If final round and we've wrapped back to player 0, the game is over
-    if (state.finalRound && state.activePlayerIndex === 0) {
+    // 6) If final round and we've wrapped back to the first player, the game is over
+    if (state.finalRound && wrapped) {
       state.gameOver = true;
-      state.winner = determineWinner(state.players);
+      state.winner = determineWinner(state.players, gameOptions(state).cities);
     }
   }
 
   return state;
 }
 
+/**
+ * explainRejection(state, action)
+ * -------------------------------
+ * Why applyAction(state, action) returns state unchanged, as
+ * { code, message } (codes from checkAction, plus GAME_OVER), or null
+ * when the action would be accepted.
+ */
+export function explainRejection(state, action) {
+  if (state?.gameOver) return { code: "GAME_OVER", message: "The game is over" };
+
+  const reason = checkAction({ state, action });
+  if (reason) return reason;
+
+  // rulesCheck passed but the reducer still refused (shouldn't happen)
+  if (applyAction(state, action) === state) return { code: "INVALID_ACTION", message: "That move isn't allowed" };
+  return null;
+}
+
 function playerPrestige(player) {
   const fromCards  = (player.cards  ?? []).reduce((sum, c) => sum + (c.points ?? 0), 0);
   const fromNobles = (player.nobles ?? []).reduce((sum, n) => sum + (n.points ?? 0), 0);
-  return fromCards + fromNobles;
+  const fromCoats  = (player.coats  ?? []).reduce((sum, c) => sum + (c.points ?? 0), 0);
+  return fromCards + fromNobles + fromCoats;
 }
 
-function determineWinner(players) {
+/**
+ * determineWinner(players, cities)
+ * --------------------------------
+ * Most prestige wins, ties go to the player with fewer cards. With the
+ * Cities module only players holding a city are in the running.
+ */
+function determineWinner(players, cities) {
   let best = -1;
   let bestIdx = 0;
   let bestCards = Infinity;
 
+  const contenders = cities && players.some((p) => !p.forfeited && p.cities?.length)
+    ? (p) => !p.forfeited && p.cities?.length
+    : (p) => !p.forfeited;
+
   for (let i = 0; i < players.length; i++) {
+    if (!contenders(players[i])) continue;
     const p = playerPrestige(players[i]);
     const cards = (players[i].cards ?? []).length;
     if (p > best || (p === best && cards < bestCards)) {
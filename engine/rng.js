@@ -0,0 +1,43 @@
+// engine/rng.js
+// Seedable PRNG for deterministic game setup (safe for server + browser)
+// Same seed => same sequence, so a seed fully reproduces a shuffled setup.
+
+/**
+ * normalizeSeed(seed)
+ * -------------------
+ * Accepts a number or a string and returns an unsigned 32-bit integer.
+ * Strings are hashed (FNV-1a) so "rematch-42" style seeds work too.
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Fresh seed for games created without one.
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * createRng(seed)
+ * ---------------
+ * mulberry32: small, fast, good enough for shuffling cards.
+ * Returns a function producing floats in [0, 1), like Math.random.
+ */
+export function createRng(seed) {
+  let a = normalizeSeed(seed);
+  return function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,428 @@
+// engine/rooms.js
+// Room bookkeeping shared by the WebSocket server (server/server.js) and the
+// offline transport (public/net/local.js), safe for server and browser:
+// seats, ready/start, bots and local players, turn checks, undo and the
+// action history. No sockets, timers or storage here; the transports send
+// the messages, arm the timers and persist.
+
+import { initialState } from "./state.js";
+import { applyAction, explainRejection } from "./reducer.js";
+import { describeAction } from "./describe.js";
+import { CLOCK_ACTIONS } from "./rules.js";
+import { BOT_LEVELS, chooseBotAction } from "./bots.js";
+import { hasLegalAction } from "./moves.js";
+import { Actions } from "./actions.js";
+import { normalizeOptions } from "./options.js";
+
+const UNDO_DEPTH = 8; // take-backs kept per room
+
+// Seat clientIds for bots ("bot1") and local players ("local1"); restoreRoom
+// moves them past the ids of restored seats so new seats never reuse one.
+let nextBotId = 1;
+let nextLocalId = 1;
+
+/**
+ * room = {
+ *   seats: Array<null | {clientId,name,bot?,local?}>, // exactly 4 slots; null means empty seat
+ *                                         // bots: bot:"greedy"|"lookahead"; pass and play: local:true
+ *                                         // (the server adds each human seat's ws)
+ *   ready: boolean[4],
+ *   started: boolean,
+ *   state: any,                           // authoritative engine state (null before the start)
+ *   version: number,                      // increments on every accepted action
+ *   name, createdBy, createdAt,
+ *   seed: number|string|null,             // optional setup seed (rematch / tests)
+ *   hotSeat: boolean,                     // pass and play: the host's device plays every non-bot seat
+ *   options: object,                      // game options (engine/options.js), host-editable until the start
+ *   clock: object|null,                   // time control config (server/clock.js), fixed at creation
+ *   history: Array<{ v, actor, turn, ts, action, text }>, // accepted actions, oldest first
+ *   undoStack: Array<{ state, version }>, // before each recent action, newest last
+ *   undoRequest: { seat, waitingFor:Set<seat> } | null, // while other players decide
+ *   botTimer: Timeout|null                // pending automatic move (see autoMoveDue)
+ * }
+ */
+export function newRoom({ name, createdBy = null, createdAt = Date.now(), seed = null, hotSeat = false, options = null, clock = null }) {
+  return {
+    seats: Array(4).fill(null),
+    ready: [false, false, false, false],
+    started: false,
+    state: null,
+    version: 0,
+    name,
+    createdBy,
+    createdAt,
+    seed,
+    hotSeat: !!hotSeat,
+    options: normalizeOptions(options),
+    clock,
+    history: [],
+    undoStack: [],
+    undoRequest: null,
+    botTimer: null,
+  };
+}
+
+export function generateRoomId() {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // omit O/0/I/1 to avoid confusion
+  let id = "";
+  for (let i = 0; i < 6; i++) id += chars[Math.floor(Math.random() * chars.length)];
+  return id;
+}
+
+// -----------------------------------------------------------------------------
+// Persistence
+// -----------------------------------------------------------------------------
+// Only started rooms are worth saving. Seats are saved without their socket;
+// undo take-backs and pending timers don't survive a reload.
+
+/** What gets saved for a room (plain JSON). */
+export function roomSnapshot(room) {
+  return {
+    seats: room.seats.map(s => s ? { clientId: s.clientId, name: s.name, bot: s.bot ?? null, local: !!s.local } : null),
+    state: room.state,
+    version: room.version,
+    ready: room.ready,
+    started: room.started,
+    name: room.name,
+    createdBy: room.createdBy,
+    createdAt: room.createdAt,
+    seed: room.seed,
+    hotSeat: room.hotSeat,
+    options: room.options,
+    clock: room.clock,
+    history: room.history,
+  };
+}
+
+/** A saved room brought back to life, or null if it isn't a started game. */
+export function restoreRoom(snap) {
+  if (!snap?.started || !snap.state) return null;
+
+  for (const s of snap.seats) {
+    const [, kind, n] = /^(bot|local)(\d+)$/.exec(s?.clientId ?? "") ?? [];
+    if (kind === "bot") nextBotId = Math.max(nextBotId, Number(n) + 1);
+    if (kind === "local") nextLocalId = Math.max(nextLocalId, Number(n) + 1);
+  }
+
+  return {
+    ...snap,
+    seats: snap.seats.map(s => s ? { clientId: s.clientId, name: s.name, bot: s.bot ?? null, local: !!s.local } : null),
+    hotSeat: !!snap.hotSeat,
+    options: normalizeOptions(snap.options),
+    clock: snap.clock ?? null,
+    history: snap.history ?? [],
+    undoStack: [],
+    undoRequest: null,
+    botTimer: null,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Views and messages
+// -----------------------------------------------------------------------------
+
+/**
+ * Whose hidden information a client sitting at `seat` may see in `state`:
+ * their own seat, or null for spectators. The pass-and-play device sees as
+ * whichever local seat is to move (nobody's while a bot is thinking).
+ */
+export function viewerIndex(room, seat, state) {
+  if (!room.hotSeat || seat === null) return seat;
+
+  const active = state.activePlayerIndex;
+  return room.seats[active] && !room.seats[active].bot ? active : null;
+}
+
+/** The lobby's view of a room; transports add players and spectators. */
+export function roomSummary(roomId, room) {
+  const gameOver = room.state?.gameOver ?? false;
+  return {
+    roomId,
+    name: room.name,
+    playerCount: room.seats.filter(Boolean).length,
+    started: room.started,
+    gameOver,
+    winnerName: gameOver && typeof room.state.winner === "number"
+      ? (room.state.players[room.state.winner]?.name ?? `Player ${room.state.winner + 1}`)
+      : null,
+    clock: room.clock,
+    hotSeat: room.hotSeat,
+    options: room.options,
+  };
+}
+
+/**
+ * The HISTORY message for a room: every accepted action so far.
+ * The seed (which rebuilds every deck) is only included once the game is
+ * over, so clients can replay a finished game from initialState without
+ * being able to peek at upcoming cards mid-game.
+ */
+export function historyMessage(roomId, room) {
+  const over = !!room?.state?.gameOver;
+  return {
+    type: "HISTORY",
+    roomId,
+    seed: over ? room.state.seed : null,
+    playerCount: room?.state?.players?.length ?? 0,
+    names: (room?.state?.players ?? []).map(p => p.name),
+    options: room?.state?.options ?? null,
+    entries: room?.history ?? [],
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Seats (pre-game)
+// -----------------------------------------------------------------------------
+
+/** Bots and local players are always ready; everyone else readies up again. */
+export function resetReady(room) {
+  room.ready = room.seats.map(s => !!(s && (s.bot || s.local)));
+}
+
+/**
+ * Pack occupied seats toward index 0 so that seat indices always form a
+ * contiguous range starting at 0 and initialState(N) player indices match.
+ * Everyone re-readies (see resetReady). A chosen first player moves with
+ * their seat (back to seat 0 if they left). The caller tells moved clients
+ * their new seat.
+ */
+export function compactSeats(room) {
+  const occupied = room.seats
+    .map((s, i) => s ? { seatObj: s, oldIndex: i } : null)
+    .filter(Boolean);
+
+  if (typeof room.options.firstPlayer === "number") {
+    room.options.firstPlayer = Math.max(0, occupied.findIndex(o => o.oldIndex === room.options.firstPlayer));
+  }
+
+  room.seats = [0, 1, 2, 3].map(i => occupied[i]?.seatObj ?? null);
+  resetReady(room);
+}
+
+// Default names: "Greedy Bot", "Greedy Bot 2"
+export function botName(room, level) {
+  const base = `${BOT_LEVELS[level]} Bot`;
+  const taken = new Set(room.seats.filter(Boolean).map(s => s.name));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base} ${n}`)) n++;
+  return `${base} ${n}`;
+}
+
+/** A local player's name: as typed (trimmed, max 20) or the first free "Player N". */
+export function localPlayerName(room, raw) {
+  const typed = typeof raw === "string" ? raw.trim().slice(0, 20) : "";
+  if (typed) return typed;
+  const taken = new Set(room.seats.filter(Boolean).map(s => s.name));
+  let n = room.seats.filter(Boolean).length + 1;
+  while (taken.has(`Player ${n}`)) n++;
+  return `Player ${n}`;
+}
+
+/** Seats a bot (unknown levels play "greedy"). Returns its seat, or -1 if the room is full. */
+export function addBot(room, level) {
+  const idx = room.seats.findIndex(s => s === null);
+  if (idx === -1) return -1;
+  if (!Object.hasOwn(BOT_LEVELS, level)) level = "greedy";
+
+  room.seats[idx] = { clientId: `bot${nextBotId++}`, name: botName(room, level), bot: level };
+  room.ready[idx] = true;
+  return idx;
+}
+
+/** Seats another person at the pass-and-play device. Returns the seat, or -1. */
+export function addLocalPlayer(room, rawName) {
+  const idx = room.seats.findIndex(s => s === null);
+  if (idx === -1) return -1;
+
+  room.seats[idx] = { clientId: `local${nextLocalId++}`, name: localPlayerName(room, rawName), local: true };
+  room.ready[idx] = true;
+  return idx;
+}
+
+/** Removes a bot or a local player (nobody else) and compacts. True if removed. */
+export function removeSeat(room, seat) {
+  if (!room.seats[seat]?.bot && !room.seats[seat]?.local) return false;
+  room.seats[seat] = null;
+  compactSeats(room);
+  return true;
+}
+
+/** Merges a host's option change; a different game means everyone re-readies. */
+export function setOptions(room, options) {
+  if (!options || typeof options !== "object") return false;
+  room.options = normalizeOptions({ ...room.options, ...options });
+  resetReady(room);
+  return true;
+}
+
+/**
+ * Flips `seat`'s ready flag; once every occupied seat (min 2) is ready the
+ * game starts with the room's seed and options. True if it just started.
+ */
+export function toggleReady(room, seat, gameID) {
+  if (room.started || !room.seats[seat]) return false;
+  room.ready[seat] = !room.ready[seat];
+
+  const occupied = room.seats.map((s, i) => s ? i : null).filter(i => i !== null);
+  if (occupied.length < 2 || !occupied.every(i => room.ready[i])) return false;
+
+  room.state = initialState(occupied.length, gameID, room.seed ?? undefined, room.options);
+  room.state.hotSeat = room.hotSeat;
+  room.seats.forEach((s, i) => { if (s && room.state.players[i]) room.state.players[i].name = s.name; });
+  room.started = true;
+  room.history = [];
+  room.undoStack = [];
+  return true;
+}
+
+// -----------------------------------------------------------------------------
+// Turns
+// -----------------------------------------------------------------------------
+
+/**
+ * tryAction(room, seat, action)
+ * -----------------------------
+ * A player's ACTION from `seat`, checked against the room:
+ *   { next }      - accepted, commit with recordAction(room, room.state, next, action)
+ *   { rejected }  - REJECTED message fields { reason, code, message, ... };
+ *                   `resend` says the client needs a fresh STATE
+ * Only the active seat acts; a hot-seat device plays every seat but the bots'.
+ * Clock actions are the server's own (see CLOCK_ACTIONS).
+ */
+export function tryAction(room, seat, action) {
+  if (!room.started) {
+    return { rejected: { reason: "GAME_NOT_STARTED", code: "GAME_NOT_STARTED", message: "The game hasn't started yet" } };
+  }
+
+  const active = room.state?.activePlayerIndex ?? 0;
+  if (seat !== active && !(room.state.hotSeat && !room.seats[active]?.bot)) {
+    return {
+      resend: true,
+      rejected: {
+        reason: "NOT_YOUR_TURN",
+        code: "NOT_YOUR_TURN",
+        message: `It's ${room.seats[active]?.name ?? `P${active + 1}`}'s turn`,
+        activePlayerIndex: active,
+        yourPlayerIndex: seat,
+      },
+    };
+  }
+
+  const prev = room.state;
+  const next = CLOCK_ACTIONS.includes(action.type) ? prev : applyAction(prev, action);
+  if (next !== prev) return { next };
+
+  const why = CLOCK_ACTIONS.includes(action.type)
+    ? { code: "CLOCK_ONLY", message: "Only the clock can do that" }
+    : explainRejection(prev, action);
+  return {
+    resend: true,
+    rejected: {
+      reason: "INVALID_ACTION",
+      code: why?.code ?? "INVALID_ACTION",
+      message: why?.message ?? "That move isn't allowed",
+    },
+  };
+}
+
+/**
+ * recordAction(room, prev, next, action, { timedOut })
+ * ----------------------------------------------------
+ * Makes an accepted action (next !== prev) the room's state: undo point,
+ * version bump and history entry, which it returns for the PATCH.
+ */
+export function recordAction(room, prev, next, action, { timedOut = false } = {}) {
+  room.undoStack.push({ state: prev, version: room.version });
+  if (room.undoStack.length > UNDO_DEPTH) room.undoStack.shift();
+
+  room.state = next;
+  room.version += 1;
+
+  const entry = {
+    v: room.version,
+    actor: prev.activePlayerIndex,
+    turn: prev.turn,
+    ts: Date.now(),
+    action,
+    text: describeAction(prev, next, action),
+  };
+  if (timedOut) {
+    entry.timedOut = true;
+    if (!CLOCK_ACTIONS.includes(action.type)) entry.text += " (out of time)";
+  }
+  room.history.push(entry);
+  return entry;
+}
+
+/**
+ * Whether the seat on turn moves by itself, after a think delay: a bot, or
+ * anyone with no legal move (bank short of colors, reserve full, nothing
+ * affordable), who passes as if their clock had run out, or forfeits when
+ * stuck in a sub-step a pass can't end. Once every player
+ * still in the game has passed like that in a row, nobody can move and the
+ * table waits (it would otherwise pass forever).
+ */
+export function autoMoveDue(room) {
+  const state = room.state;
+  if (!room.started || !state || state.gameOver) return false;
+  if (!room.seats[state.activePlayerIndex]?.bot && hasLegalAction(state)) return false;
+
+  const remaining = state.players.filter(p => !p.forfeited).length;
+  const recent = room.history.slice(-remaining);
+  return recent.length < remaining || !recent.every(isForcedPass);
+}
+
+// A pass issued because the player had no legal move (clock passes are timedOut)
+function isForcedPass(entry) {
+  return entry.action.type === "PASS_TURN" && !entry.timedOut;
+}
+
+/**
+ * autoMove(room)
+ * --------------
+ * The move for a seat that moves by itself (see autoMoveDue), or null:
+ *   { seat, action, next } - a bot's choice; without a legal move PASS_TURN,
+ *                            or FORFEIT in a sub-step (state.awaiting), which
+ *                            PASS_TURN would not end
+ */
+export function autoMove(room) {
+  if (!autoMoveDue(room)) return null;
+
+  const prev = room.state;
+  const seat = room.seats[prev.activePlayerIndex];
+  let action;
+  if (hasLegalAction(prev)) action = chooseBotAction(prev, seat.bot);
+  else action = prev.awaiting ? Actions.forfeit() : Actions.passTurn();
+  return { seat, action, next: applyAction(prev, action) };
+}
+
+// -----------------------------------------------------------------------------
+// Undo (take-backs)
+// -----------------------------------------------------------------------------
+// A player may take back their own last action until anyone else acts (in
+// hot-seat rooms, any last action). Undo does not reshuffle: a card revealed
+// by the taken-back move (market refill, blind reserve) stays where it was
+// drawn from. Who has to agree is up to the transport.
+
+/** Why `seat` can't request an undo right now, or null if it can. */
+export function undoBlocker(room, seat) {
+  if (!room.started || !room.state) return "The game hasn't started yet";
+  if (room.state.gameOver) return "The game is over";
+
+  const last = room.history[room.history.length - 1];
+  const saved = room.undoStack[room.undoStack.length - 1];
+  if (!last || saved?.version !== last.v - 1) return "Nothing to undo";
+  if (last.actor !== seat && !room.state.hotSeat) return "Only your own last move can be taken back";
+  if (room.undoRequest) return "An undo is already waiting for an answer";
+  return null;
+}
+
+/** Restores the state from before the last action (version included); returns its history entry. */
+export function takeBack(room) {
+  const saved = room.undoStack.pop();
+  const entry = room.history.pop();
+  room.state = saved.state;
+  room.version = saved.version;
+  return entry;
+}
@@ -1,17 +1,63 @@
 // engine/rules.js
 // Authoritative rules validation (server + reducer)
-// Return true => action is legal, false => reject
+// rulesCheck: true => action is legal, false => reject
+// checkAction: null => legal, otherwise { code, message } saying why not
+// Also runs in the browser against viewFor(...) states (decks are counts there).
+
+import { deckCount } from "./view.js";
+import { gameOptions } from "./options.js";
+
+// Issued by the server when a clock runs out, never by players.
+export const CLOCK_ACTIONS = ["PASS_TURN", "FORFEIT"];
 
 export function rulesCheck({ state, action }) {
-  if (!state || !action || !action.type) return false;
+  return checkAction({ state, action }) === null;
+}
+
+/**
+ * Bonus gems per color from a player's purchased cards, which every card
+ * cost is reduced by. Orient "double" cards count twice.
+ */
+export function bonusByColor(cards) {
+  const bonus = { white: 0, blue: 0, green: 0, red: 0, black: 0 };
+  for (const c of cards ?? []) {
+    if (bonus[c?.bonus] != null) bonus[c.bonus] += c.ability === "double" ? 2 : 1;
+  }
+  return bonus;
+}
+
+// Rejection helper: `code` is stable (for tests / client logic), `message`
+// is shown to the player as is.
+function reject(code, message) {
+  return { code, message };
+}
+
+/**
+ * checkAction({ state, action })
+ * ------------------------------
+ * Same rules as rulesCheck, but a rejection says why:
+ *   { code: "BANK_SHORT", message: "Bank has fewer than 4 red" }
+ * Codes: MALFORMED, NO_PLAYER, AWAITING_DISCARD, AWAITING_NOBLE, AWAITING_CITY,
+ * AWAITING_BONUS, AWAITING_TAKE, AWAITING_RESERVE, AWAITING_TOKEN, TAKE_GOLD,
+ * TAKE_SHAPE, BANK_SHORT, NOTHING_TO_DISCARD, DISCARD_COUNT, NOT_HELD,
+ * NOTHING_TO_CHOOSE, NOBLE_NOT_OFFERED, CITY_NOT_OFFERED, COLOR_NOT_OFFERED,
+ * NOTHING_TO_TAKE, WRONG_TIER,
+ * NO_BONUS_TO_COPY, RESERVE_LIMIT, DECK_EMPTY, CARD_NOT_AVAILABLE,
+ * CANNOT_AFFORD, PAYMENT_SHORT, OVERPAY, UNKNOWN_ACTION.
+ * PASS_TURN and FORFEIT are legal here; the server only accepts them from
+ * its own turn clock (see CLOCK_ACTIONS).
+ */
+export function checkAction({ state, action }) {
+  if (!state || !action || !action.type) return reject("MALFORMED", "Malformed action");
 
   const COLORS = ["white", "blue", "green", "red", "black"];
   const WILD = "yellow";
 
   const currentPlayer = state.players?.[state.activePlayerIndex];
-  if (!currentPlayer) return false;
+  if (!currentPlayer) return reject("NO_PLAYER", "No active player");
 
   const bank = state.market?.bank ?? {};
+  const { handLimit, reserveLimit } = gameOptions(state);
 
   // -------------------------
   // Helpers
@@ -32,13 +78,15 @@ export function rulesCheck({ state, action }) {
     return true;
   }
 
-  function bonusByColor(purchasedCards) {
-    const bonus = { white:0, blue:0, green:0, red:0, black:0 };
-    for (const c of purchasedCards ?? []) {
-      const b = c?.bonus;
-      if (bonus[b] != null) bonus[b] += 1;
-    }
-    return bonus;
+  // Orient joker cards copy a bonus the player already has
+  function hasBonusToCopy(card, player) {
+    if (card?.ability !== "joker") return true;
+    return (player.cards ?? []).some(c => COLORS.includes(c?.bonus));
+  }
+
+  // Trading Posts module: powers come from the player's coats of arms
+  function hasPower(player, power) {
+    return (player.coats ?? []).some(c => c?.power === power);
   }
 
   function cardIdFromActionCard(actionCard) {
@@ -62,7 +110,8 @@ export function rulesCheck({ state, action }) {
     return { idx, card: player.reserved[idx] };
   }
 
-  function computePaymentOk(card, player) {
+  // Gems still missing after bonuses, colored tokens and gold (0 = affordable)
+  function paymentShortfall(card, player) {
     const cost = card?.cost ?? {};
     const bonus = bonusByColor(player.cards);
     const tokens = player.tokens ?? {};
@@ -77,88 +126,249 @@ export function rulesCheck({ state, action }) {
     }
 
     const wildHave = tokens[WILD] ?? 0;
-    return wildHave >= wildNeeded;
+    return Math.max(0, wildNeeded - wildHave);
+  }
+
+  // Checks an explicit BUY_CARD payment: tokens the player holds, each color
+  // no more than it still costs after bonuses, gold for exactly the rest.
+  function paymentProblem(card, player, payment) {
+    if (typeof payment !== "object" || Array.isArray(payment)) return reject("MALFORMED", "Malformed action");
+    if (!isOnlyColors(payment, [...COLORS, WILD])) return reject("MALFORMED", "Malformed action");
+
+    const cost = card?.cost ?? {};
+    const bonus = bonusByColor(player.cards);
+    const held = player.tokens ?? {};
+
+    for (const [color, nRaw] of Object.entries(payment)) {
+      const n = Number(nRaw);
+      if (!Number.isInteger(n) || n < 0) return reject("MALFORMED", "Malformed action");
+      if ((held[color] ?? 0) < n) return reject("NOT_HELD", `You only have ${held[color] ?? 0} ${color}`);
+    }
+
+    let wildNeeded = 0;
+    for (const color of COLORS) {
+      const need = Math.max(0, (cost[color] ?? 0) - (bonus[color] ?? 0));
+      const use = Number(payment[color] ?? 0);
+      if (use > need) return reject("OVERPAY", `The card only needs ${need} ${color}`);
+      wildNeeded += need - use;
+    }
+
+    const wild = Number(payment[WILD] ?? 0);
+    if (wild < wildNeeded) return reject("PAYMENT_SHORT", `Short ${plural(wildNeeded - wild, "gem")}`);
+    if (wild > wildNeeded) return reject("OVERPAY", `The card only needs ${plural(wildNeeded, "gold")}`);
+    return null;
+  }
+
+  function plural(n, word) {
+    return `${n} ${word}${n === 1 ? "" : "s"}`;
   }
 
   // -------------------------
   // Rule checks per action
   // -------------------------
 
+  // Forfeiting is always possible, even in the middle of a sub-step.
+  if (action.type === "FORFEIT") return null;
+
+  // While a sub-step is pending (e.g. discarding down to the hand limit),
+  // the only legal action is the one that resolves it.
+  if (state.awaiting && action.type !== state.awaiting.type) {
+    switch (state.awaiting.type) {
+      case "DISCARD_TOKENS": return reject("AWAITING_DISCARD", `Return ${plural(state.awaiting.count, "token")} first`);
+      case "CHOOSE_BONUS": return reject("AWAITING_BONUS", "Choose a color for the joker first");
+      case "TAKE_CARD": return reject("AWAITING_TAKE", `Take a level ${state.awaiting.tier} card first`);
+      case "RESERVE_CARD": return reject("AWAITING_RESERVE", "Reserve a card first");
+      case "TAKE_FREE_TOKEN": return reject("AWAITING_TOKEN", "Take your free token first");
+      case "CHOOSE_CITY": return reject("AWAITING_CITY", "Choose a city first");
+      default: return reject("AWAITING_NOBLE", "Choose a noble first");
+    }
+  }
+
   switch (action.type) {
     case "END_TURN":
-      return true; // placeholder for later turn logic
+      return null; // placeholder for later turn logic
+
+    case "PASS_TURN":
+      return null; // a pending sub-step was already ruled out above
 
     case "TAKE_TOKENS": {
       const picks = action.tokens ?? {};
-      if (typeof picks !== "object") return false;
+      if (typeof picks !== "object") return reject("MALFORMED", "Malformed action");
 
       // In Splendor: you cannot TAKE yellow (gold). Gold comes from reserving.
-      if (!isOnlyColors(picks, COLORS)) return false;
+      if (!isOnlyColors(picks, COLORS)) return reject("TAKE_GOLD", "Gold only comes with a reserve");
+
+      // whole tokens only: fractions could add up to a legal-looking shape
+      for (const nRaw of Object.values(picks)) {
+        const n = Number(nRaw);
+        if (!Number.isInteger(n) || n <= 0) return reject("MALFORMED", "Malformed action");
+      }
 
       const total = countTokens(picks);
       const maxOne = maxPerColor(picks);
 
       // must be exactly 3 different OR exactly 2 same
+      // (the "extraToken" trading post adds 1 of another color to the 2 same)
+      const extra = hasPower(currentPlayer, "extraToken");
       const okShape =
         (total === 3 && maxOne === 1) ||
-        (total === 2 && maxOne === 2);
+        (total === 2 && maxOne === 2) ||
+        (extra && total === 3 && maxOne === 2);
 
-      if (!okShape) return false;
+      if (!okShape) {
+        return reject("TAKE_SHAPE", extra
+          ? "Take 3 different colors, or 2 of one color (plus 1 of another)"
+          : "Take 3 different colors, or 2 of one color");
+      }
 
       // bank must have enough for each requested color
       for (const [color, nRaw] of Object.entries(picks)) {
-        const n = Number(nRaw) || 0;
-        if (n <= 0) return false;
-        if ((bank[color] ?? 0) < n) return false;
+        const n = Number(nRaw);
+        if ((bank[color] ?? 0) < n) return reject("BANK_SHORT", `Bank has no ${color} left`);
       }
 
       // if taking 2 same, bank must have >=4 of that color
-      if (total === 2) {
-        const color = Object.keys(picks)[0];
-        if (!color) return false;
-        if ((bank[color] ?? 0) < 4) return false;
+      if (maxOne === 2) {
+        const color = Object.keys(picks).find(c => Number(picks[c]) === 2);
+        if (!color) return reject("MALFORMED", "Malformed action");
+        if ((bank[color] ?? 0) < 4) return reject("BANK_SHORT", `Bank has fewer than 4 ${color}`);
       }
 
-      // token hand limit (your simplified version: cannot exceed 10 after taking)
-      const playerTotal = countTokens(currentPlayer.tokens);
-      if (playerTotal + total > 10) return false;
+      // Going above the hand limit is allowed; the reducer then asks the
+      // player to discard back down before the turn ends.
 
-      return true;
+      return null;
     }
 
-    case "RESERVE_CARD": {
+    case "DISCARD_TOKENS": {
+      if (state.awaiting?.type !== "DISCARD_TOKENS") return reject("NOTHING_TO_DISCARD", "No tokens to return");
+
+      const returns = action.tokens ?? {};
+      if (typeof returns !== "object") return reject("MALFORMED", "Malformed action");
+
+      // gold may be returned too
+      if (!isOnlyColors(returns, [...COLORS, WILD])) return reject("MALFORMED", "Malformed action");
+
+      // must return exactly the excess, no more and no less
+      if (countTokens(returns) !== state.awaiting.count) {
+        return reject("DISCARD_COUNT", `Return exactly ${plural(state.awaiting.count, "token")}`);
+      }
+
+      // can only return tokens the player actually holds
+      const held = currentPlayer.tokens ?? {};
+      for (const [color, nRaw] of Object.entries(returns)) {
+        const n = Number(nRaw);
+        if (!Number.isInteger(n) || n <= 0) return reject("MALFORMED", "Malformed action");
+        if ((held[color] ?? 0) < n) return reject("NOT_HELD", `You only have ${held[color] ?? 0} ${color}`);
+      }
+
+      // sanity: the player must end at exactly the hand limit
+      if (countTokens(held) - state.awaiting.count !== handLimit) {
+        return reject("DISCARD_COUNT", `Return down to ${handLimit} tokens`);
+      }
+
+      return null;
+    }
+
+    case "CHOOSE_NOBLE": {
+      if (state.awaiting?.type !== "CHOOSE_NOBLE") return reject("NOTHING_TO_CHOOSE", "No noble to choose");
+
+      // must be one of the nobles offered, and still on the board
+      const id = action.nobleId;
+      if (!(state.awaiting.nobleIds ?? []).includes(id)) return reject("NOBLE_NOT_OFFERED", "That noble isn't visiting you");
+      if (!(state.market?.nobles ?? []).some(n => n?.id === id)) return reject("NOBLE_NOT_OFFERED", "That noble is gone");
+
+      return null;
+    }
+
+    case "CHOOSE_CITY": {
+      if (state.awaiting?.type !== "CHOOSE_CITY") return reject("NOTHING_TO_CHOOSE", "No city to choose");
+
+      // must be one of the cities offered, and on the board
+      const id = action.cityId;
+      if (!(state.awaiting.cityIds ?? []).includes(id)) return reject("CITY_NOT_OFFERED", "You don't qualify for that city");
+      if (!(state.market?.cities ?? []).some(c => c?.id === id)) return reject("CITY_NOT_OFFERED", "That city isn't on the board");
+
+      return null;
+    }
+
+    case "CHOOSE_BONUS": {
+      if (state.awaiting?.type !== "CHOOSE_BONUS") return reject("NOTHING_TO_CHOOSE", "No joker to place");
+      if (!(state.awaiting.colors ?? []).includes(action.color)) {
+        return reject("COLOR_NOT_OFFERED", "The joker can only copy a color you have a bonus in");
+      }
+      return null;
+    }
+
+    case "TAKE_CARD": {
+      if (state.awaiting?.type !== "TAKE_CARD") return reject("NOTHING_TO_TAKE", "No free card to take");
+
       const id = cardIdFromActionCard(action.card);
-      if (!id) return false;
+      if (!id) return reject("MALFORMED", "Malformed action");
+
+      const slot = findMarketCardById(id);
+      if (!slot?.card) return reject("CARD_NOT_AVAILABLE", "That card is no longer on the board");
+      if (slot.rowKey !== `tier${state.awaiting.tier}`) return reject("WRONG_TIER", `Take a level ${state.awaiting.tier} card`);
+      if (!hasBonusToCopy(slot.card, currentPlayer)) return reject("NO_BONUS_TO_COPY", "A joker needs a bonus to copy");
+
+      return null;
+    }
 
-      // max 3 reserved
+    case "TAKE_FREE_TOKEN": {
+      if (state.awaiting?.type !== "TAKE_FREE_TOKEN") return reject("NOTHING_TO_TAKE", "No free token to take");
+      if (action.color === WILD) return reject("TAKE_GOLD", "Gold only comes with a reserve");
+      if (!COLORS.includes(action.color)) return reject("MALFORMED", "Malformed action");
+      if ((bank[action.color] ?? 0) < 1) return reject("BANK_SHORT", `Bank has no ${action.color} left`);
+      return null;
+    }
+
+    case "RESERVE_CARD": {
+      // reserve limit (room option, official: 3)
       const reservedCount = (currentPlayer.reserved ?? []).length;
-      if (reservedCount >= 3) return false;
+      if (reservedCount >= reserveLimit) {
+        return reject("RESERVE_LIMIT", `Reserve limit reached (${plural(reserveLimit, "card")})`);
+      }
 
-      // must exist in market (for now — reserving from top of deck can be added later)
+      // blind reserve: top card of a deck, which must not be empty
+      if (action.deck != null) {
+        if (!["tier1", "tier2", "tier3"].includes(action.deck)) return reject("MALFORMED", "Malformed action");
+        if (deckCount(state.decks?.[action.deck]) > 0) return null;
+        return reject("DECK_EMPTY", `The level ${action.deck.slice(4)} deck is empty`);
+      }
+
+      const id = cardIdFromActionCard(action.card);
+      if (!id) return reject("MALFORMED", "Malformed action");
+
+      // otherwise must exist in market
       const slot = findMarketCardById(id);
-      if (!slot?.card) return false;
+      if (!slot?.card) return reject("CARD_NOT_AVAILABLE", "That card is no longer on the board");
 
-      return true;
+      return null;
     }
 
     case "BUY_CARD": {
       const id = cardIdFromActionCard(action.card);
-      if (!id) return false;
+      if (!id) return reject("MALFORMED", "Malformed action");
 
       // can buy from reserved or from market
       const fromRes = findReservedCardById(currentPlayer, id);
       const fromMkt = findMarketCardById(id);
 
       const card = fromRes?.card ?? fromMkt?.card;
-      if (!card) return false;
+      if (!card) return reject("CARD_NOT_AVAILABLE", "That card is no longer available");
+      if (!hasBonusToCopy(card, currentPlayer)) return reject("NO_BONUS_TO_COPY", "A joker needs a bonus to copy");
+
+      // a chosen payment must cover the cost exactly
+      if (action.payment != null) return paymentProblem(card, currentPlayer, action.payment);
 
       // must be affordable (incl wild)
-      if (!computePaymentOk(card, currentPlayer)) return false;
+      const short = paymentShortfall(card, currentPlayer);
+      if (short > 0) return reject("CANNOT_AFFORD", `Short ${plural(short, "gem")}`);
 
-      return true;
+      return null;
     }
 
     default:
-      return false;
+      return reject("UNKNOWN_ACTION", `Unknown action ${action.type}`);
   }
 }
@@ -1,8 +1,23 @@
 import { DEFS } from "./defs.js";
+import { createRng, normalizeSeed, randomSeed } from "./rng.js";
+import { normalizeOptions } from "./options.js";
 
-const initialState = (numbersOfPlayers, gameID) => {
+/**
+ * initialState(numbersOfPlayers, gameID, seed?, options?)
+ * -------------------------------------------------------
+ * Same seed + player count => same decks, market and nobles.
+ * With the cities option the nobles stay in their deck and 3 cities are
+ * dealt into market.cities instead; with the orient option the Orient
+ * cards are shuffled into the tier decks; with the tradingPosts option the
+ * trading posts are laid out in market.tradingPosts (not shuffled).
+ * The seed is recorded in state so a game can be replayed or re-dealt.
+ * `options` are the room's game options (engine/options.js); a random
+ * first player is drawn from the same seed, after the deal.
+ */
+const initialState = (numbersOfPlayers, gameID, seed = randomSeed(), options = {}) => {
   const state = {
     gameID,
+    seed: normalizeSeed(seed),
 
     players: [],
 
@@ -22,31 +37,55 @@ const initialState = (numbersOfPlayers, gameID) => {
       nobles: [],
       bank: {},
     },
+    options: normalizeOptions(options),
+
     // turn control
     turn: 1,
+    firstPlayerIndex: 0, // rounds start (and the final round ends) with this seat
     activePlayerIndex: 0,
+    // pending sub-step the active player must resolve before the turn ends,
+    // e.g. { type: "DISCARD_TOKENS", count: 2 }; null when nothing is owed
+    awaiting: null,
     log: [], // optional: helps debugging
     hotSeat: false
   };
 
+  // one generator for the whole setup; shuffle order matters for determinism
+  const rng = createRng(state.seed);
+
   state.players = createPlayers(numbersOfPlayers);
-  state.decks.tier1 = shuffle(filterTier(DEFS.CARDS, 1));
-  state.decks.tier2 = shuffle(filterTier(DEFS.CARDS, 2));
-  state.decks.tier3 = shuffle(filterTier(DEFS.CARDS, 3));
-  state.decks.nobles = shuffle([...DEFS.NOBLES]);
+  const cards = state.options.orient ? [...DEFS.CARDS, ...DEFS.ORIENT_CARDS] : DEFS.CARDS;
+  state.decks.tier1 = shuffle(filterTier(cards, 1), rng);
+  state.decks.tier2 = shuffle(filterTier(cards, 2), rng);
+  state.decks.tier3 = shuffle(filterTier(cards, 3), rng);
+  state.decks.nobles = shuffle([...DEFS.NOBLES], rng);
   state.market.cards.tier1 = deal(state.decks.tier1, 4);
   state.market.cards.tier2 = deal(state.decks.tier2, 4);
   state.market.cards.tier3 = deal(state.decks.tier3, 4);
-  state.market.nobles = deal(state.decks.nobles, DEFS.NUMBER_NOBLES_BY_PLAYERS[numbersOfPlayers]);
+  if (state.options.cities) {
+    state.decks.cities = shuffle([...DEFS.CITIES], rng);
+    state.market.cities = deal(state.decks.cities, DEFS.NUMBER_CITIES);
+  } else {
+    state.market.nobles = deal(state.decks.nobles, DEFS.NUMBER_NOBLES_BY_PLAYERS[numbersOfPlayers]);
+  }
+  if (state.options.tradingPosts) {
+    state.market.tradingPosts = structuredClone(DEFS.TRADING_POSTS);
+  }
   state.market.bank = structuredClone(DEFS.TOKEN_POOL_BY_PLAYERS[numbersOfPlayers]);
-  
+
+  const first = state.options.firstPlayer === "random"
+    ? Math.floor(rng() * numbersOfPlayers)
+    : state.options.firstPlayer;
+  state.firstPlayerIndex = first < numbersOfPlayers ? first : 0;
+  state.activePlayerIndex = state.firstPlayerIndex;
+
   return state;
 };
 
-function shuffle (arr) {
+function shuffle (arr, rng) {
   let a = arr.slice();
   for ( let i = a.length - 1; i > 0; i-- ) {
-    let j = Math.floor( Math.random() * (i + 1) );
+    let j = Math.floor( rng() * (i + 1) );
     [ a[i], a[j] ] = [ a[j], a[i] ];
   }
   return a
@@ -68,6 +107,8 @@ function createPlayer (number) {
     cards: [],
     reserved: [],
     nobles: [],
+    cities: [], // Cities module: the city this player qualified for
+    coats: [], // Trading Posts module: posts this player has a coat of arms on
     tokens: { white: 0, blue: 0, green: 0, red: 0, black: 0, yellow: 0 },
     //bonus: this is calculated and rendered, not part of state
     //gems: this is calculated and rendered, not part of state
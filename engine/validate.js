@@ -0,0 +1,166 @@
+// engine/validate.js
+// Invariant checker for authoritative state (safe for server)
+// Cheap enough to run after every action while debugging.
+
+import { DEFS } from "./defs.js";
+import { gameOptions } from "./options.js";
+
+const TIERS = ["tier1", "tier2", "tier3"];
+const TOKEN_COLORS = ["white", "blue", "green", "red", "black", "yellow"];
+
+/**
+ * validateState(state)
+ * --------------------
+ * Returns a list of human-readable violations; empty means the state is sound.
+ * Checks:
+ * - tokens: bank + all hands equal TOKEN_POOL_BY_PLAYERS, nothing negative
+ * - cards: every DEFS.CARDS id (plus DEFS.ORIENT_CARDS with the orient option)
+ *   exactly once across decks, market, reserved, purchased
+ * - nobles: every DEFS.NOBLES id exactly once across deck, board, claimed
+ * - cities (Cities module): every DEFS.CITIES id exactly once across deck and
+ *   board, at most one per player and only cities from the board
+ * - trading posts (Trading Posts module): the DEFS.TRADING_POSTS are on the
+ *   board, coats only on those posts and at most one per post per player
+ * - limits: reserve limit, hand limit (unless a discard is owed or the turn
+ *   is still open), both from the
+ *   game options; turn pointer (in range, never on a forfeited player)
+ * Expects the full server state, not a viewFor(...) projection.
+ */
+export function validateState(state) {
+  const errors = [];
+  if (!state) return ["state is missing"];
+
+  const players = state.players ?? [];
+  const n = players.length;
+  const pool = DEFS.TOKEN_POOL_BY_PLAYERS[n];
+
+  if (!pool) errors.push(`unsupported player count ${n}`);
+  if (!(state.activePlayerIndex >= 0 && state.activePlayerIndex < n)) {
+    errors.push(`activePlayerIndex ${state.activePlayerIndex} out of range`);
+  }
+  if (!state.gameOver && players[state.activePlayerIndex]?.forfeited) {
+    errors.push(`active player ${players[state.activePlayerIndex].id} has forfeited`);
+  }
+
+  // --- Tokens
+
+  for (const color of TOKEN_COLORS) {
+    const bank = state.market?.bank?.[color] ?? 0;
+    if (!Number.isInteger(bank) || bank < 0) errors.push(`bank ${color} is ${bank}`);
+
+    let inHands = 0;
+    for (const p of players) {
+      const held = p.tokens?.[color] ?? 0;
+      if (!Number.isInteger(held) || held < 0) errors.push(`${p.id} holds ${held} ${color}`);
+      inHands += held;
+    }
+
+    if (pool && bank + inHands !== pool[color]) {
+      errors.push(`${color} tokens: bank ${bank} + hands ${inHands} != pool ${pool[color]}`);
+    }
+  }
+
+  // --- Cards
+
+  const seen = new Map(); // id -> where
+  function place(card, where) {
+    if (!card) return;
+    if (!card.id) { errors.push(`card without id in ${where}`); return; }
+    if (seen.has(card.id)) errors.push(`card ${card.id} in both ${seen.get(card.id)} and ${where}`);
+    else seen.set(card.id, where);
+  }
+
+  for (const tier of TIERS) {
+    const deck = state.decks?.[tier];
+    if (!Array.isArray(deck)) errors.push(`decks.${tier} is not a deck (projected state?)`);
+    else deck.forEach(c => place(c, `decks.${tier}`));
+
+    const row = state.market?.cards?.[tier] ?? [];
+    if (row.length > 4) errors.push(`market ${tier} has ${row.length} slots`);
+    row.forEach(c => place(c, `market.${tier}`));
+  }
+  for (const p of players) {
+    (p.cards ?? []).forEach(c => place(c, `${p.id}.cards`));
+    (p.reserved ?? []).forEach(c => place(c, `${p.id}.reserved`));
+  }
+  const allCards = gameOptions(state).orient ? [...DEFS.CARDS, ...DEFS.ORIENT_CARDS] : DEFS.CARDS;
+  for (const card of allCards) {
+    if (!seen.has(card.id)) errors.push(`card ${card.id} is missing`);
+  }
+  if (seen.size > allCards.length) errors.push(`${seen.size - allCards.length} unknown card(s)`);
+
+  // --- Nobles
+
+  const nobles = new Map();
+  function placeNoble(noble, where) {
+    if (nobles.has(noble?.id)) errors.push(`noble ${noble?.id} in both ${nobles.get(noble.id)} and ${where}`);
+    else nobles.set(noble?.id, where);
+  }
+  if (Array.isArray(state.decks?.nobles)) state.decks.nobles.forEach(nb => placeNoble(nb, "decks.nobles"));
+  (state.market?.nobles ?? []).forEach(nb => placeNoble(nb, "market.nobles"));
+  for (const p of players) (p.nobles ?? []).forEach(nb => placeNoble(nb, `${p.id}.nobles`));
+  for (const noble of DEFS.NOBLES) {
+    if (!nobles.has(noble.id)) errors.push(`noble ${noble.id} is missing`);
+  }
+
+  // --- Cities
+
+  if (gameOptions(state).cities) {
+    const cities = new Map();
+    const deck = Array.isArray(state.decks?.cities) ? state.decks.cities : [];
+    for (const [city, where] of [
+      ...deck.map(c => [c, "decks.cities"]),
+      ...(state.market?.cities ?? []).map(c => [c, "market.cities"]),
+    ]) {
+      if (cities.has(city?.id)) errors.push(`city ${city?.id} in both ${cities.get(city.id)} and ${where}`);
+      else cities.set(city?.id, where);
+    }
+    for (const city of DEFS.CITIES) {
+      if (!cities.has(city.id)) errors.push(`city ${city.id} is missing`);
+    }
+    for (const p of players) {
+      if ((p.cities ?? []).length > 1) errors.push(`${p.id} has ${p.cities.length} cities`);
+      for (const city of p.cities ?? []) {
+        if (cities.get(city?.id) !== "market.cities") errors.push(`${p.id} holds city ${city?.id} that isn't on the board`);
+      }
+    }
+  }
+
+  // --- Trading posts
+
+  if (gameOptions(state).tradingPosts) {
+    const posts = new Set((state.market?.tradingPosts ?? []).map(post => post?.id));
+    for (const post of DEFS.TRADING_POSTS) {
+      if (!posts.has(post.id)) errors.push(`trading post ${post.id} is missing`);
+    }
+    for (const p of players) {
+      const seen = new Set();
+      for (const coat of p.coats ?? []) {
+        if (!posts.has(coat?.id)) errors.push(`${p.id} has a coat on ${coat?.id} that isn't on the board`);
+        if (seen.has(coat?.id)) errors.push(`${p.id} has two coats on ${coat?.id}`);
+        seen.add(coat?.id);
+      }
+    }
+  }
+
+  // --- Limits
+
+  const { reserveLimit, handLimit } = gameOptions(state);
+  players.forEach((p, i) => {
+    if ((p.reserved ?? []).length > reserveLimit) errors.push(`${p.id} has ${p.reserved.length} reserved`);
+
+    const held = Object.values(p.tokens ?? {}).reduce((s, v) => s + v, 0);
+    const owesDiscard = i === state.activePlayerIndex && state.awaiting?.type === "DISCARD_TOKENS";
+    if (owesDiscard) {
+      if (held - state.awaiting.count !== handLimit) {
+        errors.push(`${p.id} owes ${state.awaiting.count} but holds ${held}`);
+      }
+    } else {
+      // a free token can go 1 over mid-turn; the discard is owed once the turn ends
+      const midTurn = i === state.activePlayerIndex && state.awaiting;
+      if (held > handLimit + (midTurn ? 1 : 0)) errors.push(`${p.id} holds ${held} tokens`);
+    }
+  });
+
+  return errors;
+}
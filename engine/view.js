@@ -0,0 +1,49 @@
+// engine/view.js
+// Per-viewer projection of authoritative state (safe for server)
+// The server keeps the full state; clients only ever receive viewFor(...).
+
+/**
+ * viewFor(state, viewerIndex)
+ * --------------------------
+ * Returns a copy of state with information the viewer must not see removed:
+ * - deck contents (decks.tier1/2/3, decks.nobles, decks.cities) are reduced to counts,
+ *   so the shuffled order of upcoming cards never reaches a browser
+ * - blind-reserved cards of other players are reduced to { blind, tier }
+ * - the setup seed (which would rebuild every deck) until the game is over
+ *
+ * viewerIndex is the viewer's seat (0..3), or null for spectators, who get
+ * the public view only (every blind-reserved card hidden).
+ * Never mutates state.
+ */
+export function viewFor(state, viewerIndex) {
+  if (!state) return state;
+
+  const decks = {};
+  for (const [key, deck] of Object.entries(state.decks ?? {})) {
+    decks[key] = deckCount(deck);
+  }
+
+  const players = (state.players ?? []).map((player, i) => {
+    if (i === viewerIndex) return player;
+    if (!(player.reserved ?? []).some(c => c?.blind)) return player;
+    return {
+      ...player,
+      reserved: player.reserved.map(c => c?.blind ? hiddenCard(c) : c),
+    };
+  });
+
+  const view = { ...state, decks, players };
+  if (!state.gameOver) delete view.seed;
+
+  return view;
+}
+
+// Accepts either a full deck (array) or an already-projected count.
+export function deckCount(deck) {
+  return Array.isArray(deck) ? deck.length : (Number(deck) || 0);
+}
+
+// Face-down stand-in: the tier (card back) is public, the identity is not.
+function hiddenCard(card) {
+  return { id: null, tier: card.tier, blind: true, hidden: true };
+}
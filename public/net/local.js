@@ -0,0 +1,444 @@
+// public/net/local.js
+// Offline transport for Trevdor: server.js's rooms (engine/rooms.js), run in the page.
+// - same interface as createTransport (net/transport.js), same protocol,
+//   so trevdor.js can't tell the difference
+// - one client (this page): games against bots or pass and play
+// - started games are saved to localStorage and listed in the lobby
+// - not offline: time controls, chat, spectators; bots think on the main thread
+
+import { viewFor } from "../engine/view.js";
+import { diffState } from "../engine/patch.js";
+import { BOT_THINK_MS } from "../engine/bots.js";
+import {
+  newRoom, generateRoomId, roomSnapshot, restoreRoom, viewerIndex, roomSummary, historyMessage,
+  addBot, addLocalPlayer, removeSeat, setOptions, toggleReady,
+  tryAction, recordAction, autoMoveDue, autoMove, undoBlocker, takeBack,
+} from "../engine/rooms.js";
+
+const STORAGE_KEY = "trevdor.offline.rooms";
+const CLIENT_ID = 1; // the page is the only client
+
+/**
+ * createLocalTransport({ name, sessionId, onMessage, onOpen, storage })
+ * ---------------------------------------------------------------------
+ * Messages go both ways through setTimeout and a JSON round trip, like the
+ * wire: replies arrive after sendRaw returns, in order, and never share
+ * objects with the authoritative rooms.
+ * `url`, onClose and the reconnect options of createTransport are accepted
+ * and ignored: there is no connection to lose.
+ */
+export function createLocalTransport({
+  name = "player",
+  sessionId = null,
+  onMessage = () => {},
+  onOpen = () => {},
+  storage = globalThis.localStorage,
+} = {}) {
+  const rooms = loadRooms(storage);
+  let open = false;
+  let currentRoomId = null; // rejoin target, as in createTransport
+  let joinedRoomId = null;  // the room the "server" has us in (WELCOME sent)
+
+  function deliver(msg) {
+    const copy = JSON.parse(JSON.stringify(msg));
+    setTimeout(() => { if (open) onMessage(copy); }, 0);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rooms (mirrors server.js)
+  // ---------------------------------------------------------------------------
+
+  function save() {
+    const started = [...rooms].filter(([, room]) => room.started);
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify(started.map(([roomId, room]) => [roomId, roomSnapshot(room)])));
+    } catch (err) {
+      console.error("saving offline games failed:", err.message);
+    }
+  }
+
+  function mySeat(room) {
+    return room.seats.findIndex(s => s?.clientId === CLIENT_ID);
+  }
+
+  // Same rule as server.js viewerIndexFor()
+  function viewerFor(room, state) {
+    return viewerIndex(room, mySeat(room), state);
+  }
+
+  function roomListMessage() {
+    const joined = joinedRoomId && rooms.get(joinedRoomId);
+    return {
+      type: "ROOM_LIST",
+      yourClientId: CLIENT_ID,
+      rooms: [...rooms].map(([roomId, room]) => ({
+        ...roomSummary(roomId, room),
+        spectatorCount: 0,
+        players: room.seats
+          .map((s, seat) => s && { name: s.name, seat, bot: s.bot ?? null, local: !!s.local, wsOpen: true, lastActivity: null })
+          .filter(Boolean),
+        spectators: [],
+      })),
+      users: [{ clientId: CLIENT_ID, name, location: joined ? joined.name : "Lobby", lastActivity: Date.now(), wsOpen: true }],
+    };
+  }
+
+  function roomMessage(roomId) {
+    const room = rooms.get(roomId);
+    return {
+      type: "ROOM",
+      roomId,
+      clients: room.seats.map((s, i) => ({
+        seat: i,
+        clientId: s?.clientId ?? null,
+        name: s?.name ?? null,
+        occupied: !!s,
+        bot: s?.bot ?? null,
+        local: !!s?.local,
+        wsOpen: !!s,
+        lastActivity: null,
+      })),
+      spectators: [],
+      ready: room.ready,
+      started: room.started,
+      name: room.name,
+      host: CLIENT_ID,
+      clock: null,
+      hotSeat: room.hotSeat,
+      options: room.options,
+    };
+  }
+
+  function stateMessage(roomId) {
+    const room = rooms.get(roomId);
+    return {
+      type: "STATE",
+      roomId,
+      version: room.version,
+      state: viewFor(room.state, viewerFor(room, room.state)),
+      clock: null,
+    };
+  }
+
+  function enterRoom(roomId) {
+    const room = rooms.get(roomId);
+    const seat = mySeat(room);
+    joinedRoomId = roomId;
+    currentRoomId = roomId;
+    if (room.state?.players?.[seat]) room.state.players[seat].name = name;
+
+    deliver({ type: "WELCOME", roomId, clientId: CLIENT_ID, name, playerIndex: seat, spectator: false, sessionId });
+    deliver(roomMessage(roomId));
+    if (room.state) {
+      deliver(stateMessage(roomId));
+      deliver(historyMessage(roomId, room));
+    }
+    deliver(roomListMessage());
+    scheduleBotTurn(roomId);
+  }
+
+  // Like a seated player leaving: a started game stays (saved), a lobby goes
+  function exitRoom() {
+    const room = joinedRoomId && rooms.get(joinedRoomId);
+    if (room) {
+      stopBots(room);
+      if (!room.started) rooms.delete(joinedRoomId);
+    }
+    joinedRoomId = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Turns, bots, undo
+  // ---------------------------------------------------------------------------
+
+  function commitAction(roomId, prev, next, action) {
+    const room = rooms.get(roomId);
+    const entry = recordAction(room, prev, next, action);
+
+    if (joinedRoomId === roomId) {
+      deliver({
+        type: "PATCH",
+        roomId,
+        version: room.version,
+        ops: diffState(viewFor(prev, viewerFor(room, prev)), viewFor(next, viewerFor(room, next))),
+        entry,
+        clock: null,
+      });
+      if (next.gameOver && !prev.gameOver) deliver(historyMessage(roomId, room));
+    }
+
+    save();
+    scheduleBotTurn(roomId);
+  }
+
+  // Bots (and passes for a seat with no legal move, see autoMoveDue) only
+  // happen while we're watching, like the server's "nobody connected"
+  function scheduleBotTurn(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || room.botTimer || !autoMoveDue(room)) return;
+    if (joinedRoomId !== roomId || !open) return;
+
+    room.botTimer = setTimeout(() => {
+      room.botTimer = null;
+      if (rooms.get(roomId) !== room || joinedRoomId !== roomId) return;
+
+      const move = autoMove(room);
+      if (!move) return;
+      commitAction(roomId, room.state, move.next, move.action);
+    }, BOT_THINK_MS);
+  }
+
+  function stopBots(room) {
+    clearTimeout(room.botTimer);
+    room.botTimer = null;
+  }
+
+  // With nobody else to ask, an allowed undo (undoBlocker) happens right away
+  function undo(roomId, seat) {
+    const room = rooms.get(roomId);
+    stopBots(room);
+    takeBack(room);
+
+    deliver({ type: "UNDO_RESOLVED", roomId, seat, accepted: true });
+    deliver(stateMessage(roomId));
+    deliver(historyMessage(roomId, room));
+    save();
+    scheduleBotTurn(roomId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Incoming messages
+  // ---------------------------------------------------------------------------
+
+  function receive(msg) {
+    const room = joinedRoomId ? rooms.get(joinedRoomId) : null;
+
+    if (msg.type === "JOIN") {
+      const roomId = String(msg.roomId || "").trim();
+      if (!rooms.has(roomId)) {
+        deliver({ type: "ROOM_NOT_FOUND", roomId });
+        deliver(roomListMessage());
+        return;
+      }
+      if (typeof msg.name === "string" && msg.name.trim()) name = msg.name.trim();
+      if (joinedRoomId !== roomId) exitRoom();
+      enterRoom(roomId);
+      return;
+    }
+
+    if (msg.type === "CREATE_GAME") {
+      if (typeof msg.name === "string" && msg.name.trim()) name = msg.name.trim();
+      const seed = (typeof msg.seed === "number" && Number.isFinite(msg.seed))
+        || (typeof msg.seed === "string" && msg.seed.trim())
+        ? msg.seed
+        : null;
+
+      let roomId;
+      do { roomId = generateRoomId(); } while (rooms.has(roomId));
+      const created = newRoom({ name: `${name}'s Game`, createdBy: CLIENT_ID, seed, hotSeat: msg.hotSeat === true, options: msg.options });
+      created.seats[0] = { clientId: CLIENT_ID, name };
+      rooms.set(roomId, created);
+      exitRoom();
+      enterRoom(roomId);
+      return;
+    }
+
+    if (msg.type === "LEAVE_ROOM") {
+      exitRoom();
+      currentRoomId = null;
+      deliver(roomListMessage());
+      return;
+    }
+
+    if (msg.type === "CLOSE_ROOM") {
+      const roomId = String(msg.roomId || "").trim();
+      const closing = rooms.get(roomId);
+      if (!closing) return;
+      stopBots(closing);
+      rooms.delete(roomId);
+      save();
+      if (joinedRoomId === roomId) {
+        joinedRoomId = null;
+        deliver({ type: "ROOM_NOT_FOUND", roomId });
+      }
+      deliver(roomListMessage());
+      return;
+    }
+
+    if (msg.type === "RENAME_ROOM") {
+      const newName = String(msg.name || "").trim().slice(0, 40);
+      if (!room || !newName) return;
+      room.name = newName;
+      deliver(roomMessage(joinedRoomId));
+      deliver(roomListMessage());
+      save();
+      return;
+    }
+
+    if (msg.type === "SET_OPTIONS") {
+      if (!room || room.started || !setOptions(room, msg.options)) return;
+      deliver(roomMessage(joinedRoomId));
+      return;
+    }
+
+    if (msg.type === "ADD_BOT" || msg.type === "ADD_PLAYER") {
+      if (!room || room.started || (msg.type === "ADD_PLAYER" && !room.hotSeat)) return;
+      const idx = msg.type === "ADD_BOT" ? addBot(room, msg.level) : addLocalPlayer(room, msg.name);
+      if (idx === -1) return;
+      deliver(roomMessage(joinedRoomId));
+      deliver(roomListMessage());
+      return;
+    }
+
+    if (msg.type === "REMOVE_BOT") {
+      if (!room || room.started || !removeSeat(room, msg.seat)) return;
+      deliver(roomMessage(joinedRoomId));
+      deliver(roomListMessage());
+      return;
+    }
+
+    if (msg.type === "READY") {
+      if (!room || room.started) return;
+      toggleReady(room, mySeat(room), joinedRoomId);
+
+      deliver(roomMessage(joinedRoomId));
+      if (room.started) {
+        deliver(stateMessage(joinedRoomId));
+        deliver(historyMessage(joinedRoomId, room));
+        deliver(roomListMessage());
+        save();
+        scheduleBotTurn(joinedRoomId);
+      }
+      return;
+    }
+
+    if (msg.type === "ACTION") {
+      if (!room) {
+        deliver({ type: "ERROR", message: "You must JOIN a room first" });
+        return;
+      }
+      if (!msg.action?.type) {
+        deliver({ type: "ERROR", message: "ACTION requires action.type" });
+        return;
+      }
+
+      // Pass and play acts for every seat but the bots' (see tryAction)
+      const { next, rejected, resend } = tryAction(room, mySeat(room), msg.action);
+      if (rejected) {
+        deliver({ type: "REJECTED", roomId: joinedRoomId, ...rejected });
+        if (resend) deliver(stateMessage(joinedRoomId));
+        return;
+      }
+
+      commitAction(joinedRoomId, room.state, next, msg.action);
+      return;
+    }
+
+    if (msg.type === "UNDO_REQUEST") {
+      if (!room) return;
+      const seat = mySeat(room);
+      const blocker = undoBlocker(room, seat);
+      if (blocker) {
+        deliver({ type: "REJECTED", roomId: joinedRoomId, reason: "UNDO_NOT_ALLOWED", code: "UNDO_NOT_ALLOWED", message: blocker });
+        return;
+      }
+      undo(joinedRoomId, seat);
+      return;
+    }
+
+    if (msg.type === "RESYNC") {
+      if (!room?.state) return;
+      deliver(stateMessage(joinedRoomId));
+      deliver(historyMessage(joinedRoomId, room));
+      return;
+    }
+
+    if (msg.type === "IDENTIFY") {
+      const newName = typeof msg.name === "string" ? msg.name.trim().slice(0, 20) : "";
+      if (newName) name = newName;
+      deliver(roomListMessage());
+      return;
+    }
+
+    // Nobody to answer, chat with or show a cursor to
+    if (["UNDO_REPLY", "SAY", "CURSOR", "PING"].includes(msg.type)) return;
+
+    deliver({ type: "ERROR", message: `Unknown type: ${msg.type}` });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transport interface
+  // ---------------------------------------------------------------------------
+
+  function connect() {
+    if (open) return;
+    open = true;
+    sessionId ??= Math.random().toString(36).slice(2, 10);
+    setTimeout(() => {
+      if (!open) return;
+      onOpen();
+      deliver(roomListMessage());
+      if (currentRoomId) receive({ type: "JOIN", roomId: currentRoomId, name });
+    }, 0);
+  }
+
+  function joinRoom(roomId) {
+    currentRoomId = roomId;
+    return sendRaw({ type: "JOIN", roomId, name });
+  }
+
+  function leaveRoom() {
+    sendRaw({ type: "LEAVE_ROOM" });
+    currentRoomId = null;
+  }
+
+  function send(type, payload = {}) {
+    return sendRaw({ type, ...payload });
+  }
+
+  function sendRaw(obj) {
+    if (!open) return false;
+    const msg = JSON.parse(JSON.stringify(obj));
+    setTimeout(() => { if (open) receive(msg); }, 0);
+    return true;
+  }
+
+  function close() {
+    open = false;
+    for (const room of rooms.values()) stopBots(room);
+  }
+
+  return {
+    connect,
+    joinRoom,
+    leaveRoom,
+    send,
+    sendRaw,
+    isOpen: () => open,
+    close,
+    setSessionId(id) { sessionId = id; },
+    setName(n)       { name = n; },
+    setRoomId(id)    { currentRoomId = id; },
+    getRoomId()      { return currentRoomId; },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Rooms + storage
+// -----------------------------------------------------------------------------
+
+// Saved games; anything unreadable is skipped rather than breaking the lobby
+function loadRooms(storage) {
+  const rooms = new Map();
+  let saved = [];
+  try {
+    saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? "[]");
+  } catch (err) {
+    console.error("reading offline games failed:", err.message);
+  }
+  for (const [roomId, snap] of Array.isArray(saved) ? saved : []) {
+    const room = restoreRoom(snap);
+    if (room) rooms.set(roomId, room);
+  }
+  return rooms;
+}
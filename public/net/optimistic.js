@@ -0,0 +1,132 @@
+// public/net/optimistic.js
+// Client-side prediction for our own actions.
+// - keeps the last server-confirmed view + its version
+// - runs our actions through the engine reducer immediately (provisional view)
+// - drops the prediction when the server confirms, rejects or moves on without it
+
+import { applyAction } from "../engine/reducer.js";
+import { applyPatch } from "../engine/patch.js";
+import { deckCount } from "../engine/view.js";
+
+/**
+ * createOptimisticState()
+ * -----------------------
+ * confirmed  last STATE/PATCH result from the server (a viewFor projection)
+ * pending    our actions sent but not yet acknowledged, oldest first
+ * view       confirmed with every pending action applied: what we draw
+ *
+ * A turn can send several actions before the server answers (BUY_CARD,
+ * then CHOOSE_NOBLE), so pending is a queue, replayed on top of each
+ * new confirmed view.
+ *
+ * This module knows NOTHING about sockets or rendering.
+ */
+export function createOptimisticState() {
+  let confirmed = null;
+  let version = null;
+  let pending = [];
+  let view = null;
+
+  // Replays pending on top of confirmed; stops (and forgets the rest) at
+  // the first action the reducer no longer accepts.
+  function rebuild() {
+    view = confirmed;
+    for (let i = 0; i < pending.length; i++) {
+      const next = predict(view, pending[i]);
+      if (!next) { pending = pending.slice(0, i); break; }
+      view = next;
+    }
+  }
+
+  return {
+    get view() { return view; },
+    get confirmed() { return confirmed; },
+    get version() { return version; },
+    get hasPending() { return pending.length > 0; },
+
+    /** Full STATE from the server: authoritative, drops any prediction. */
+    reset(state, v) {
+      confirmed = state;
+      version = state ? v : null;
+      pending = [];
+      view = confirmed;
+    },
+
+    /**
+     * Apply our own action locally. Returns false (and records nothing)
+     * when the reducer refuses it; the caller still sends it and lets the
+     * server decide.
+     */
+    predict(action) {
+      const next = view && predict(view, action);
+      if (!next) return false;
+      pending.push(action);
+      view = next;
+      return true;
+    },
+
+    /**
+     * PATCH from the server. Returns false on a version gap (caller should
+     * RESYNC). A PATCH for our oldest pending action confirms it; anything
+     * else means the server went another way, so the prediction is dropped.
+     * `rolledBack` tells the caller the drawn view jumped back.
+     */
+    applyPatch(ops, v, entry, myPlayerIndex) {
+      if (!confirmed || v !== version + 1) return { ok: false };
+
+      confirmed = applyPatch(confirmed, ops);
+      version = v;
+
+      let rolledBack = false;
+      let ownConfirmed = false;
+      if (pending.length) {
+        if (entry?.actor === myPlayerIndex && entry.action?.type === pending[0].type) {
+          pending.shift();
+          ownConfirmed = true;
+        } else {
+          pending = [];
+          rolledBack = true;
+        }
+      }
+      rebuild();
+      return { ok: true, ownConfirmed, rolledBack };
+    },
+
+    /** REJECTED: back to the last confirmed view. Returns true if anything was undone. */
+    rollback() {
+      const had = pending.length > 0;
+      pending = [];
+      view = confirmed;
+      return had;
+    },
+  };
+}
+
+// The reducer on a projected view: decks are only counts there, so expand
+// them into face-down stand-ins for the reducer to draw from, then count
+// them again. A refilled market slot stays empty until the server says
+// which card it was; a blind reserve shows its card back.
+function predict(view, action) {
+  const withDecks = { ...view, decks: {} };
+  for (const [key, deck] of Object.entries(view.decks ?? {})) {
+    withDecks.decks[key] = Array.isArray(deck)
+      ? deck
+      : Array.from({ length: deckCount(deck) }, () => standIn(key));
+  }
+
+  const next = applyAction(withDecks, action);
+  if (next === withDecks) return null;
+
+  for (const [key, deck] of Object.entries(next.decks)) {
+    if (!Array.isArray(view.decks[key])) next.decks[key] = deck.length;
+  }
+  for (const row of Object.values(next.market?.cards ?? {})) {
+    row.forEach((card, i) => { if (card?.hidden) row[i] = null; });
+  }
+  return next;
+}
+
+function standIn(deckKey) {
+  const tier = Number(deckKey.replace("tier", "")) || null;
+  return { id: null, tier, hidden: true };
+}
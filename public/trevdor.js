@@ -14,7 +14,12 @@ import { createUIEvents } from "./ui/events.js";
 import { createUIState } from "./ui/state.js";
 import { createUIController } from "./ui/controller.js";
 import { createTransport } from "./net/transport.js";
+import { createLocalTransport } from "./net/local.js";
 import { Intent } from "./ui/intent.js";
+import { createReplay } from "./ui/replay.js";
+import { createOptimisticState } from "./net/optimistic.js";
+import { DEFAULT_OPTIONS, OPTION_LIMITS, VISIBILITIES } from "./engine/options.js";
+import { bonusByColor } from "./engine/rules.js";
 import { screenToWorld } from "./ui/camera.js";
 import { DEBUG } from "./debug.js";
 import sfx from "./ui/sounds.js";
@@ -24,13 +29,21 @@ import sfx from "./ui/sounds.js";
    --------------------------------------------------------- */
 
 // Authoritative state arrives from server
-let state = null;
+let state = null;            // what we draw: sync.view (confirmed + our predicted actions)
+const sync = createOptimisticState();
 let prevState = null;        // previous game state (for sound diffing)
 let prevClientIds = new Set(); // previous occupied client IDs (for join/leave sounds)
 
 // Active room (set from WELCOME, cleared on leave)
 let currentRoomId = null;
 
+// Action log of the current room (HISTORY, plus the entry of every PATCH).
+// Once the game is over it carries the seed, which makes it replayable.
+let gameHistory = null;
+let replay = null;           // createReplay(...) while the replay viewer is open
+let undoRequest = null;      // { seat, waitingFor } while an UNDO_REQUESTED is unanswered
+let roomClock = null;        // latest clock snapshot (ROOM/STATE/PATCH) + local receivedAt, or null
+
 // Set when a player leaves their in-progress game via the lobby button.
 // Used to show "Resume" on the correct room list entry.
 // Persisted in localStorage so the label survives page refresh.
@@ -48,6 +61,11 @@ let snapRoom   = null;   // uiState.room at time of departure
 let snapState  = null;   // engine state at time of departure
 let snapMyIdx  = null;   // myPlayerIndex at time of departure
 
+// Offline: rooms and bots run in this page (net/local.js), no server needed.
+// Switched from the lobby (persisted), forced with ?offline or when opened from disk.
+const FORCED_OFFLINE = location.protocol === "file:" || new URLSearchParams(location.search).has("offline");
+const OFFLINE = FORCED_OFFLINE || localStorage.getItem("trevdor.offline") === "true";
+
 // Current session ID (updated from WELCOME; used in CREATE_GAME)
 let mySessionId = localStorage.getItem("trevdor.sessionId") || null;
 
@@ -67,6 +85,7 @@ let simplifiedPref = _storedSimplified !== null
   : true;
 let lightModePref  = localStorage.getItem("trevdor.lightMode") === "true";
 let grannyModePref = localStorage.getItem("trevdor.grannyMode") !== "false";
+let privacyPref    = localStorage.getItem("trevdor.privacyScreen") !== "false";
 sfx.enabled = soundEnabled;
 setCardArtMode(cardArtPref);
 if (lightModePref) document.body.classList.add("lightMode");
@@ -108,6 +127,10 @@ const optChat          = document.getElementById("optChat");
 const optResources     = document.getElementById("optResources");
 const optLightMode     = document.getElementById("optLightMode");
 const optGrannyMode    = document.getElementById("optGrannyMode");
+const optPrivacy       = document.getElementById("optPrivacy");
+const optPrivacyLabel  = document.getElementById("optPrivacyLabel");
+const privacyScreen    = document.getElementById("privacyScreen");
+const privacyText      = document.getElementById("privacyText");
 const resourceBanner   = document.getElementById("resourceBanner");
 const resourceContent  = document.getElementById("resourceContent");
 const chatPanel        = document.getElementById("chatPanel");
@@ -118,6 +141,14 @@ const chatBox          = document.getElementById("chatBox");
 const chatMessagesEl   = document.getElementById("chatMessages");
 const chatInput        = document.getElementById("chatInput");
 const chatSendBtn      = document.getElementById("chatSendBtn");
+const replayBtn        = document.getElementById("replayBtn");
+const replayBar        = document.getElementById("replayBar");
+const replayLabel      = document.getElementById("replayLabel");
+const rejectToast      = document.getElementById("rejectToast");
+const undoBtn          = document.getElementById("undoBtn");
+const undoPrompt       = document.getElementById("undoPrompt");
+const undoPromptText   = document.getElementById("undoPromptText");
+const undoPromptBtns   = document.getElementById("undoPromptBtns");
 
 /* ---------------------------------------------------------
    Scene management
@@ -154,13 +185,13 @@ function setScene(scene) {
     waitingSection.classList.remove("hidden");
     lobbyScene.classList.remove("withStatusBar");
     statusBar.classList.add("hidden");
-    chatPanel.classList.toggle("hidden", !chatPref);
+    chatPanel.classList.toggle("hidden", !chatPref || OFFLINE);
     resourceBanner.classList.add("hidden");
   } else if (scene === "game") {
     lobbyScene.classList.add("hidden");
     lobbyScene.classList.remove("withStatusBar");
     statusBar.classList.remove("hidden");
-    chatPanel.classList.toggle("hidden", !chatPref);
+    chatPanel.classList.toggle("hidden", !chatPref || OFFLINE);
     resourceBanner.classList.remove("hidden");
   }
 }
@@ -198,8 +229,11 @@ function returnToGameLobby() {
     transport.sendRaw({ type: "LEAVE_ROOM", roomId: currentRoomId });
   }
   currentRoomId = null;
+  sync.reset(null);
   state = null;
   prevState = null;
+  gameHistory = null;
+  closeReplay();
   prevClientIds = new Set();
   uiState.room = null;
   uiState.myPlayerIndex = null;
@@ -216,6 +250,11 @@ function returnToGameLobby() {
   chatMessagesEl.innerHTML = "";
   chatBox.classList.add("hidden");
   chatToastStack.innerHTML = "";
+  rejectToast.classList.add("hidden");
+  undoRequest = null;
+  roomClock = null;
+  updateUndoPrompt();
+  privacyScreen.classList.add("hidden");
   chatBadge.classList.add("hidden");
 
   setScene("gameLobby");
@@ -230,6 +269,29 @@ const nameHint  = document.getElementById("nameHint");
 const savedName       = localStorage.getItem("trevdor.name")      || "";
 const STORED_ROOM_ID  = localStorage.getItem("trevdor.roomId")    || null;
 
+// Invite link (?room=ID): joined as soon as we have a name. Taken out of the
+// address bar so a reload goes back through the usual saved-room rejoin.
+let linkRoomId = null;
+if (!OFFLINE) {
+  const params = new URLSearchParams(location.search);
+  linkRoomId = params.get("room");
+  if (linkRoomId) {
+    params.delete("room");
+    const query = params.toString();
+    history.replaceState(null, "", location.pathname + (query ? `?${query}` : "") + location.hash);
+  }
+}
+
+function joinLinkedRoom() {
+  const n = cleanName(nameInput?.value);
+  if (!n) return;
+  uiState.myName = n;
+  transport.setName(n);
+  transport.joinRoom(linkRoomId);
+  linkRoomId = null;
+  nameHint.textContent = "";
+}
+
 function cleanName(s) {
   return (s ?? "").trim().replace(/\s+/g, " ").slice(0, 20);
 }
@@ -240,15 +302,20 @@ let nameInput;
 function updateConnStatus(connected) {
   const el = document.getElementById("connStatus");
   if (!el) return;
+  const modeToggle = FORCED_OFFLINE ? ""
+    : ` <button id="modeToggle" class="modeToggle">${OFFLINE ? "Go online" : "Play offline"}</button>`;
   if (!connected) {
-    el.innerHTML = `Connecting…`;
+    el.innerHTML = `Connecting…` + modeToggle;
     nameInput = null;
+    wireModeToggle();
     return;
   }
   const currentName = localStorage.getItem("trevdor.name") || "";
-  el.innerHTML = `Playing as ` +
+  el.innerHTML = (OFFLINE ? `Playing offline as ` : `Playing as `) +
     `<input id="nameInput" class="nameInputInline" type="text" placeholder="your name" maxlength="20" value="${escapeHtmlAttr(currentName)}" />` +
-    `<span id="nameInputMeasure" class="nameInputMeasure"></span>`;
+    `<span id="nameInputMeasure" class="nameInputMeasure"></span>` +
+    modeToggle;
+  wireModeToggle();
   nameInput = document.getElementById("nameInput");
   const measure = document.getElementById("nameInputMeasure");
   function sizeInput() {
@@ -262,6 +329,18 @@ function updateConnStatus(connected) {
     sizeInput();
     if (n) transport.sendRaw({ type: "IDENTIFY", name: n });
   });
+  nameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && linkRoomId) joinLinkedRoom();
+  });
+}
+
+// Switching between the server and offline play starts the page over
+function wireModeToggle() {
+  document.getElementById("modeToggle")?.addEventListener("click", () => {
+    localStorage.setItem("trevdor.offline", String(!OFFLINE));
+    localStorage.removeItem("trevdor.roomId");
+    location.reload();
+  });
 }
 
 function escapeHtmlAttr(s) {
@@ -324,6 +403,15 @@ function showChatToast(msg) {
   setTimeout(() => el.remove(), TOAST_DURATION);
 }
 
+// One at a time: a newer rejection replaces the previous message.
+let rejectToastTimer = null;
+function showRejectToast(text) {
+  rejectToast.textContent = text;
+  rejectToast.classList.remove("hidden");
+  clearTimeout(rejectToastTimer);
+  rejectToastTimer = setTimeout(() => rejectToast.classList.add("hidden"), TOAST_DURATION);
+}
+
 function openChat() {
   chatOpen = true;
   chatBox.classList.remove("hidden");
@@ -354,7 +442,9 @@ function tokenCount(tokens) {
   return Object.values(tokens ?? {}).reduce((s, n) => s + n, 0);
 }
 
-function playSoundsForStateChange(prev, next) {
+// `action` (from a PATCH) says what happened; without it (full STATE) the
+// acting player's before/after is compared instead.
+function playSoundsForStateChange(prev, next, action = null) {
   // Game starts (first STATE after null, only on a fresh game — not rejoin)
   if (prev === null && next !== null) {
     if (next.turn === 1) {
@@ -379,6 +469,22 @@ function playSoundsForStateChange(prev, next) {
     sfx.yourTurn();
   }
 
+  if (action) {
+    const actor = prev.activePlayerIndex;
+    const gotNoble = (next.players[actor]?.nobles.length ?? 0) > (prev.players[actor]?.nobles.length ?? 0)
+      || (next.players[actor]?.cities?.length ?? 0) > (prev.players[actor]?.cities?.length ?? 0)
+      || (next.players[actor]?.coats?.length ?? 0) > (prev.players[actor]?.coats?.length ?? 0);
+    if (action.type === "BUY_CARD" || action.type === "TAKE_CARD") {
+      sfx.cardBuy();
+      if (gotNoble) setTimeout(() => sfx.nobleVisit(), 300);
+    } else if (action.type === "CHOOSE_NOBLE" || action.type === "CHOOSE_CITY" || gotNoble) {
+      sfx.nobleVisit();
+    } else if (action.type === "TAKE_TOKENS" || action.type === "RESERVE_CARD" || action.type === "TAKE_FREE_TOKEN") {
+      sfx.tokenPickup();
+    }
+    return;
+  }
+
   // Action sounds — compare the acting player's state
   if (prev.activePlayerIndex !== next.activePlayerIndex) {
     const actor = prev.activePlayerIndex;
@@ -390,6 +496,8 @@ function playSoundsForStateChange(prev, next) {
         if (newP.nobles.length > oldP.nobles.length) {
           setTimeout(() => sfx.nobleVisit(), 300);
         }
+      } else if (newP.nobles.length > oldP.nobles.length) {
+        sfx.nobleVisit(); // chosen after a CHOOSE_NOBLE pause
       } else if (tokenCount(newP.tokens) > tokenCount(oldP.tokens)) {
         sfx.tokenPickup();
       }
@@ -429,10 +537,11 @@ function updateGameLobby() {
     // Action button
     const watchLabel = (r.roomId === myPreviousRoomId) ? "Resume"
                      : r.gameOver                      ? "Results"
-                     : r.started                       ? "Watch"
+                     : OFFLINE                         ? "Resume" // every saved game is ours
+                     : r.started || r.hotSeat          ? "Watch"
                      :                                   "Join";
     const btnStyle = r.gameOver ? ' style="background:#c0c0c0;color:#111"' : '';
-    const showCloseBtn = myPreviousRoomIsHost && r.roomId === myPreviousRoomId;
+    const showCloseBtn = OFFLINE || (myPreviousRoomIsHost && r.roomId === myPreviousRoomId);
     // Player rows (dot + name per seat)
     let playerRows = '';
     for (let i = 0; i < 4; i++) {
@@ -445,7 +554,7 @@ function updateGameLobby() {
           `<span class="playerDot" style="--dot-fill:${fill}"></span>` +
           `<span>${escapeHtml(p.name)}</span>` +
           `</div>`;
-      } else if (!r.started) {
+      } else if (!r.started && !r.hotSeat) {
         playerRows += `<div class="tilePlayerRow empty">` +
           `<span class="tileSeatDot empty"></span>` +
           `<span>open</span>` +
@@ -470,6 +579,9 @@ function updateGameLobby() {
         `<span class="tileName">${escapeHtml(r.name)}</span>` +
         `<span class="tileStatus ${statusClass}">${statusText}</span>` +
       `</div>` +
+      (r.hotSeat ? `<div class="tileClock">Pass &amp; play</div>` : ``) +
+      (r.clock ? `<div class="tileClock">⏱ ${escapeHtml(clockLabel(r.clock))}</div>` : ``) +
+      (changedOptions(r.options) ? `<div class="tileClock">${escapeHtml(changedOptions(r.options))}</div>` : ``) +
       `<div class="tilePlayers">${playerRows}</div>` +
       specHtml +
       `<div class="tileBottomRow">` +
@@ -504,9 +616,10 @@ function updateGameLobby() {
   const createEl = document.getElementById("createGameTile");
   if (createEl) createEl.addEventListener("click", handleCreateGame);
 
-  // Online strip
+  // Online strip (nobody else to see offline)
   const stripEl = document.getElementById("onlineStrip");
-  if (stripEl) {
+  if (stripEl) stripEl.classList.toggle("hidden", OFFLINE);
+  if (stripEl && !OFFLINE) {
     const users = uiState.connectedUsers ?? [];
     if (users.length === 0) {
       stripEl.innerHTML = `<span class="onlineStripLabel">Online (0)</span>`;
@@ -604,11 +717,15 @@ function updateWaitingRoom() {
       seat: i,
       name: c?.name ?? null,
       occupied: c?.occupied ?? false,
+      bot: c?.bot ?? null,
+      local: c?.local ?? false,
       wsOpen: c?.wsOpen ?? false,
       lastActivity: c?.lastActivity ?? null,
     };
   });
 
+  const isHost = uiState.myClientId !== null && uiState.room?.host === uiState.myClientId;
+
   const rosterEl = document.getElementById("waitingRoster");
   rosterEl.innerHTML = slots.filter(s => s.occupied).map(slot => {
     const isMe    = typeof myIdx === "number" && slot.seat === myIdx;
@@ -618,9 +735,22 @@ function updateWaitingRoom() {
       `<span>${escapeHtml(slot.name)}</span>` +
       (isReady ? `<span class="readyCheck">✓</span>` : "") +
       (isMe ? ` <span class="youLabel">(you)</span>` : "") +
+      (slot.bot ? ` <span class="youLabel">bot</span>` : "") +
+      (slot.local ? ` <span class="youLabel">this device</span>` : "") +
+      ((slot.bot || slot.local) && isHost ? `<button class="removeBotBtn" data-seat="${slot.seat}" title="Remove">✕</button>` : "") +
       `</div>`;
   }).join("");
 
+  // Host can fill empty seats with bots, and in pass and play with more people
+  const botControlsEl = document.getElementById("botControls");
+  if (botControlsEl) {
+    botControlsEl.classList.toggle("hidden", !isHost || slots.every(s => s.occupied));
+  }
+  document.getElementById("localPlayerControls").classList.toggle("hidden",
+    !isHost || !uiState.room?.hotSeat || slots.every(s => s.occupied));
+
+  updateRoomOptions(slots, isHost);
+
   const occupiedSlots = slots.filter(s => s.occupied);
   const readyCount    = occupiedSlots.filter(s => ready[s.seat]).length;
   const totalCount    = occupiedSlots.length;
@@ -653,6 +783,153 @@ function updateWaitingRoom() {
   }
 }
 
+/* ---------------------------------------------------------
+   Game options (engine/options.js), set by the host before the game
+   --------------------------------------------------------- */
+
+const TARGET_CHOICES = [10, 12, 15, 18, 21];
+const HAND_CHOICES = [8, 10, 12];
+
+function optionTexts(options, names = []) {
+  const first = options.firstPlayer;
+  const texts = {
+    cities: options.cities ? "Cities of Splendor" : "Nobles",
+    orient: "Orient cards",
+    tradingPosts: "Trading posts",
+    targetPoints: `First to ${options.targetPoints}`,
+    firstPlayer: first === "random" ? "Random first player" : `${names[first] ?? `Player ${first + 1}`} starts`,
+    reserveLimit: `Reserve ${options.reserveLimit}`,
+    handLimit: `${options.handLimit} tokens max`,
+    visibility: options.visibility === "private" ? "Private" : "Public",
+  };
+  if (options.cities) delete texts.targetPoints; // a city ends the game instead
+  if (!options.orient) delete texts.orient;
+  if (!options.tradingPosts) delete texts.tradingPosts;
+  return texts;
+}
+
+// "First to 12 · Reserve 2" (lobby tiles): only what differs from the usual game
+function changedOptions(options) {
+  if (!options) return "";
+  const texts = optionTexts(options);
+  return Object.keys(texts)
+    .filter(key => key !== "firstPlayer" && options[key] !== DEFAULT_OPTIONS[key])
+    .map(key => texts[key])
+    .join(" · ");
+}
+
+function optionSelect(key, label, choices, current) {
+  if (!choices.some(([value]) => value === current)) choices = [...choices, [current, String(current)]];
+  return `<label>${label}<select data-option="${key}">` +
+    choices.map(([value, text]) =>
+      `<option value="${escapeHtmlAttr(String(value))}"${value === current ? " selected" : ""}>${escapeHtml(text)}</option>`
+    ).join("") +
+    `</select></label>`;
+}
+
+// Host: pickers (each change is a SET_OPTIONS). Everyone else: a summary.
+function updateRoomOptions(slots, isHost) {
+  const el = document.getElementById("roomOptions");
+  // Don't rebuild a picker out from under the host
+  if (el.contains(document.activeElement) && document.activeElement.tagName === "SELECT") return;
+
+  const options = uiState.room?.options ?? DEFAULT_OPTIONS;
+  const seated = slots.filter(s => s.occupied);
+  const names = slots.map(s => s.name);
+  const invite = OFFLINE ? "" : `<button id="copyInviteBtn">Copy invite link</button>`;
+
+  if (!isHost) {
+    const texts = optionTexts(options, names);
+    if (OFFLINE) delete texts.visibility;
+    el.innerHTML = `<span>${escapeHtml(Object.values(texts).join(" · "))}</span>` + invite;
+    return;
+  }
+
+  const numbers = (list) => list.map(n => [n, String(n)]);
+  const [minReserve, maxReserve] = OPTION_LIMITS.reserveLimit;
+  const reserveChoices = [];
+  for (let n = minReserve; n <= maxReserve; n++) reserveChoices.push([n, String(n)]);
+
+  el.innerHTML =
+    optionSelect("cities", "Expansion", [[false, "None (nobles)"], [true, "Cities of Splendor"]], options.cities) +
+    optionSelect("orient", "Orient cards", [[false, "Off"], [true, "On"]], options.orient) +
+    (options.cities ? "" : optionSelect("tradingPosts", "Trading posts", [[false, "Off"], [true, "On"]], options.tradingPosts)) +
+    (options.cities ? "" : optionSelect("targetPoints", "Points to win", numbers(TARGET_CHOICES), options.targetPoints)) +
+    optionSelect("firstPlayer", "First player",
+      [["random", "Random"], ...seated.map(s => [s.seat, s.name])], options.firstPlayer) +
+    optionSelect("reserveLimit", "Reserve limit", reserveChoices, options.reserveLimit) +
+    optionSelect("handLimit", "Token limit", numbers(HAND_CHOICES), options.handLimit) +
+    (OFFLINE ? "" : optionSelect("visibility", "Room", Object.entries(VISIBILITIES), options.visibility)) +
+    invite;
+}
+
+document.getElementById("roomOptions").addEventListener("change", (e) => {
+  const key = e.target.dataset.option;
+  if (!key) return;
+  const raw = e.target.value;
+  let value = Number(raw);
+  if (key === "visibility" || raw === "random") value = raw;
+  else if (key === "cities" || key === "orient" || key === "tradingPosts") value = raw === "true";
+  transport.sendRaw({ type: "SET_OPTIONS", roomId: currentRoomId, options: { [key]: value } });
+  e.target.blur();
+});
+
+// Anyone with the link can join, private rooms included (see linkRoomId)
+document.getElementById("roomOptions").addEventListener("click", (e) => {
+  if (e.target.id !== "copyInviteBtn") return;
+  const link = `${location.origin}${location.pathname}?room=${encodeURIComponent(currentRoomId)}`;
+  navigator.clipboard?.writeText(link).then(
+    () => { e.target.textContent = "Link copied"; },
+    () => { e.target.textContent = link; },
+  );
+});
+
+/* ---------------------------------------------------------
+   Time controls (server/clock.js snapshots)
+   --------------------------------------------------------- */
+
+function setRoomClock(clock) {
+  if (clock === undefined) return; // message predates time controls
+  roomClock = clock ? { ...clock, receivedAt: Date.now() } : null;
+}
+
+// Time left for a seat, counting down locally for the running one
+function clockLeftMs(seat) {
+  const left = roomClock?.remainingMs?.[seat];
+  if (left == null) return null;
+  if (roomClock.running !== seat) return left;
+  return Math.max(0, left - (Date.now() - roomClock.receivedAt));
+}
+
+function formatClock(ms) {
+  const secs = Math.ceil(ms / 1000);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+}
+
+// "1 min per turn" / "Chess clock, 10 min" (lobby tiles)
+function clockLabel(clock) {
+  const len = clock.seconds % 60 ? `${clock.seconds} s` : `${clock.seconds / 60} min`;
+  return clock.mode === "turn" ? `${len} per turn` : `Chess clock, ${len}`;
+}
+
+function clockChip(seat) {
+  const left = clockLeftMs(seat);
+  if (left == null) return "";
+  // per-turn clocks only matter for the seat on turn
+  if (roomClock.mode === "turn" && roomClock.running !== seat) return "";
+  const classes = [
+    "statusClock",
+    roomClock.running === seat ? "isRunning" : "",
+    left < 10000 ? "isLow" : "",
+  ].filter(Boolean).join(" ");
+  return `<span class="${classes}">${formatClock(left)}</span>`;
+}
+
+// Redraw the status bar once a second while a clock is ticking
+setInterval(() => {
+  if (currentRoomId && roomClock?.running != null && state && !state.gameOver) updateStatusBar();
+}, 1000);
+
 /* ---------------------------------------------------------
    Status bar
    --------------------------------------------------------- */
@@ -666,13 +943,14 @@ function playerPrestige(playerIndex, fromState = state) {
   if (!player) return null;
   const fromCards  = (player.cards ?? []).reduce((sum, c) => sum + (c.points ?? 0), 0);
   const fromNobles = (player.nobles ?? []).reduce((sum, n) => sum + (n.points ?? 0), 0);
-  return fromCards + fromNobles;
+  const fromCoats  = (player.coats ?? []).reduce((sum, c) => sum + (c.points ?? 0), 0);
+  return fromCards + fromNobles + fromCoats;
 }
 
 function playerTotalGems(playerIndex, fromState = state) {
   const player = fromState?.players?.[playerIndex];
   if (!player) return null;
-  return player.cards.filter(c => c.bonus).length;
+  return Object.values(bonusByColor(player.cards)).reduce((n, k) => n + k, 0);
 }
 
 function playerTotalTokens(playerIndex, fromState = state) {
@@ -681,6 +959,15 @@ function playerTotalTokens(playerIndex, fromState = state) {
   return Object.values(player.tokens ?? {}).reduce((s, n) => s + n, 0);
 }
 
+// Status prompts for the steps after a buy (state.awaiting): Orient card
+// abilities and the trading post free token
+const AFTER_BUY_STEPS = {
+  CHOOSE_BONUS: () => "Pick\u00a0the\u00a0joker's\u00a0color",
+  TAKE_CARD: (awaiting) => `Take\u00a0a\u00a0level\u00a0${awaiting.tier}\u00a0card`,
+  RESERVE_CARD: () => "Reserve\u00a0a\u00a0card",
+  TAKE_FREE_TOKEN: () => "Take\u00a0a\u00a0free\u00a0token",
+};
+
 function updateStatusBar() {
   // When browsing the game lobby after leaving a game, use the saved snapshot.
   const isSnap      = !currentRoomId && !!snapRoomId;
@@ -706,6 +993,15 @@ function updateStatusBar() {
     const winnerName = effectState.players[effectState.winner]?.name ?? `Player ${effectState.winner + 1}`;
     const winnerPts = playerPrestige(effectState.winner, effectState);
     html += `<div class="statusTurn statusWinner">Winner: ${escapeHtml(truncName(winnerName))} (${winnerPts}\u00a0pt)</div>`;
+  } else if (effectState?.awaiting?.type === "DISCARD_TOKENS" && typeof myIdx === "number" && activeIdx === myIdx) {
+    const n = effectState.awaiting.count;
+    html += `<div class="statusTurn statusAwaiting">Return\u00a0${n}\u00a0token${n === 1 ? "" : "s"}</div>`;
+  } else if (effectState?.awaiting?.type === "CHOOSE_NOBLE" && typeof myIdx === "number" && activeIdx === myIdx) {
+    html += `<div class="statusTurn statusAwaiting">Choose\u00a0a\u00a0noble</div>`;
+  } else if (effectState?.awaiting?.type === "CHOOSE_CITY" && typeof myIdx === "number" && activeIdx === myIdx) {
+    html += `<div class="statusTurn statusAwaiting">Choose\u00a0a\u00a0city</div>`;
+  } else if (effectState?.awaiting && AFTER_BUY_STEPS[effectState.awaiting.type] && typeof myIdx === "number" && activeIdx === myIdx) {
+    html += `<div class="statusTurn statusAwaiting">${AFTER_BUY_STEPS[effectState.awaiting.type](effectState.awaiting)}</div>`;
   } else if (effectState?.finalRound) {
     html += `<div class="statusTurn statusFinalRound">Final\u00a0Round! · Turn\u00a0${turn ?? ""}</div>`;
   } else if (turn !== null) {
@@ -729,6 +1025,8 @@ function updateStatusBar() {
     if (slot.occupied) {
       html += `<span>${escapeHtml(truncName(slot.name ?? `Player ${slot.seat + 1}`))}</span>`;
       if (prestige !== null) html += `<span class="statusPoints">${prestige} pt</span>`;
+      if (effectState?.players?.[slot.seat]?.forfeited) html += `<span class="statusEmpty">forfeited</span>`;
+      else if (!isSnap && roomClock && state && !state.gameOver) html += clockChip(slot.seat);
       if (isMe)              html += `<span class="statusYou">(you)</span>`;
     } else {
       html += `<span class="statusEmpty">open</span>`;
@@ -751,6 +1049,12 @@ function updateStatusBar() {
 
   statusContent.innerHTML = html;
 
+  undoBtn.classList.toggle("hidden", isSnap || !canRequestUndo());
+
+  // Replay is offered once a finished game's history (with seed) has arrived
+  replayBtn.classList.toggle("hidden", isSnap || !effectState?.gameOver || gameHistory?.seed == null);
+  replayBtn.textContent = replay ? "Exit Replay" : "Replay";
+
   // Swap lobby button label depending on context
   const lobbyBtnEl = document.getElementById("lobbyBtn");
   if (lobbyBtnEl) {
@@ -765,10 +1069,7 @@ const SEAT_ACCENT_COLORS = ["#2D6CDF", "#D94A4A", "#2E9B5F", "#D6B04C"];
 function buildPlayerRow(player, pIdx) {
   const accent = SEAT_ACCENT_COLORS[pIdx] ?? "#888";
   const playerName = player.name ?? `Player ${pIdx + 1}`;
-  const gemCounts = {};
-  for (const card of player.cards ?? []) {
-    if (card.bonus) gemCounts[card.bonus] = (gemCounts[card.bonus] || 0) + 1;
-  }
+  const gemCounts = bonusByColor(player.cards);
   const tokens = player.tokens ?? {};
   const gemColors = ["yellow", "green", "red", "blue", "black", "white"];
   const isActive = state.activePlayerIndex === pIdx;
@@ -885,7 +1186,7 @@ function drawNow() {
     confirmOverlay.classList.add("hidden");
     return; // don't render until we have state
   }
-  renderer.draw(state, uiState);
+  renderer.draw(replay ? replay.state() : state, uiState);
   updateConfirmOverlay();
 }
 
@@ -916,12 +1217,20 @@ const CONFIRM_CARD_COLORS = {
   green:  { bg: "#2E9B5F", text: "#E9EEF3" },
   red:    { bg: "#D94A4A", text: "#E9EEF3" },
   black:  { bg: "#2B2B2B", text: "#E9EEF3" },
+  yellow: { bg: "#D6B04C", text: "#111" }, // Orient joker before its color is chosen
+};
+
+// Deck backs (matches DECK_COLORS in render.js: tier1 green, tier2 yellow, tier3 blue)
+const CONFIRM_DECK_COLORS = {
+  tier1: CONFIRM_CARD_COLORS.green,
+  tier2: { bg: "#D6B04C", text: "#111" },
+  tier3: CONFIRM_CARD_COLORS.blue,
 };
 
 let _lastConfirmKey = null;
 
 function updateConfirmOverlay() {
-  if (!state || !Intent.isCommitReady(state, uiState)) {
+  if (!state || replay || !Intent.isCommitReady(state, uiState)) {
     confirmOverlay.classList.add("hidden");
     _lastConfirmKey = null;
     return;
@@ -929,13 +1238,13 @@ function updateConfirmOverlay() {
   // Build a key from the inputs that drive the overlay content.
   // Only rebuild DOM when the pending intent actually changes.
   const p = uiState.pending;
-  const key = `${uiState.mode}|${p?.card?.meta?.id ?? ""}|${JSON.stringify(p?.tokens ?? {})}`;
+  const key = `${uiState.mode}|${p?.card?.meta?.id ?? p?.card?.deck ?? p?.noble?.id ?? p?.city?.id ?? p?.bonus ?? ""}|${JSON.stringify(p?.tokens ?? {})}|${JSON.stringify(p?.payment ?? null)}`;
   if (key === _lastConfirmKey) return;
   _lastConfirmKey = key;
 
   confirmOverlay.classList.remove("hidden");
 
-  const labels = { buyCard: "Buy Card?", reserveCard: "Reserve Card?", takeTokens: "Take Tokens?" };
+  const labels = { buyCard: "Buy Card?", reserveCard: "Reserve Card?", takeTokens: "Take Tokens?", discardTokens: "Return Tokens?", chooseNoble: "Claim Noble?", chooseCity: "Claim City?", chooseBonus: "Copy This Color?", takeCard: "Take Card?", takeFreeToken: "Take Free Token?" };
   confirmLabel.textContent = labels[uiState.mode] ?? "Confirm?";
   confirmPreview.innerHTML = buildPreviewHTML(uiState);
   renderConfirmGems(confirmPreview);
@@ -954,32 +1263,57 @@ function makeGemCanvas(color, size) {
   return c;
 }
 
-function computePayment(cardMeta, player) {
-  const COLORS = ["white", "blue", "green", "red", "black"];
+const PAY_COLORS = ["white", "blue", "green", "red", "black"];
+
+// Tokens of each color still owed after bonuses
+function paymentNeeds(cardMeta, player) {
   const cost = cardMeta.cost ?? {};
-  const bonus = { white: 0, blue: 0, green: 0, red: 0, black: 0 };
-  for (const c of player.cards ?? []) {
-    const b = c?.bonus;
-    if (bonus[b] != null) bonus[b] += 1;
-  }
+  const bonus = bonusByColor(player.cards);
+  const need = {};
+  for (const color of PAY_COLORS) need[color] = Math.max(0, (cost[color] ?? 0) - (bonus[color] ?? 0));
+  return need;
+}
+
+// The player's chosen split if any, else the engine default (colors first, gold for the rest)
+function computePayment(cardMeta, player, chosen = null) {
+  if (chosen) return { white: 0, blue: 0, green: 0, red: 0, black: 0, yellow: 0, ...chosen };
+  const need = paymentNeeds(cardMeta, player);
   const tokens = player.tokens ?? {};
   const pay = { white: 0, blue: 0, green: 0, red: 0, black: 0, yellow: 0 };
   let wildNeeded = 0;
-  for (const color of COLORS) {
-    const need = Math.max(0, (cost[color] ?? 0) - (bonus[color] ?? 0));
-    const have = tokens[color] ?? 0;
-    const use = Math.min(have, need);
+  for (const color of PAY_COLORS) {
+    const use = Math.min(tokens[color] ?? 0, need[color]);
     pay[color] = use;
-    wildNeeded += need - use;
+    wildNeeded += need[color] - use;
   }
   pay.yellow = wildNeeded;
   return pay;
 }
 
+/**
+ * swapPayment(cardMeta, player, pay, color)
+ * -----------------------------------------
+ * Trade one token in `pay` for the other kind: a colored token for a spare
+ * gold, or a gold back for a color the player holds and the card still needs.
+ * Returns the new payment, or null if that token can't be swapped.
+ */
+function swapPayment(cardMeta, player, pay, color) {
+  const tokens = player.tokens ?? {};
+  if (color !== "yellow") {
+    if (!pay[color] || (tokens.yellow ?? 0) <= pay.yellow) return null;
+    return { ...pay, [color]: pay[color] - 1, yellow: pay.yellow + 1 };
+  }
+  if (!pay.yellow) return null;
+  const need = paymentNeeds(cardMeta, player);
+  const back = PAY_COLORS.find(c => pay[c] < need[c] && (tokens[c] ?? 0) > pay[c]);
+  if (!back) return null;
+  return { ...pay, [back]: pay[back] + 1, yellow: pay.yellow - 1 };
+}
+
 function buildPreviewHTML(uiState) {
   const mode = uiState.mode;
 
-  if (mode === "takeTokens") {
+  if (mode === "takeTokens" || mode === "discardTokens" || mode === "takeFreeToken") {
     const tokens = uiState.pending?.tokens ?? {};
     let html = "";
     for (const [color, count] of Object.entries(tokens)) {
@@ -992,12 +1326,66 @@ function buildPreviewHTML(uiState) {
     return html;
   }
 
-  if (mode === "buyCard" || mode === "reserveCard") {
+  // Orient joker: the color it will copy
+  if (mode === "chooseBonus") {
+    const color = uiState.pending?.bonus;
+    if (!color) return "";
+    const c = CONFIRM_TOKEN_COLORS[color] ?? { bg: "#888", text: "#fff" };
+    return `<span class="confirmToken" style="background:${c.bg};color:${c.text}" data-gem-color="${color}"></span>`;
+  }
+
+  if (mode === "chooseNoble") {
+    const noble = uiState.pending?.noble;
+    if (!noble) return "";
+    const req = noble.req ?? {};
+    let reqHTML = "";
+    for (const c of ["white", "blue", "green", "red", "black"]) {
+      if (!req[c]) continue;
+      const tc = CONFIRM_TOKEN_COLORS[c] ?? { bg: "#888", text: "#fff" };
+      reqHTML += `<span class="confirmCostPip" style="background:${tc.bg};color:${tc.text}" data-gem-color="${c}">${req[c]}</span>`;
+    }
+    return `<div class="confirmCard confirmNobleCard">` +
+      `<div class="confirmCardHeader"><span class="confirmCardPoints">${noble.points ?? 3}</span></div>` +
+      `<div class="confirmCardBody">${reqHTML}</div>` +
+      `</div>`;
+  }
+
+  // City: prestige needed, then bonuses (any = that many of one other color)
+  if (mode === "chooseCity") {
+    const city = uiState.pending?.city;
+    if (!city) return "";
+    const req = city.req ?? {};
+    let reqHTML = "";
+    for (const c of ["white", "blue", "green", "red", "black"]) {
+      if (!req[c]) continue;
+      const tc = CONFIRM_TOKEN_COLORS[c] ?? { bg: "#888", text: "#fff" };
+      reqHTML += `<span class="confirmCostPip" style="background:${tc.bg};color:${tc.text}" data-gem-color="${c}">${req[c]}</span>`;
+    }
+    if (req.any) reqHTML += `<span class="confirmCostPip" style="background:#888;color:#fff">${req.any}</span>`;
+    return `<div class="confirmCard confirmNobleCard">` +
+      `<div class="confirmCardHeader"><span class="confirmCardPoints">${city.points ?? 0}</span></div>` +
+      `<div class="confirmCardBody">${reqHTML}</div>` +
+      `</div>`;
+  }
+
+  if (mode === "buyCard" || mode === "reserveCard" || mode === "takeCard") {
     const card = uiState.pending?.card;
+    // An Orient card's free reserve comes without gold, and so does any
+    // reserve once the bank is out of it
+    const goldHTML = state?.awaiting?.type === "RESERVE_CARD" || !((state?.market?.bank?.yellow ?? 0) > 0)
+      ? ""
+      : `<span class="confirmToken" style="background:${CONFIRM_TOKEN_COLORS.yellow.bg};color:${CONFIRM_TOKEN_COLORS.yellow.text}" data-gem-color="yellow"></span>`;
+
+    // Blind reserve: only the deck (card back) is known before confirming
+    if (mode === "reserveCard" && card?.deck) {
+      const dc = CONFIRM_DECK_COLORS[card.deck] ?? { bg: "#ccc", text: "#111" };
+      return `<div class="confirmCard confirmDeckCard" style="background:${dc.bg};color:${dc.text}">Tier ${card.tier}</div>` + goldHTML;
+    }
+
     const meta = card?.meta;
     if (!meta) return "";
 
-    const bonus = meta.bonus ?? "white";
+    const bonus = meta.bonus ?? "yellow"; // an Orient joker copies a color once bought
     const cc = CONFIRM_CARD_COLORS[bonus] ?? { bg: "#ccc", text: "#111" };
     const points = meta.points ?? 0;
     const cost = meta.cost ?? {};
@@ -1025,9 +1413,10 @@ function buildPreviewHTML(uiState) {
       const myIdx = uiState.myPlayerIndex;
       const player = typeof myIdx === "number" ? state.players?.[myIdx] : null;
       if (player) {
-        const pay = computePayment(meta, player);
+        const pay = computePayment(meta, player, uiState.pending?.payment);
         const payOrder = ["white", "blue", "green", "red", "black", "yellow"];
         const totalSpent = payOrder.reduce((s, c) => s + (pay[c] ?? 0), 0);
+        let canSwap = false;
         html += `<div class="confirmCostRow">`;
         if (totalSpent === 0) {
           html += `<span class="confirmCostLabel">Free</span>`;
@@ -1036,19 +1425,21 @@ function buildPreviewHTML(uiState) {
           for (const c of payOrder) {
             if (!pay[c]) continue;
             const tc = CONFIRM_TOKEN_COLORS[c] ?? { bg: "#888", text: "#fff" };
+            // Tapping a token trades it for gold (or a gold back for a color)
+            const swap = swapPayment(meta, player, pay, c) ? ` swappable" data-swap="${c}` : "";
+            if (swap) canSwap = true;
             for (let i = 0; i < pay[c]; i++) {
-              html += `<span class="confirmToken" style="background:${tc.bg};color:${tc.text}" data-gem-color="${c}"></span>`;
+              html += `<span class="confirmToken${swap}" style="background:${tc.bg};color:${tc.text}" data-gem-color="${c}"></span>`;
             }
           }
         }
         html += `</div>`;
+        if (canSwap) html += `<div class="confirmPayHint">Tap a token to pay with gold instead (or back)</div>`;
       }
     }
 
-    if (mode === "reserveCard") {
-      const gc = CONFIRM_TOKEN_COLORS.yellow;
-      html += `<span class="confirmToken" style="background:${gc.bg};color:${gc.text}" data-gem-color="yellow"></span>`;
-    }
+    if (mode === "reserveCard") html += goldHTML;
+    if (mode === "takeCard") html += `<div class="confirmCostRow"><span class="confirmCostLabel">Free</span></div>`;
 
     return html;
   }
@@ -1153,7 +1544,7 @@ const isBehindProxy = !location.port || location.port === "80" || location.port
 const basePath = isBehindProxy ? "/trevdor" : "";
 const WS_URL = (location.protocol === "https:" ? "wss://" : "ws://") + location.host + basePath + "/ws";
 
-const transport = createTransport({
+const transport = (OFFLINE ? createLocalTransport : createTransport)({
   url: WS_URL,
   name: savedName || "player",
   sessionId: mySessionId,
@@ -1186,7 +1577,14 @@ const transport = createTransport({
         setPreviousRoom(null, false);
       }
       currentRoomId = null;
+      sync.reset(null);
       state = null;
+      gameHistory = null;
+      undoRequest = null;
+      roomClock = null;
+      updateUndoPrompt();
+      privacyScreen.classList.add("hidden");
+      closeReplay();
       uiState.room = null;
       uiState.myPlayerIndex = null;
       uiState.isSpectator = false;
@@ -1231,7 +1629,11 @@ const transport = createTransport({
         playerCount: msg.playerCount ?? null,
         name:        msg.name       ?? currentRoomId,
         host:        msg.host       ?? null,
+        hotSeat:     !!msg.hotSeat,
+        options:     msg.options    ?? { ...DEFAULT_OPTIONS },
       };
+      setRoomClock(msg.clock);
+      optPrivacyLabel.classList.toggle("hidden", !uiState.room.hotSeat);
 
       // Join/leave sounds — compare occupied client IDs
       const newIds = new Set(
@@ -1259,8 +1661,11 @@ const transport = createTransport({
 
     if (msg.type === "STATE" && msg.roomId === currentRoomId) {
       prevState = state;
-      state = msg.state;
+      sync.reset(msg.state, msg.version);
+      state = sync.view;
+      setRoomClock(msg.clock);
       playSoundsForStateChange(prevState, state);
+      followActiveSeat();
       if (state !== null) setScene("game");
       updateStatusBar();
       updateResourceBanner();
@@ -1269,9 +1674,69 @@ const transport = createTransport({
       return;
     }
 
-    // If server rejects moves, log clearly
+    // One accepted action: apply the diff on top of the confirmed version.
+    // Anything out of order means we missed one — ask for a full STATE.
+    if (msg.type === "PATCH" && msg.roomId === currentRoomId) {
+      const result = sync.applyPatch(msg.ops, msg.version, msg.entry, uiState.myPlayerIndex);
+      if (!result.ok) {
+        if (DEBUG) console.warn(`[patch] have v${sync.version}, got v${msg.version}; resyncing`);
+        transport.sendRaw({ type: "RESYNC", roomId: currentRoomId });
+        return;
+      }
+      if (result.rolledBack && DEBUG) console.warn("[predict] server went another way; rolled back");
+      prevState = state;
+      state = sync.view;
+      setRoomClock(msg.clock);
+      gameHistory?.entries.push(msg.entry);
+      if (DEBUG) console.log("[log]", msg.entry.text);
+      // Our own move already sounded when it was predicted
+      if (!result.ownConfirmed) playSoundsForStateChange(prevState, state, msg.entry.action);
+      followActiveSeat();
+      updateStatusBar();
+      updateResourceBanner();
+      draw();
+      return;
+    }
+
+    // Someone wants to take back their last move; voters get Allow/Decline
+    if (msg.type === "UNDO_REQUESTED" && msg.roomId === currentRoomId) {
+      undoRequest = { seat: msg.seat, waitingFor: msg.waitingFor ?? [] };
+      updateUndoPrompt();
+      updateStatusBar();
+      return;
+    }
+
+    // Accepted: a full STATE + HISTORY follow
+    if (msg.type === "UNDO_RESOLVED" && msg.roomId === currentRoomId) {
+      undoRequest = null;
+      updateUndoPrompt();
+      if (msg.accepted) {
+        if (msg.seat !== uiState.myPlayerIndex) showRejectToast(`${seatName(msg.seat)} took back their last move`);
+      } else if (msg.seat === uiState.myPlayerIndex) {
+        showRejectToast(msg.by != null ? `${seatName(msg.by)} declined your undo` : "Too late to undo");
+      }
+      updateStatusBar();
+      return;
+    }
+
+    // Full action log (on join, at game start, and with the seed at game over)
+    if (msg.type === "HISTORY" && msg.roomId === currentRoomId) {
+      gameHistory = msg;
+      updateStatusBar();
+      return;
+    }
+
+    // If server rejects moves, say why and undo any prediction
+    // (a full STATE follows as well)
     if (msg.type === "REJECTED") {
       console.warn("[server rejected]", msg.reason, msg);
+      showRejectToast(msg.message ?? "Move not allowed");
+      if (sync.rollback()) {
+        state = sync.view;
+        updateStatusBar();
+        updateResourceBanner();
+        draw();
+      }
     }
 
     // Remote cursor relay
@@ -1331,8 +1796,19 @@ const transport = createTransport({
    Game action dispatch
    --------------------------------------------------------- */
 
+// Shows the action right away (engine reducer on our view), then sends it;
+// PATCH / REJECTED / STATE from the server settle the prediction.
 function dispatchGameAction(gameAction) {
   if (DEBUG) console.log(gameAction);
+  const myTurn = state && state.activePlayerIndex === uiState.myPlayerIndex;
+  if (myTurn && sync.predict(gameAction)) {
+    prevState = state;
+    state = sync.view;
+    playSoundsForStateChange(prevState, state, gameAction);
+    updateStatusBar();
+    updateResourceBanner();
+    draw();
+  }
   transport.sendRaw({ type: "ACTION", roomId: currentRoomId, action: gameAction });
 }
 
@@ -1340,6 +1816,19 @@ function dispatchGameAction(gameAction) {
    Button handlers
    --------------------------------------------------------- */
 
+// Offline games have no clock, and "not pass and play" means against bots
+if (OFFLINE) {
+  document.querySelectorAll(".clockOption").forEach(el => el.classList.add("hidden"));
+  document.querySelector('#gameTypeSelect option[value="online"]').textContent = "Against bots";
+}
+
+// Time control from the lobby pickers ("mode:seconds"), or null for none
+function chosenClock() {
+  const [mode, seconds] = document.getElementById("clockSelect").value.split(":");
+  if (!mode) return null;
+  return { mode, seconds: Number(seconds), onTimeout: document.getElementById("timeoutSelect").value };
+}
+
 function handleCreateGame() {
   const currentName = cleanName(nameInput.value);
   if (!currentName) {
@@ -1348,13 +1837,40 @@ function handleCreateGame() {
   }
   uiState.myName = currentName;
   transport.setName(currentName);
-  transport.sendRaw({ type: "CREATE_GAME", name: currentName, sessionId: mySessionId });
+  transport.sendRaw({
+    type: "CREATE_GAME",
+    name: currentName,
+    sessionId: mySessionId,
+    clock: chosenClock(),
+    hotSeat: document.getElementById("gameTypeSelect").value === "hotSeat",
+  });
 }
 
 document.getElementById("readyBtn").addEventListener("click", () => {
   transport.sendRaw({ type: "READY", roomId: currentRoomId });
 });
 
+document.getElementById("addBotBtn").addEventListener("click", () => {
+  const level = document.getElementById("botLevelSelect").value;
+  transport.sendRaw({ type: "ADD_BOT", roomId: currentRoomId, level });
+});
+
+function addLocalPlayer() {
+  const input = document.getElementById("localPlayerName");
+  transport.sendRaw({ type: "ADD_PLAYER", roomId: currentRoomId, name: cleanName(input.value) });
+  input.value = "";
+}
+document.getElementById("addPlayerBtn").addEventListener("click", addLocalPlayer);
+document.getElementById("localPlayerName").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") addLocalPlayer();
+});
+
+document.getElementById("waitingRoster").addEventListener("click", (e) => {
+  const btn = e.target.closest(".removeBotBtn");
+  if (!btn) return;
+  transport.sendRaw({ type: "REMOVE_BOT", roomId: currentRoomId, seat: Number(btn.dataset.seat) });
+});
+
 document.getElementById("lobbyBtn").addEventListener("click", () => {
   if (currentRoomId) {
     returnToGameLobby();
@@ -1388,6 +1904,7 @@ optChat.checked    = chatPref;
 optResources.checked = simplifiedPref;
 optLightMode.checked = lightModePref;
 optGrannyMode.checked = grannyModePref;
+optPrivacy.checked = privacyPref;
 
 optionsBtn.addEventListener("click", () => {
   optionsDropdown.classList.toggle("hidden");
@@ -1426,7 +1943,7 @@ optChat.addEventListener("change", () => {
   localStorage.setItem("trevdor.chat", chatPref);
   // Show/hide only when in a scene that allows chat
   if (currentRoomId) {
-    chatPanel.classList.toggle("hidden", !chatPref);
+    chatPanel.classList.toggle("hidden", !chatPref || OFFLINE);
   }
   if (!chatPref && chatOpen) closeChat();
 });
@@ -1441,6 +1958,12 @@ optResources.addEventListener("change", () => {
   resize();
 });
 
+optPrivacy.addEventListener("change", () => {
+  privacyPref = optPrivacy.checked;
+  localStorage.setItem("trevdor.privacyScreen", privacyPref);
+  if (!privacyPref) privacyScreen.classList.add("hidden");
+});
+
 optLightMode.addEventListener("change", () => {
   lightModePref = optLightMode.checked;
   uiState.lightMode = lightModePref;
@@ -1488,12 +2011,18 @@ document.addEventListener("pointerdown", (e) => {
 
 // If we have a saved name + session + room, try to rejoin automatically.
 // The transport will auto-send JOIN when the socket opens (via setRoomId).
-if (savedName && mySessionId && STORED_ROOM_ID) {
+if (linkRoomId && savedName) {
+  uiState.myName = savedName;
+  setScene("reconnecting");
+  transport.setRoomId(linkRoomId);
+  linkRoomId = null;
+} else if (savedName && mySessionId && STORED_ROOM_ID) {
   uiState.myName = savedName;
   setScene("reconnecting");
   transport.setRoomId(STORED_ROOM_ID);
 } else {
   setScene("gameLobby");
+  if (linkRoomId) nameHint.textContent = "Enter your name and press Enter to join the game you were invited to.";
 }
 
 // Connect once the page is fully loaded. On mobile refreshes, connecting
@@ -1535,6 +2064,8 @@ const controller = createUIController({
 // Wire controller into event system
 ui.setHandlers({
   onAction: (uiAction) => {
+    // Replay is view-only: no selections on historical states
+    if (replay && uiAction.type === "click") return;
     // In panel view, clicking anything that isn't a reserved card exits back to board
     if (uiAction.type === "click" && uiState.panelViewPlayerIndex != null) {
       if (!uiAction.hit || uiAction.hit.kind !== "reserved") {
@@ -1555,6 +2086,146 @@ cancelBtn.addEventListener("click", () => {
   controller.onUIAction({ type: "cancel" });
 });
 
+// Buying: tap a cost token to swap it between its color and gold
+confirmPreview.addEventListener("click", (e) => {
+  const color = e.target.closest?.(".confirmToken[data-swap]")?.dataset.swap;
+  const meta = uiState.pending?.card?.meta;
+  const player = state?.players?.[uiState.myPlayerIndex];
+  if (!color || uiState.mode !== "buyCard" || !meta || !player) return;
+
+  const pay = computePayment(meta, player, uiState.pending.payment);
+  const next = swapPayment(meta, player, pay, color);
+  if (!next) return;
+  uiState.pending.payment = next;
+  updateConfirmOverlay();
+});
+
+/* ---------------------------------------------------------
+   Undo (take back your last move; others may have to allow it)
+   --------------------------------------------------------- */
+
+function seatName(seat) {
+  return state?.players?.[seat]?.name ?? `Player ${seat + 1}`;
+}
+
+/* ---------------------------------------------------------
+   Pass and play
+   --------------------------------------------------------- */
+
+// This device plays every non-bot seat, so "me" is whoever is to move.
+// Bot turns keep the last person's seat. With the hand-over screen on,
+// the board stays covered until the next player taps through.
+function followActiveSeat() {
+  if (!uiState.room?.hotSeat || uiState.isSpectator || !state || state.gameOver) return;
+  if (sync.hasPending) return; // mid-turn (e.g. noble choice still unconfirmed)
+
+  const active = state.activePlayerIndex;
+  if (active === uiState.myPlayerIndex) return;
+  if (uiState.room.clients.find(c => c.seat === active)?.bot) return;
+
+  uiState.myPlayerIndex = active;
+  uiState.playerPanelPlayerIndex = active;
+  if (uiState.panelViewPlayerIndex != null) uiState.panelViewPlayerIndex = active;
+  Intent.clear(uiState);
+
+  if (privacyPref) {
+    privacyText.textContent = `Pass the device to ${seatName(active)}`;
+    privacyScreen.classList.remove("hidden");
+  }
+}
+
+document.getElementById("privacyBtn").addEventListener("click", () => {
+  privacyScreen.classList.add("hidden");
+});
+
+// Mirrors the server's undoBlocker: my own last logged move, nothing pending
+// (hot-seat rooms: anyone's).
+function canRequestUndo() {
+  if (!state || state.gameOver || replay || undoRequest || sync.hasPending) return false;
+  if (typeof uiState.myPlayerIndex !== "number") return false;
+  const last = gameHistory?.entries?.at(-1);
+  return !!last && (last.actor === uiState.myPlayerIndex || !!state.hotSeat);
+}
+
+function updateUndoPrompt() {
+  const me = uiState.myPlayerIndex;
+  if (!undoRequest || (undoRequest.seat !== me && !undoRequest.waitingFor.includes(me))) {
+    undoPrompt.classList.add("hidden");
+    return;
+  }
+  const mine = undoRequest.seat === me;
+  undoPromptText.textContent = mine
+    ? "Waiting for the others to allow your undo…"
+    : `${seatName(undoRequest.seat)} wants to take back their last move`;
+  undoPromptBtns.classList.toggle("hidden", mine);
+  undoPrompt.classList.remove("hidden");
+}
+
+function replyUndo(accept) {
+  transport.sendRaw({ type: "UNDO_REPLY", roomId: currentRoomId, accept });
+  undoPromptBtns.classList.add("hidden");
+  undoPromptText.textContent = accept ? "Allowed, waiting for the others…" : "Declined";
+}
+
+undoBtn.addEventListener("click", () => {
+  Intent.clear(uiState);
+  transport.sendRaw({ type: "UNDO_REQUEST", roomId: currentRoomId });
+});
+document.getElementById("undoAcceptBtn").addEventListener("click", () => replyUndo(true));
+document.getElementById("undoDeclineBtn").addEventListener("click", () => replyUndo(false));
+
+/* ---------------------------------------------------------
+   Replay viewer (finished games)
+   --------------------------------------------------------- */
+
+function openReplay() {
+  if (gameHistory?.seed == null) return;
+  replay = createReplay(gameHistory);
+  replay.goTo(replay.total); // start at the final position, step back from there
+  Intent.clear(uiState);
+  replayBar.classList.remove("hidden");
+  updateReplayBar();
+}
+
+function closeReplay() {
+  if (!replay) return;
+  replay = null;
+  replayBar.classList.add("hidden");
+  updateStatusBar();
+  draw();
+}
+
+function stepReplay(delta) {
+  if (!replay) return;
+  replay.step(delta);
+  updateReplayBar();
+}
+
+function updateReplayBar() {
+  if (!replay) return;
+  replayLabel.innerHTML =
+    `<span class="replayStep">${replay.index}/${replay.total}</span> ${escapeHtml(replay.text())}`;
+  updateStatusBar();
+  draw();
+}
+
+replayBtn.addEventListener("click", () => {
+  if (replay) closeReplay();
+  else openReplay();
+});
+document.getElementById("replayFirstBtn").addEventListener("click", () => stepReplay(-Infinity));
+document.getElementById("replayPrevBtn").addEventListener("click", () => stepReplay(-1));
+document.getElementById("replayNextBtn").addEventListener("click", () => stepReplay(1));
+document.getElementById("replayLastBtn").addEventListener("click", () => stepReplay(Infinity));
+document.getElementById("replayExitBtn").addEventListener("click", closeReplay);
+
+document.addEventListener("keydown", (e) => {
+  if (!replay) return;
+  if (e.key === "ArrowLeft")  stepReplay(-1);
+  if (e.key === "ArrowRight") stepReplay(1);
+  if (e.key === "Escape")     closeReplay();
+});
+
 /* ---------------------------------------------------------
    Resize handling
    --------------------------------------------------------- */
@@ -1583,8 +2254,10 @@ function resize() {
         const posIdx = REVERSE_MAP[uiState.panelViewPlayerIndex];
         rects = [bounds.panelRects[posIdx]];
       } else {
-        // Normal simplified: center on the board only (nobles → tokens)
+        // Normal simplified: center on the board only (nobles → tokens,
+        // plus the trading post track when that module is on)
         rects = [bounds.boardRect];
+        if (state?.market?.tradingPosts && bounds.postsRect) rects.push(bounds.postsRect);
       }
     } else {
       const numPlayers = state?.players?.length ?? 0;
@@ -1592,6 +2265,7 @@ function resize() {
       // Fixed layout: posIdx 0=top-right(P2), 1=bottom-right(P4), 2=top-left(P1), 3=bottom-left(P3)
       const fixedMap = [1, 3, 0, 2];
       rects = [bounds.boardRect];
+      if (state?.market?.tradingPosts && bounds.postsRect) rects.push(bounds.postsRect);
       if (bounds.panelRects) {
         for (let posIdx = 0; posIdx < 4; posIdx++) {
           if (fixedMap[posIdx] < numPlayers) {
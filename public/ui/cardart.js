@@ -137,7 +137,7 @@ export function drawCardProcedural(ctx, x, y, w, h, cardId, bonus) {
   const dpr = (ctx.canvas?.width && ctx.canvas?.style?.width)
     ? ctx.canvas.width / parseFloat(ctx.canvas.style.width || ctx.canvas.width)
     : 1;
-  const cacheKey = `${cardId}|${w}|${h}|${dpr}`;
+  const cacheKey = `${cardId}|${bonus}|${w}|${h}|${dpr}`; // an Orient joker changes color once placed
 
   let cached = _proceduralCache.get(cacheKey);
   if (!cached) {
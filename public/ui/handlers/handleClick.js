@@ -6,9 +6,16 @@ export function handleClick({rulesCheck, getState, uiState, hit}) {
 
     const currentPlayer = state.players[state.activePlayerIndex];
 
+    // A reserve takes a gold along only while the bank has one
+    const bankHasGold = (state.market?.bank?.yellow ?? 0) > 0;
+
     function clearPending() {
         uiState.pending.tokens = {};
         uiState.pending.card = "";
+        uiState.pending.noble = "";
+        uiState.pending.city = "";
+        uiState.pending.payment = null;
+        uiState.pending.bonus = "";
         uiState.mode = "idle";
     }
 
@@ -28,6 +35,107 @@ export function handleClick({rulesCheck, getState, uiState, hit}) {
 
     if (DEBUG) console.log(hit);
 
+    // Discard step: the engine is holding the turn until this player returns
+    // tokens over the hand limit. Token clicks (bank pile or own panel) pick a
+    // color to give back; nothing else is selectable until the discard is confirmed.
+    if (state.awaiting?.type === "DISCARD_TOKENS") {
+        if (hit.kind === "button.confirm") return true;
+        if (hit.kind !== "token") return;
+
+        const isBank = hit.uiID?.startsWith("bank.");
+        const isMine = hit.playerIndex === state.activePlayerIndex;
+        if (!isBank && !isMine) return;
+
+        if (uiState.mode !== "discardTokens") clearPending();
+        if ( rulesCheck({getState, uiState, pending: uiState.pending, action: "discardToken", color: hit.color}) ) {
+            addTokenToPending(hit.color);
+            uiState.mode = "discardTokens";
+        }
+        if (DEBUG) console.log(uiState);
+        return;
+    }
+
+    // Noble choice: several nobles qualified at end of turn and the engine is
+    // waiting for this player to pick one. Only the offered nobles are clickable.
+    if (state.awaiting?.type === "CHOOSE_NOBLE") {
+        if (hit.kind === "button.confirm") return true;
+        if (hit.kind !== "noble") return;
+
+        clearPending();
+        if ( rulesCheck({getState, uiState, pending: uiState.pending, action: "chooseNoble", noble: hit.meta}) ) {
+            uiState.pending.noble = hit.meta;
+            uiState.mode = "chooseNoble";
+        }
+        if (DEBUG) console.log(uiState);
+        return;
+    }
+
+    // City choice (Cities module): likewise, several cities qualified and only
+    // the offered ones are clickable.
+    if (state.awaiting?.type === "CHOOSE_CITY") {
+        if (hit.kind === "button.confirm") return true;
+        if (hit.kind !== "city") return;
+
+        clearPending();
+        if ( rulesCheck({getState, uiState, pending: uiState.pending, action: "chooseCity", city: hit.meta}) ) {
+            uiState.pending.city = hit.meta;
+            uiState.mode = "chooseCity";
+        }
+        if (DEBUG) console.log(uiState);
+        return;
+    }
+
+    // Orient card abilities: the bought card asks for one more choice before
+    // the turn goes on. A joker copies a color (picked on its bank pile); a
+    // free take or reserve picks a market card (or, to reserve, a deck).
+    if (state.awaiting?.type === "CHOOSE_BONUS") {
+        if (hit.kind === "button.confirm") return true;
+        if (hit.kind !== "token" || !hit.uiID?.startsWith("bank.")) return;
+
+        clearPending();
+        if ( rulesCheck({getState, uiState, pending: uiState.pending, action: "chooseBonus", color: hit.color}) ) {
+            uiState.pending.bonus = hit.color;
+            uiState.mode = "chooseBonus";
+        }
+        if (DEBUG) console.log(uiState);
+        return;
+    }
+
+    if (state.awaiting?.type === "TAKE_CARD" || state.awaiting?.type === "RESERVE_CARD") {
+        if (hit.kind === "button.confirm") return true;
+
+        const taking = state.awaiting.type === "TAKE_CARD";
+        let card = null;
+        if (hit.kind === "market.card") card = {meta: hit.meta, tier: hit.tier, index: hit.index};
+        else if (!taking && hit.kind?.startsWith("decks.")) {
+            const deck = hit.kind.slice("decks.".length);
+            card = {deck, tier: Number(deck.slice(-1))};
+        }
+        if (!card) return;
+
+        clearPending();
+        if ( rulesCheck({getState, uiState, pending: uiState.pending, action: taking ? "takeCard" : "reserveCard", card}) ) {
+            addCardToPending(card);
+            uiState.mode = taking ? "takeCard" : "reserveCard";
+        }
+        if (DEBUG) console.log(uiState);
+        return;
+    }
+
+    // Trading post "tokenOnBuy": after a buy, one free token from the bank
+    if (state.awaiting?.type === "TAKE_FREE_TOKEN") {
+        if (hit.kind === "button.confirm") return true;
+        if (hit.kind !== "token" || !hit.uiID?.startsWith("bank.")) return;
+
+        clearPending();
+        if ( rulesCheck({getState, uiState, pending: uiState.pending, action: "takeFreeToken", color: hit.color}) ) {
+            addTokenToPending(hit.color);
+            uiState.mode = "takeFreeToken";
+        }
+        if (DEBUG) console.log(uiState);
+        return;
+    }
+
     // 2) Token pile click
     if (hit.kind === "token") {
 
@@ -41,7 +149,7 @@ export function handleClick({rulesCheck, getState, uiState, hit}) {
             // Starting fresh reserve: clear any previous pending
             clearPending();
             if ( rulesCheck({getState, uiState, pending: uiState.pending, action: "takeToken", color: hit.color}) ) {
-                addTokenToPending(hit.color);
+                if (bankHasGold) addTokenToPending(hit.color);
                 uiState.mode = "reserveCard";
             }
             if (DEBUG) console.log(uiState);
@@ -109,9 +217,42 @@ export function handleClick({rulesCheck, getState, uiState, hit}) {
         return;
     }
 
+    // 3b) Deck click → blind reserve of the top card
+    if (hit.kind?.startsWith("decks.")) {
+
+        const deck = hit.kind.slice("decks.".length); // "tier1" | "tier2" | "tier3"
+        const card = {deck, tier: Number(deck.slice(-1))};
+
+        if (uiState.mode !== "reserveCard") {
+            // Start the reserve flow from the deck itself (the gold comes along if there is one)
+            clearPending();
+            if ( !rulesCheck({getState, uiState, pending: uiState.pending, action: "reserveCard", card}) ) {
+                if (DEBUG) console.log(uiState);
+                return;
+            }
+            if (bankHasGold) addTokenToPending("yellow");
+            uiState.mode = "reserveCard";
+        }
+
+        if ( rulesCheck({getState, uiState, pending: uiState.pending, action: "reserveCard", card}) ) {
+            addCardToPending(card);
+        } else {
+            clearPending();
+        }
+
+        if (DEBUG) console.log(uiState);
+        return;
+    }
+
     // 4) Reserved card click → buy
     if (hit.kind === "reserved") {
 
+        // Face-down cards reserved blind by other players can't be selected
+        if (!hit.meta || hit.meta.hidden) {
+            clearPending();
+            return;
+        }
+
         const card = {meta: hit.meta, tier: hit.tier, index: hit.index};
 
         // Clear any pending and try to buy reserved card
@@ -1,5 +1,6 @@
 // ui/intent.js
 import { Actions } from "../engine/actions.js";
+import { rulesCheck } from "../engine/rules.js";
 import { DEBUG } from "../debug.js";
 
 /**
@@ -7,23 +8,31 @@ import { DEBUG } from "../debug.js";
  * -------------
  * Owns all logic for:
  * - initializing UI intent state
- * - determining when a move is commit-ready
+ * - determining when a move is commit-ready (asks engine/rules.js)
  * - building a single authoritative game action
  *
  * This module knows NOTHING about rendering or DOM events.
  */
 export const Intent = {
   ensure(uiState) {  // one-time initialization of UI state without overwriting anything the UI already set
-    uiState.mode ??= "idle"; // idle | takeTokens | reserveCard | buyCard
-    uiState.pending ??= { tokens: {}, card: "" };
+    uiState.mode ??= "idle"; // idle | takeTokens | reserveCard | buyCard | discardTokens | chooseNoble | chooseCity | chooseBonus | takeCard | takeFreeToken
+    uiState.pending ??= { tokens: {}, card: "", noble: "", city: "", payment: null, bonus: "" };
     uiState.pending.tokens ??= {};
     uiState.pending.card ??= "";
+    uiState.pending.noble ??= "";
+    uiState.pending.city ??= "";      // chooseCity: the city picked when several qualify
+    uiState.pending.payment ??= null; // buyCard: tokens chosen in the confirm overlay (null = default split)
+    uiState.pending.bonus ??= "";     // chooseBonus: the color an Orient joker copies
   },
 
   clear(uiState) {
     this.ensure(uiState);
     uiState.pending.tokens = {};
     uiState.pending.card = "";
+    uiState.pending.noble = "";
+    uiState.pending.city = "";
+    uiState.pending.payment = null;
+    uiState.pending.bonus = "";
     uiState.mode = "idle";
   },
 
@@ -40,49 +49,58 @@ export const Intent = {
     );
   },
 
+  // Commit-ready means the engine itself accepts the drafted action.
   isCommitReady(state, uiState) {
+    const action = this.draftAction(uiState);
+    return !!action && !!state && rulesCheck({ state, action });
+  },
+
+  buildCommitAction(state, uiState) {
+    if (!this.isCommitReady(state, uiState)) return null;
+
+    if (DEBUG) console.log("uiState.mode = " + uiState.mode, { ...uiState.pending.tokens });
+
+    return this.draftAction(uiState);
+  },
+
+  // The action the current selection amounts to, legal or not (null if none).
+  draftAction(uiState) {
     this.ensure(uiState);
 
-    const t = uiState.pending.tokens;
-    const total = this.totalTokens(uiState);
-    const maxOne = this.maxPerColor(uiState);
-    const hasCard = !!uiState.pending.card;
+    const { tokens, card, noble, city, payment, bonus } = uiState.pending;
 
     switch (uiState.mode) {
       case "takeTokens":
-        // 3 different OR 2 same
-        return (
-          (total === 3 && maxOne === 1) ||
-          (total === 2 && maxOne === 2)
-        );
+        return Actions.takeTokens({ ...tokens });
 
       case "reserveCard":
-        return (t.yellow ?? 0) === 1 && hasCard;
+        if (!card) return null;
+        // deck click => blind reserve of the top card
+        if (card.deck) return Actions.reserveFromDeck(card.deck);
+        return Actions.reserveCard(card);
 
       case "buyCard":
-        return hasCard;
+        return card ? Actions.buyCard(card, payment ? { ...payment } : undefined) : null;
 
-      default:
-        return false;
-    }
-  },
+      case "discardTokens":
+        return Actions.discardTokens({ ...tokens });
 
-  buildCommitAction(state, uiState) {
-    if (!this.isCommitReady(state, uiState)) return null;
+      case "chooseNoble":
+        return noble ? Actions.chooseNoble(noble.id) : null;
 
-    if (DEBUG) console.log("uiState.mode = " + uiState.mode);
+      case "chooseCity":
+        return city ? Actions.chooseCity(city.id) : null;
 
-    switch (uiState.mode) {
-      case "takeTokens":
-        if (DEBUG) console.log({ ...uiState.pending.tokens });
-        return Actions.takeTokens({ ...uiState.pending.tokens });
+      case "chooseBonus":
+        return bonus ? Actions.chooseBonus(bonus) : null;
 
-      case "reserveCard":
-        // if card is an object, switch to uiState.pending.card.id
-        return Actions.reserveCard(uiState.pending.card);
+      case "takeCard":
+        return card ? Actions.takeCard(card) : null;
 
-      case "buyCard":
-        return Actions.buyCard(uiState.pending.card);
+      case "takeFreeToken": {
+        const color = Object.keys(tokens)[0];
+        return color ? Actions.takeFreeToken(color) : null;
+      }
 
       default:
         return null;
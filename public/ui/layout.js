@@ -38,12 +38,15 @@ export function computeLayout(viewport = { width, height }) {
     (GAP + CARD_W) * 4,
   ];
 
+  const CITY_W = (BOARD.w - GAP * 2) / 3;
+
   // local Y positions inside board
   const NOBLES_Y = 0;
   const TIER1_Y  = NOBLE_WH.h + GAP;
   const TIER2_Y  = NOBLE_WH.h + GAP * 2 + CARD_WH.h;
   const TIER3_Y  = NOBLE_WH.h + GAP * 3 + CARD_WH.h * 2;
   const BANK_Y   = NOBLE_WH.h + GAP * 4 + CARD_WH.h * 3;
+  const POSTS_Y  = BOARD.h + GAP_TO_BOARD; // below the board, between the lower panels
 
   // ---- 4 panel positions around the board
   // 0=top-right (P2), 1=bottom-right (P4), 2=top-left (P1), 3=bottom-left (P3)
@@ -65,7 +68,7 @@ export function computeLayout(viewport = { width, height }) {
   // -----------------------------------------
   const slots = [
 
-    // --- decks (board-relative)
+    // --- decks (board-relative) — statePath resolves to a card count
     slot(B, { uiID: "decks.tier1", kind: "decks.tier1", dx: COL_X[0], dy: TIER1_Y, w: CARD_WH.w, h: CARD_WH.h, statePath: ["decks","tier1"] }),
     slot(B, { uiID: "decks.tier2", kind: "decks.tier2", dx: COL_X[0], dy: TIER2_Y, w: CARD_WH.w, h: CARD_WH.h, statePath: ["decks","tier2"] }),
     slot(B, { uiID: "decks.tier3", kind: "decks.tier3", dx: COL_X[0], dy: TIER3_Y, w: CARD_WH.w, h: CARD_WH.h, statePath: ["decks","tier3"] }),
@@ -77,6 +80,12 @@ export function computeLayout(viewport = { width, height }) {
     slot(B, { uiID: "market.nobles-4", kind: "noble", dx: COL_X[3], dy: NOBLES_Y, w: NOBLE_WH.w, h: NOBLE_WH.h, statePath: ["market","nobles",3] }),
     slot(B, { uiID: "market.nobles-5", kind: "noble", dx: COL_X[4], dy: NOBLES_Y, w: NOBLE_WH.w, h: NOBLE_WH.h, statePath: ["market","nobles",4] }),
 
+    // --- cities (board-relative): Cities module, shown in the noble row
+    //     (market.nobles is empty then); 3 wide tiles across the board
+    slot(B, { uiID: "market.cities-1", kind: "city", dx: 0,                      dy: NOBLES_Y, w: CITY_W, h: NOBLE_WH.h, statePath: ["market","cities",0] }),
+    slot(B, { uiID: "market.cities-2", kind: "city", dx: CITY_W + GAP,           dy: NOBLES_Y, w: CITY_W, h: NOBLE_WH.h, statePath: ["market","cities",1] }),
+    slot(B, { uiID: "market.cities-3", kind: "city", dx: (CITY_W + GAP) * 2,     dy: NOBLES_Y, w: CITY_W, h: NOBLE_WH.h, statePath: ["market","cities",2] }),
+
     // --- tier 1 cards (board-relative)
     slot(B, { uiID: "market.cards.tier1-1", kind: "market.card", tier: 1, index: 0, dx: COL_X[1], dy: TIER1_Y, w: CARD_WH.w, h: CARD_WH.h, statePath: ["market","cards","tier1",0] }),
     slot(B, { uiID: "market.cards.tier1-2", kind: "market.card", tier: 1, index: 1, dx: COL_X[2], dy: TIER1_Y, w: CARD_WH.w, h: CARD_WH.h, statePath: ["market","cards","tier1",1] }),
@@ -103,6 +112,12 @@ export function computeLayout(viewport = { width, height }) {
     slot(B, { uiID: "bank.black",  color: "black",  kind: "token", dx: GAP * 8 + TOKEN_WH.w * 4, dy: BANK_Y, w: TOKEN_WH.w, h: TOKEN_WH.h, statePath: ["market","bank","black"] }),
     slot(B, { uiID: "bank.white",  color: "white",  kind: "token", dx: GAP * 9 + TOKEN_WH.w * 5, dy: BANK_Y, w: TOKEN_WH.w, h: TOKEN_WH.h, statePath: ["market","bank","white"] }),
 
+    // --- trading posts (board-relative): Trading Posts module, a track
+    //     under the board; market.tradingPosts is missing otherwise
+    slot(B, { uiID: "market.tradingPosts-1", kind: "tradingPost", dx: 0,                  dy: POSTS_Y, w: CITY_W, h: NOBLE_WH.h, statePath: ["market","tradingPosts",0] }),
+    slot(B, { uiID: "market.tradingPosts-2", kind: "tradingPost", dx: CITY_W + GAP,       dy: POSTS_Y, w: CITY_W, h: NOBLE_WH.h, statePath: ["market","tradingPosts",1] }),
+    slot(B, { uiID: "market.tradingPosts-3", kind: "tradingPost", dx: (CITY_W + GAP) * 2, dy: POSTS_Y, w: CITY_W, h: NOBLE_WH.h, statePath: ["market","tradingPosts",2] }),
+
   ];
 
   // ---- Generate 4 full player panels around the board
@@ -172,6 +187,7 @@ export function computeLayout(viewport = { width, height }) {
       height: totalH,
       boardRight: BOARD.x + BOARD.w,
       boardRect: { x: BOARD.x, y: BOARD.y, w: BOARD.w, h: BOARD.h },
+      postsRect: { x: BOARD.x, y: BOARD.y + POSTS_Y, w: BOARD.w, h: NOBLE_WH.h },
       panelRects: panelPositions.map(p => ({ x: p.x, y: p.y, w: PANEL_W, h: PANEL_H })),
     }
   };
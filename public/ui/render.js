@@ -2,6 +2,8 @@ import { computeLayout } from "./layout.js";
 import { clampCamera } from "./camera.js";
 import { drawCardSprite, drawCardProcedural, loadSpriteSheet, setCardArtMode, getCardArtMode, clearProceduralCache, drawNobleDamask, drawNobleProcedural, drawNoblePixel } from "./cardart.js";
 import { rulesCheck } from "./rules.js";
+import { gameOptions } from "../engine/options.js";
+import { bonusByColor } from "../engine/rules.js";
 
 
 /* ---------------------------------------------------------
@@ -53,6 +55,9 @@ function clampRectToViewport(rect, viewport) {
 // positionIndex → playerIndex mapping (fixed layout, never changes)
 const FIXED_MAP = [1, 3, 0, 2];
 
+// Deck back colors by tier (also used for face-down reserved cards)
+const DECK_COLORS = { tier1: "green", tier2: "yellow", tier3: "blue" };
+
 // Noble tile cache: key → offscreen canvas. Cleared on resize.
 const _nobleCache = new Map();
 
@@ -275,7 +280,7 @@ function render(ctx) {
           kind: e.kind,
           tier: e.tier ?? null,
           index: e.index ?? null,
-          playerIndex: e.playerIndex ?? null,
+          playerIndex: e.playerIndex ?? (e.positionIndex != null ? FIXED_MAP[e.positionIndex] : null),
           positionIndex: e.positionIndex ?? null,
           color: e.color ?? null,
 
@@ -345,7 +350,8 @@ function render(ctx) {
         // Winner banner
         const winnerName = state.players[state.winner]?.name ?? `Player ${state.winner + 1}`;
         const prestige = (state.players[state.winner]?.cards ?? []).reduce((s, c) => s + (c.points ?? 0), 0)
-          + (state.players[state.winner]?.nobles ?? []).reduce((s, n) => s + (n.points ?? 0), 0);
+          + (state.players[state.winner]?.nobles ?? []).reduce((s, n) => s + (n.points ?? 0), 0)
+          + (state.players[state.winner]?.coats ?? []).reduce((s, c) => s + (c.points ?? 0), 0);
 
         ctx.textAlign = "center";
         ctx.textBaseline = "middle";
@@ -427,23 +433,43 @@ function isHovered(uiID, uiState) {
 function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier, index, playerIndex, positionIndex, x, y, w, h, text, panelLayout }) {
   switch (kind) {
     case "decks.tier1":
-      //drawCard(ctx, { x, y, w, h } );
-      stateObject[0] ? drawDeckCard(ctx, { x, y, w, h }, {
-        color: "green"
-      } ) : null;
-      return true;
     case "decks.tier2":
+    case "decks.tier3": {
       //drawCard(ctx, { x, y, w, h } );
-      stateObject[0] ? drawDeckCard(ctx, { x, y, w, h }, {
-        color: "yellow"
-      } ) : null;
-      return true;
-    case "decks.tier3":
-      //drawCard(ctx, { x, y, w, h } );
-      stateObject[0] ? drawDeckCard(ctx, { x, y, w, h }, {
-        color: "blue"
-      } ) : null;
+      // stateObject is the deck's card count (contents never leave the server)
+      if (!(stateObject > 0)) return true;
+
+      const deckKey = kind.slice("decks.".length);
+      const deckPending = uiState.pending?.card?.deck === deckKey;
+
+      // Lift on hover when the top card could be reserved blind
+      const myTurnDeck = typeof uiState.myPlayerIndex === "number"
+        && uiState.myPlayerIndex === state.activePlayerIndex
+        && !state.gameOver;
+      const canReserveDeck = myTurnDeck && (deckPending || rulesCheck({
+        getState: () => state, uiState,
+        pending: uiState.pending ?? { tokens: {}, card: "" },
+        action: "reserveCard", card: { deck: deckKey }
+      }));
+      if (canReserveDeck && (isHovered(uiID, uiState) || deckPending)) { y -= 4 };
+
+      drawDeckCard(ctx, { x, y, w, h }, {
+        color: DECK_COLORS[deckKey]
+      } );
+
+      // Pending selection glow (gold with bloom)
+      if (deckPending) {
+        ctx.save();
+        ctx.shadowColor = "rgba(255,215,0,0.7)";
+        ctx.shadowBlur = 16;
+        roundedRectPath(ctx, x - 2, y - 2, w + 4, h + 4, 16);
+        ctx.strokeStyle = "#ffd700";
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.restore();
+      }
       return true;
+    }
     case "market.card": {
       //stateObject ? drawCard(ctx, { x, y, w, h } ) : null;
 
@@ -455,11 +481,21 @@ function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier,
       const myTurn = typeof uiState.myPlayerIndex === "number"
         && uiState.myPlayerIndex === state.activePlayerIndex
         && !state.gameOver;
+      // An Orient card's free take / reserve: the cards it allows stand out instead
+      const abilityStep = state.awaiting?.type === "TAKE_CARD" || state.awaiting?.type === "RESERVE_CARD";
+      const usable = (card) => abilityStep
+        ? rulesCheck({
+          getState: () => state, uiState,
+          pending: uiState.pending ?? { tokens: {}, card: "" },
+          action: state.awaiting.type === "TAKE_CARD" ? "takeCard" : "reserveCard",
+          card: { meta: card, tier, index }
+        })
+        : isAffordable(state, uiState, card, tier, index);
       const dimMarket = myTurn && (uiState.mode ?? "idle") === "idle" && stateObject
-        && !isAffordable(state, uiState, stateObject, tier, index);
+        && !usable(stateObject);
 
       const canInteractCard = !dimMarket && (cardPending || uiState.mode === "reserveCard"
-        || isAffordable(state, uiState, stateObject, tier, index));
+        || usable(stateObject));
       if (canInteractCard && (isHovered(uiID, uiState) || cardPending)) { y -= 4 };
       if (dimMarket) ctx.globalAlpha = 0.7;
 
@@ -468,6 +504,8 @@ function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier,
         points: stateObject.points,
         bonus: stateObject.bonus,
         cost: stateObject.cost,
+        ability: stateObject.ability,
+        takeTier: stateObject.takeTier,
       }) : null;
 
       if (dimMarket) ctx.globalAlpha = 1.0;
@@ -503,12 +541,18 @@ function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier,
 
       drawTokenShadow(ctx, { x, y, w, h }, {});
 
-      const tokenPending = uiID.startsWith("bank.") && (uiState.pending?.tokens?.[color] ?? 0) > 0;
       const isBank = uiID.startsWith("bank.");
+      const discarding = state.awaiting?.type === "DISCARD_TOKENS";
+      // Orient joker: a bank pile stands for the color it copies
+      const choosingBonus = state.awaiting?.type === "CHOOSE_BONUS";
+      const freeToken = state.awaiting?.type === "TAKE_FREE_TOKEN";
+      const tokenPending = isBank && (choosingBonus
+        ? uiState.pending?.bonus === color
+        : (uiState.pending?.tokens?.[color] ?? 0) > 0);
       const canTakeToken = isBank && (tokenPending || rulesCheck({
         getState: () => state, uiState,
         pending: uiState.pending ?? { tokens: {}, card: "" },
-        action: "takeToken", color
+        action: discarding ? "discardToken" : choosingBonus ? "chooseBonus" : freeToken ? "takeFreeToken" : "takeToken", color
       }));
       if (canTakeToken && (isHovered(uiID, uiState) || tokenPending)) { y -= 4 };
 
@@ -526,10 +570,77 @@ function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier,
       }
       return true;
     }
-    case "noble":
+    case "noble": {
       //stateObject ? drawCard(ctx, { x, y, w, h } ) : null // update this later to draw a noble card
-      stateObject ? drawNobleCached(ctx, { color, x, y, w, h }, stateObject ) : null;
+      if (!stateObject) return true;
+
+      // Noble choice pending for me: offered nobles glow, the picked one lifts
+      const choosing = state.awaiting?.type === "CHOOSE_NOBLE"
+        && uiState.myPlayerIndex === state.activePlayerIndex;
+      const offered = choosing && (state.awaiting.nobleIds ?? []).includes(stateObject.id);
+      const noblePending = offered && uiState.pending?.noble?.id === stateObject.id;
+      if (offered && (isHovered(uiID, uiState) || noblePending)) { y -= 4 };
+      if (choosing && !offered) ctx.globalAlpha = 0.5;
+
+      drawNobleCached(ctx, { color, x, y, w, h }, stateObject );
+
+      if (choosing && !offered) ctx.globalAlpha = 1.0;
+
+      if (offered) {
+        ctx.save();
+        ctx.shadowColor = "rgba(255,215,0,0.7)";
+        ctx.shadowBlur = noblePending ? 16 : 8;
+        roundedRectPath(ctx, x - 2, y - 2, w + 4, h + 4, 16);
+        ctx.strokeStyle = noblePending ? "#ffd700" : "rgba(255,215,0,0.6)";
+        ctx.lineWidth = noblePending ? 3 : 2;
+        ctx.stroke();
+        ctx.restore();
+      }
       return true;
+    }
+    case "city": {
+      if (!stateObject) return true;
+
+      // Seats that qualified for this city (Cities module)
+      const claimedBy = (state.players ?? [])
+        .map((p, i) => (p.cities ?? []).some(c => c?.id === stateObject.id) ? i : -1)
+        .filter(i => i !== -1);
+
+      // City choice pending for me: offered cities glow, the picked one lifts
+      const choosing = state.awaiting?.type === "CHOOSE_CITY"
+        && uiState.myPlayerIndex === state.activePlayerIndex;
+      const offered = choosing && (state.awaiting.cityIds ?? []).includes(stateObject.id);
+      const cityPending = offered && uiState.pending?.city?.id === stateObject.id;
+      if (offered && (isHovered(uiID, uiState) || cityPending)) { y -= 4 };
+      if (choosing && !offered) ctx.globalAlpha = 0.5;
+
+      drawCity(ctx, { x, y, w, h }, stateObject, claimedBy);
+
+      if (choosing && !offered) ctx.globalAlpha = 1.0;
+
+      if (offered) {
+        ctx.save();
+        ctx.shadowColor = "rgba(255,215,0,0.7)";
+        ctx.shadowBlur = cityPending ? 16 : 8;
+        roundedRectPath(ctx, x - 2, y - 2, w + 4, h + 4, 16);
+        ctx.strokeStyle = cityPending ? "#ffd700" : "rgba(255,215,0,0.6)";
+        ctx.lineWidth = cityPending ? 3 : 2;
+        ctx.stroke();
+        ctx.restore();
+      }
+      return true;
+    }
+    case "tradingPost": {
+      if (!stateObject) return true;
+
+      // Seats with a coat of arms on this post (Trading Posts module)
+      const coatsBy = (state.players ?? [])
+        .map((p, i) => (p.coats ?? []).some(c => c?.id === stateObject.id) ? i : -1)
+        .filter(i => i !== -1);
+
+      drawTradingPost(ctx, { x, y, w, h }, stateObject, coatsBy);
+      return true;
+    }
     case "panel.bg": {
       const playerIndex = FIXED_MAP[positionIndex];
       const isMe = uiState.myPlayerIndex === playerIndex;
@@ -542,10 +653,8 @@ function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier,
       let drawH = h; // fallback to full PANEL_H
       if (panelLayout && player) {
         const { cardRowY, cardH, cardPeek, padding } = panelLayout;
-        // Find max cards of a single color
-        const cards = player.cards ?? [];
-        const counts = {};
-        for (const c of cards) { const b = c?.bonus; if (b) counts[b] = (counts[b] ?? 0) + 1; }
+        // Find the tallest color stack (an Orient double card counts twice)
+        const counts = bonusByColor(player.cards);
         const maxStack = Math.max(0, ...Object.values(counts));
         // Minimum: card row top + one base card height + padding (shows empty placeholders)
         const minH = cardRowY + cardH + padding;
@@ -607,8 +716,9 @@ function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier,
       const name = player?.name ?? `Player ${playerIndex + 1}`;
       const fromCards  = (player?.cards ?? []).reduce((s, c) => s + (c.points ?? 0), 0);
       const fromNobles = (player?.nobles ?? []).reduce((s, n) => s + (n.points ?? 0), 0);
-      const prestige = fromCards + fromNobles;
-      const gems   = (player?.cards ?? []).filter(c => c.bonus).length;
+      const fromCoats  = (player?.coats ?? []).reduce((s, c) => s + (c.points ?? 0), 0);
+      const prestige = fromCards + fromNobles + fromCoats;
+      const gems   = Object.values(bonusByColor(player?.cards)).reduce((s, n) => s + n, 0);
       const tokens = Object.values(player?.tokens ?? {}).reduce((s, n) => s + n, 0);
 
       const headerCenterY = y + pad + (panelLayout?.headerH ?? 30) / 2;
@@ -657,7 +767,9 @@ function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier,
       let rx = x + w - pad - 8;
 
       // Prestige
-      ctx.fillStyle = prestige >= 15 ? "#d4a017" : "#555";
+      const { cities, targetPoints } = gameOptions(state);
+      const leading = cities ? (player?.cities ?? []).length > 0 : prestige >= targetPoints;
+      ctx.fillStyle = leading ? "#d4a017" : "#555";
       const prestigeFont = `bold 14px 'Plus Jakarta Sans', system-ui, sans-serif`;
       ctx.font = prestigeFont;
       const prestigeText = `${prestige}pt`;
@@ -721,6 +833,13 @@ function drawSelect(ctx, state, uiState, stateObject, { uiID, kind, color, tier,
         return true;
       }
       drawReservedShadow(ctx, { x, y, w, h }, {});
+
+      // Another player's blind reserve — only the card back is known
+      if (stateObject.hidden) {
+        drawReservedBack(ctx, { x, y, w, h }, stateObject);
+        return true;
+      }
+
       const resPending = uiState.pending?.card?.tier === tier && uiState.pending?.card?.index === index;
 
       // Dim unaffordable reserved cards (own cards only, when idle on my turn)
@@ -1139,16 +1258,23 @@ function drawPip(ctx, x, y, s, color, text) {
   ctx.fillText(String(text), x + s / 2, y + s / 2);
 }
 
+// Orient card abilities (engine/defs.js), shown under the bonus gem
+const ABILITY_BADGES = { double: "×2", joker: "J", reserve: "R", take: "+", noble: "N" };
+
 function drawDevelopmentCard(ctx, { x, y, w, h }, card = {}) {
   const {
     id = "",
     points = 0,
-    bonus = "white",
+    bonus: printedBonus = "white",
+    ability = null,
+    takeTier = null,
     cost = {},
     banner = "",
     bg = null, // optional override
   } = card;
 
+  const bonus = printedBonus ?? "yellow"; // an Orient joker whose color isn't chosen yet
+
   const pad = Math.max(4, Math.floor(Math.min(w, h) * 0.06));
   const headerH = Math.floor(h * 0.25 * _pipScale);
 
@@ -1275,6 +1401,17 @@ function drawDevelopmentCard(ctx, { x, y, w, h }, card = {}) {
     ctx.fillRect(cx - r * 2.5, cy - r * 2.5, r * 5, r * 5);
     ctx.restore();
     drawGemCached(ctx, cx, cy, r, bonus, "");
+
+    if (ABILITY_BADGES[ability]) {
+      const badge = ability === "take" ? `+${takeTier}` : ABILITY_BADGES[ability];
+      ctx.font = `700 ${Math.max(9, Math.floor(r * 1.1))}px 'Plus Jakarta Sans', system-ui, sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "top";
+      ctx.fillStyle = hasArt ? "#fff" : "rgba(0,0,0,.85)";
+      if (hasArt) { ctx.shadowColor = "rgba(0,0,0,0.6)"; ctx.shadowBlur = 3; }
+      ctx.fillText(badge, cx, cy + r + 2);
+      ctx.shadowBlur = 0;
+    }
   }
 
   // --- optional banner
@@ -1629,6 +1766,132 @@ function drawNoble(ctx, { x, y, w, h }, noble = {}) {
   }
 }
 
+// City tile (Cities module): prestige needed on the left, required bonuses
+// as pips ("any" in grey), and a dot per seat that qualified for it.
+function drawCity(ctx, { x, y, w, h }, city = {}, claimedBy = []) {
+  const { points = 0, req = {} } = city;
+  const pad = Math.max(4, Math.floor(Math.min(w, h) * 0.06));
+  const pipSize = Math.max(12, Math.floor(Math.min(w, h) * 0.192 * _pipScale));
+  const gemR = pipSize / 2;
+  const gap = Math.max(3, Math.floor(pipSize * 0.18));
+
+  // --- base: warm stone with a darker skyline band
+  roundedRectPath(ctx, x, y, w, h);
+  const grad = ctx.createLinearGradient(x, y, x, y + h);
+  grad.addColorStop(0, "#E8DCC4");
+  grad.addColorStop(1, "#C9B48E");
+  ctx.fillStyle = grad;
+  ctx.fill();
+
+  ctx.save();
+  roundedRectPath(ctx, x, y, w, h);
+  ctx.clip();
+  ctx.fillStyle = "rgba(90,70,40,0.18)";
+  const towers = 7;
+  const towerW = w / towers;
+  for (let i = 0; i < towers; i++) {
+    const th = h * (0.25 + 0.2 * ((i * 37) % 5) / 4);
+    ctx.fillRect(x + i * towerW + towerW * 0.15, y + h - th, towerW * 0.7, th);
+  }
+  ctx.restore();
+
+  roundedRectPath(ctx, x, y, w, h);
+  ctx.strokeStyle = claimedBy.length ? "#d4a017" : "rgba(0,0,0,1)";
+  ctx.lineWidth = claimedBy.length ? 2 : 1;
+  ctx.stroke();
+
+  // --- prestige needed (left)
+  const pointsFontSize = Math.max(14, Math.floor(h * 0.32 * _pipScale));
+  ctx.fillStyle = "rgba(40,30,15,0.9)";
+  ctx.font = `700 ${pointsFontSize}px 'Plus Jakarta Sans', system-ui, sans-serif`;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.fillText(String(points), x + pad * 1.5, y + h / 2);
+
+  // --- required bonuses (right-aligned row)
+  const order = ["white", "blue", "green", "red", "black"];
+  const pips = order.filter(c => (req[c] ?? 0) > 0).map(c => [c, req[c]]);
+  if (req.any) pips.push(["#888", req.any]);
+
+  let cx = x + w - pad - gemR - (pips.length - 1) * (pipSize + gap);
+  for (const [c, n] of pips) {
+    drawGemCached(ctx, cx, y + h / 2, gemR, c, String(n));
+    cx += pipSize + gap;
+  }
+
+  // --- who qualified (bottom-left)
+  claimedBy.forEach((seat, i) => {
+    ctx.beginPath();
+    ctx.arc(x + pad * 1.5 + i * 10, y + h - pad - 3, 4, 0, Math.PI * 2);
+    ctx.fillStyle = SEAT_ACCENT_COLORS[seat] ?? "#555";
+    ctx.fill();
+  });
+}
+
+// Trading post (Trading Posts module): its power on the left, required
+// bonuses as pips (a noble as a grey "N"), and a coat of arms per seat on it.
+const POST_POWER_LABELS = {
+  extraToken: "2 + 1 take",
+  tokenOnBuy: "+1 on buy",
+  pointsPerCoat: "1 pt / coat",
+};
+
+function drawTradingPost(ctx, { x, y, w, h }, post = {}, coatsBy = []) {
+  const { power, req = {} } = post;
+  const pad = Math.max(4, Math.floor(Math.min(w, h) * 0.06));
+  const pipSize = Math.max(12, Math.floor(Math.min(w, h) * 0.192 * _pipScale));
+  const gemR = pipSize / 2;
+  const gap = Math.max(3, Math.floor(pipSize * 0.18));
+
+  // --- base: weathered wood
+  roundedRectPath(ctx, x, y, w, h);
+  const grad = ctx.createLinearGradient(x, y, x, y + h);
+  grad.addColorStop(0, "#B98B5E");
+  grad.addColorStop(1, "#8A623D");
+  ctx.fillStyle = grad;
+  ctx.fill();
+  ctx.strokeStyle = coatsBy.length ? "#d4a017" : "rgba(0,0,0,1)";
+  ctx.lineWidth = coatsBy.length ? 2 : 1;
+  ctx.stroke();
+
+  // --- power (top-left)
+  const labelFontSize = Math.max(11, Math.floor(h * 0.2 * _pipScale));
+  ctx.fillStyle = "rgba(255,248,235,0.95)";
+  ctx.font = `700 ${labelFontSize}px 'Plus Jakarta Sans', system-ui, sans-serif`;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  ctx.fillText(POST_POWER_LABELS[power] ?? "", x + pad * 1.5, y + pad * 1.5);
+
+  // --- requirement (right-aligned row)
+  const order = ["white", "blue", "green", "red", "black"];
+  const pips = order.filter(c => (req[c] ?? 0) > 0).map(c => [c, String(req[c])]);
+  if (req.nobles) pips.push(["#888", `N${req.nobles > 1 ? req.nobles : ""}`]);
+
+  let cx = x + w - pad - gemR - (pips.length - 1) * (pipSize + gap);
+  for (const [c, text] of pips) {
+    drawGemCached(ctx, cx, y + h - pad - gemR, gemR, c, text);
+    cx += pipSize + gap;
+  }
+
+  // --- coats of arms (bottom-left): small shields in seat colors
+  coatsBy.forEach((seat, i) => {
+    const sx = x + pad * 1.5 + i * 13;
+    const sy = y + h - pad - 14;
+    ctx.beginPath();
+    ctx.moveTo(sx, sy);
+    ctx.lineTo(sx + 10, sy);
+    ctx.lineTo(sx + 10, sy + 7);
+    ctx.quadraticCurveTo(sx + 10, sy + 12, sx + 5, sy + 14);
+    ctx.quadraticCurveTo(sx, sy + 12, sx, sy + 7);
+    ctx.closePath();
+    ctx.fillStyle = SEAT_ACCENT_COLORS[seat] ?? "#555";
+    ctx.fill();
+    ctx.strokeStyle = "rgba(0,0,0,0.6)";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  });
+}
+
 function drawReservedShadow(ctx, { x, y, w, h }, stateObject) {
     // Save the current canvas state (coordinate system)
     ctx.save();
@@ -1663,6 +1926,8 @@ function drawReserved(ctx, { x, y, w, h }, stateObject) {
       points: stateObject.points,
       bonus: stateObject.bonus,
       cost: stateObject.cost,
+      ability: stateObject.ability,
+      takeTier: stateObject.takeTier,
       banner: "RESERVED"
     })
 
@@ -1670,6 +1935,17 @@ function drawReserved(ctx, { x, y, w, h }, stateObject) {
     ctx.restore();
 }
 
+function drawReservedBack(ctx, { x, y, w, h }, stateObject) {
+    // Same rotation trick as drawReserved, but draws the deck back for the card's tier
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(90 * Math.PI / 180);
+    drawDeckCard(ctx, { x: 0, y: -w, w: h, h: w }, {
+      color: DECK_COLORS[`tier${stateObject.tier}`] ?? "white"
+    });
+    ctx.restore();
+}
+
 function drawFannedNobles(ctx, { color, x, y, w, h }, stateObject ) {
 
   const peek = Math.floor(h * 0.30);
@@ -0,0 +1,59 @@
+// ui/replay.js
+import { initialState } from "../engine/state.js";
+import { applyAction } from "../engine/reducer.js";
+
+/**
+ * Replay module
+ * -------------
+ * Rebuilds a finished game from its HISTORY message by re-running the
+ * shared engine reducer from the seeded initial state, then lets the UI
+ * step forward/back through the resulting states.
+ *
+ * history = { roomId, seed, playerCount, names, options, entries:[{ action, text, ... }] }
+ *
+ * This module knows NOTHING about rendering or DOM events.
+ */
+export function createReplay(history) {
+  if (history?.seed == null) throw new Error("createReplay: history has no seed (game not over yet?)");
+
+  const first = initialState(history.playerCount, history.roomId, history.seed, history.options ?? undefined);
+  first.players.forEach((p, i) => { if (history.names?.[i]) p.name = history.names[i]; });
+
+  // states[i] = state after the first i actions
+  const states = [first];
+  for (const entry of history.entries ?? []) {
+    const prev = states[states.length - 1];
+    const next = applyAction(prev, entry.action);
+    if (next === prev) {
+      // Should never happen for a server-accepted log; stop rather than desync
+      console.warn("[replay] action rejected while replaying", entry);
+      break;
+    }
+    states.push(next);
+  }
+
+  let index = 0;
+
+  return {
+    get index() { return index; },
+    get total() { return states.length - 1; },
+
+    state() {
+      return states[index];
+    },
+
+    // Description of the action that produced the current state ("" at the start)
+    text() {
+      return index === 0 ? "Game start" : (history.entries[index - 1]?.text ?? "");
+    },
+
+    goTo(i) {
+      index = Math.max(0, Math.min(states.length - 1, i));
+      return states[index];
+    },
+
+    step(delta) {
+      return this.goTo(index + delta);
+    },
+  };
+}
@@ -5,9 +5,12 @@
         //          reserve card (from market or top of deck) & take 1 gold if available
         //          buy a card from market or reserved
         //          obey rules:
-        //              token hand limit of 10
-        //              max 3 reserved
-        //      award nobles
+        //              token hand limit (room option, official: 10; discard down at end of turn)
+        //              reserve limit (room option, official: 3)
+        //      Orient cards: resolve the bought card's ability (joker color, free take / reserve / noble)
+        //      Trading posts: free token after a buy, coats of arms at end of turn
+        //      award nobles (player chooses when several qualify)
+        //      Cities: award a city (player chooses when several qualify)
         //      update game status
         //          player status (cards, tokens, points)
         //          board status (cards on board, player status for UI)
@@ -16,81 +19,48 @@
         //      next Player turn
 
 import { DEBUG } from "../debug.js";
+import { Actions } from "../engine/actions.js";
+import { canExtend } from "../engine/moves.js";
 
-export function rulesCheck({ getState, uiState, pending, action, color, card }) {
+// UI gating for clicks: would this gesture, added to what's already pending,
+// still lead to an action the server accepts? The answer always comes from
+// the engine (engine/rules.js via canExtend), so the UI can't disagree with it.
+export function rulesCheck({ getState, uiState, pending, action, color, card, noble, city }) {
 
-        if (DEBUG) console.log({action, color, card});
+        if (DEBUG) console.log({action, color, card, noble, city});
         const state = getState();
 
-        const me = (typeof uiState?.myPlayerIndex === "function")
-                ? uiState.myPlayerIndex()
-                : state.activePlayerIndex;
-
-        const currentPlayer = state.players[me];
-
-        function bonusByColor(cards, colors) {
-                const out = {};
-                for (const c of colors) out[c] = 0;
-                        for (const card of (cards ?? [])) {
-                        const b = card?.bonus;
-                        (out[b]++);
-                        }
-                return out;
-        }
-
-        function countPendingTokens(tokens) {
-                return Object.values(tokens).reduce((sum, n) => sum + n, 0);
-        }
-
-        function countMaxPerColor(tokens) {
-                return Object.values(tokens).reduce((max, n) => Math.max(max, n), 0);
-        }
-
-        function countBonusColorFromCards(cards, color) { 
-                const grouped = bonusByColor(cards, ["white","blue","green","red","black"]);
-                return grouped[color];
-        }
-
-        function availableFundsForCard(card) {
-                let check = true;
-                const cost = card.meta.cost;
-
-                const bonus = bonusByColor(currentPlayer.cards, ["white","blue","green","red","black"]);
-
-                let short = 0;
-
-                for (const [c, need] of Object.entries(cost)) {
-                        const have = (bonus[c] ?? 0) + (currentPlayer.tokens[c] ?? 0);
-                        if (have < need) short += (need - have);
-                }
+        const partial = partialAction(state, pending, action, color, card, noble, city);
+        return !!partial && canExtend(state, partial);
+}
 
-                if ((currentPlayer.tokens["yellow"] ?? 0) < short) check = false;
-                return check;
-        }
+// Translates a UI gesture into the (possibly incomplete) engine action it is part of.
+function partialAction(state, pending, action, color, card, noble, city) {
+        const withOneMore = (tokens) => ({ ...tokens, [color]: (tokens?.[color] ?? 0) + 1 });
 
-        let check = true
         switch (action) {
                 case "takeToken":
-                        if (state.market.bank[color] < 1) {check = false} // bank has at least one token of that color
-                        if (countPendingTokens(pending.tokens) > 2) {check = false} // cannot take more than 3 tokens
-                        if (countMaxPerColor(pending.tokens) > 1) {check = false} // cannot have two tokens of the same color in-hand
-                        if (pending.tokens[color] &&  // if taking a second token of the same color already pending ...
-                                (countPendingTokens(pending.tokens) > 1 || // ... the first token must be the only other token in pending
-                                state.market.bank[color] < 4) // ... and the bank must have 4 tokens of that color
-                        ) {check = false}
-                        if ( (countPendingTokens(currentPlayer.tokens) + countPendingTokens(pending.tokens)) > 9
-                        ) {check = false} // prevent player from picking up more than 10 tokens
-                        break;
+                        // grabbing gold starts a reserve: some card or deck must be
+                        // reservable (the gold itself is optional, as in the engine)
+                        if (color === "yellow") return { type: "RESERVE_CARD" };
+                        return Actions.takeTokens(withOneMore(pending.tokens));
+                case "discardToken":
+                        return Actions.discardTokens(withOneMore(pending.tokens));
+                case "chooseNoble":
+                        return Actions.chooseNoble(noble?.id);
+                case "chooseCity":
+                        return Actions.chooseCity(city?.id);
+                case "chooseBonus":
+                        return Actions.chooseBonus(color);
+                case "takeCard":
+                        return Actions.takeCard(card);
+                case "takeFreeToken":
+                        return Actions.takeFreeToken(color);
                 case "buyCard":
-                        if (!availableFundsForCard(card)) {check = false} // player has sufficient bonus and tokens to buy card
-                        break;
+                        return Actions.buyCard(card);
                 case "reserveCard":
-                        if (currentPlayer.reserved.length > 2) {check = false} // max 3 reserved cards
-                        break;
+                        return card?.deck ? Actions.reserveFromDeck(card.deck) : Actions.reserveCard(card);
                 default:
-                        break;
+                        return null;
         }
-        return check
 }
-
-        
@@ -29,7 +29,11 @@ export function createUIState() {
     // UI-only selections (never sent to reducer/server)
     pending: {
       tokens: { /*white: 0, blue: 0, green: 0, red: 0, black: 0, yellow: 0*/ },
-      card: null
+      card: null,
+      noble: null,
+      city: null,    // chooseCity: city picked when several qualify (Cities module)
+      payment: null, // buyCard: chosen split of colored tokens vs gold
+      bonus: null    // chooseBonus: color an Orient joker card copies
     },
 
     // Future-proofing:
@@ -0,0 +1,118 @@
+// clock.js
+// -----------------------------------------------------------------------------
+// Per-room time controls
+// -----------------------------------------------------------------------------
+// Chosen when a room is created (CREATE_GAME clock:{ mode, seconds, onTimeout }):
+//   turn   - every turn starts with `seconds` on the active seat's clock
+//   total  - chess clock: each seat has `seconds` for the whole game
+//
+// When the active seat's clock reaches zero the server plays for them:
+//   autoTake - finish a pending sub-step, else take tokens (pass if none can be taken)
+//   skip     - finish a pending sub-step, else pass
+//   forfeit  - the player leaves the game (engine FORFEIT)
+//
+// Everything here is plain bookkeeping on { remainingMs, seat, startedAt };
+// server.js owns the timer and decides when the clock runs or pauses.
+// -----------------------------------------------------------------------------
+
+import { Actions } from "../engine/actions.js";
+import { legalActions } from "../engine/moves.js";
+
+export const CLOCK_MODES = {
+  turn: "Per turn",
+  total: "Chess clock",
+};
+
+export const TIMEOUT_POLICIES = {
+  autoTake: "Take tokens",
+  skip: "Skip turn",
+  forfeit: "Forfeit",
+};
+
+// Allowed `seconds` per mode
+const LIMITS = {
+  turn: [10, 600],
+  total: [60, 3 * 60 * 60],
+};
+
+/** Validated clock config from a client message, or null for "no clock". */
+export function normalizeClock(raw) {
+  if (!raw || !Object.hasOwn(CLOCK_MODES, raw.mode)) return null;
+
+  const [min, max] = LIMITS[raw.mode];
+  const seconds = Math.round(Number(raw.seconds));
+  if (!Number.isFinite(seconds)) return null;
+
+  return {
+    mode: raw.mode,
+    seconds: Math.min(max, Math.max(min, seconds)),
+    onTimeout: Object.hasOwn(TIMEOUT_POLICIES, raw.onTimeout) ? raw.onTimeout : "autoTake",
+  };
+}
+
+/** Fresh clocks for a game that is starting; nobody's clock runs yet. */
+export function createClockState(clock, playerCount) {
+  return {
+    remainingMs: Array(playerCount).fill(clock.seconds * 1000),
+    seat: null,      // whose turn the clock is on
+    startedAt: null, // when it last started running; null while paused
+  };
+}
+
+/** Stop the running clock, charging the elapsed time to its seat. */
+export function pauseClock(cs, now = Date.now()) {
+  if (cs.startedAt == null) return;
+  cs.remainingMs[cs.seat] = Math.max(0, cs.remainingMs[cs.seat] - (now - cs.startedAt));
+  cs.startedAt = null;
+}
+
+/**
+ * Run the clock for `seat`. A different seat than last time means a new
+ * turn, which refills the clock in "turn" mode. Returns the ms left.
+ */
+export function runClock(clock, cs, seat, now = Date.now()) {
+  pauseClock(cs, now);
+  if (seat !== cs.seat && clock.mode === "turn") cs.remainingMs[seat] = clock.seconds * 1000;
+  cs.seat = seat;
+  cs.startedAt = now;
+  return cs.remainingMs[seat];
+}
+
+/**
+ * What clients get (ROOM / STATE / PATCH): the config plus each seat's time
+ * left as of `now`. `running` is the seat whose clock is ticking, or null.
+ */
+export function clockSnapshot(clock, cs, now = Date.now()) {
+  if (!clock) return null;
+  const remainingMs = cs ? [...cs.remainingMs] : [];
+  if (cs?.startedAt != null) {
+    remainingMs[cs.seat] = Math.max(0, remainingMs[cs.seat] - (now - cs.startedAt));
+  }
+  return {
+    ...clock,
+    remainingMs,
+    running: cs?.startedAt != null ? cs.seat : null,
+  };
+}
+
+/**
+ * timeoutAction(state, onTimeout)
+ * -------------------------------
+ * The action played for the active seat when its clock runs out.
+ * A pending discard / noble choice is always resolved first (with the
+ * first legal option), except under "forfeit".
+ */
+export function timeoutAction(state, onTimeout) {
+  if (onTimeout === "forfeit") return Actions.forfeit();
+
+  const legal = legalActions(state);
+  if (state.awaiting) return legal[0] ?? Actions.forfeit();
+
+  if (onTimeout === "autoTake") {
+    const takes = legal.filter(a => a.type === "TAKE_TOKENS");
+    // prefer 3 different colors over 2 of one
+    const take = takes.find(a => Object.keys(a.tokens).length === 3) ?? takes[0];
+    if (take) return take;
+  }
+  return Actions.passTurn();
+}
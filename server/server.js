@@ -12,17 +12,39 @@
 //        - rooms (multiple games in parallel)
 //        - per-room authoritative state (the ONLY source of truth)
 //        - seat assignment (playerIndex 0..3) or spectator (null)
-//        - turn enforcement (only activePlayerIndex can act)
+//        - turn enforcement (only activePlayerIndex can act; in hot-seat rooms
+//          the host's device acts for every seat but the bots')
 //
 // Protocol (client -> server):
 //   { type:"JOIN", roomId:"abc", name?:"Sam" }
+//   { type:"CREATE_GAME", name?:"Sam", seed?:1234,               // seed => reproducible setup
+//     clock?:{ mode:"turn"|"total", seconds, onTimeout:"autoTake"|"skip"|"forfeit" }, // see clock.js
+//     hotSeat?:true,                                              // pass and play: one device, others watch
+//     options?:{ targetPoints, firstPlayer, reserveLimit, handLimit, cities, orient, tradingPosts, visibility } } // see engine/options.js
 //   { type:"ACTION", roomId:"abc", action:{ type:"TAKE_TOKENS" | ... } }
+//   { type:"ADD_BOT", roomId:"abc", level:"greedy"|"lookahead" } // host only, pre-game
+//   { type:"ADD_PLAYER", roomId:"abc", name?:"Bea" }             // host only, pre-game, hot-seat rooms
+//   { type:"REMOVE_BOT", roomId:"abc", seat:2 }                  // host only, pre-game (bot or local player)
+//   { type:"SET_OPTIONS", roomId:"abc", options:{ targetPoints:12, ... } } // host only, pre-game; merged
+//                                                               // into the room's options, everyone re-readies
+//   { type:"RESYNC", roomId:"abc" }                               // client missed a PATCH; resend STATE
+//   { type:"UNDO_REQUEST", roomId:"abc" }                         // take back my last action (before the next player acts)
+//   { type:"UNDO_REPLY", roomId:"abc", accept:true|false }        // answer another player's UNDO_REQUEST
 //
 // Protocol (server -> client):
 //   { type:"WELCOME", roomId, clientId, playerIndex }           // sent to joiner only
-//   { type:"ROOM", roomId, clients:[{seat,clientId,name,occupied}] } // broadcast to room
-//   { type:"STATE", roomId, version, state }                    // broadcast or resync
-//   { type:"REJECTED", roomId, reason, ...optionalFields }      // rejected action
+//   { type:"ROOM", roomId, clients:[{seat,clientId,name,occupied,bot,local}], clock, hotSeat, options } // broadcast to room
+//   { type:"STATE", roomId, version, state, clock }             // broadcast or resync (per-viewer, see engine/view.js)
+//   { type:"PATCH", roomId, version, ops, entry, clock }        // one accepted action: ops turn the viewer's
+//                                                               // version-1 view into this one (engine/patch.js);
+//                                                               // entry is the room.history record
+//                                                               // clock: clockSnapshot() or null (no time control)
+//   { type:"HISTORY", roomId, seed, playerCount, names, options, entries } // full log; seed only after game over
+//   { type:"REJECTED", roomId, reason, code, message, ...optionalFields } // rejected action; message is
+//                                                               // player-facing, code from engine/rules.js checkAction
+//   { type:"UNDO_REQUESTED", roomId, seat, waitingFor:[seats] } // someone asked to take back their last action
+//   { type:"UNDO_RESOLVED", roomId, seat, accepted, by? }        // accepted => a full STATE + HISTORY follow;
+//                                                               // declined: by = the seat that said no (null if superseded)
 //   { type:"ERROR", message }                                   // malformed messages, etc.
 // -----------------------------------------------------------------------------
 
@@ -33,12 +55,25 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
-import { initialState } from "../engine/state.js";
 import { applyAction } from "../engine/reducer.js";
+import { viewFor } from "../engine/view.js";
+import { validateState } from "../engine/validate.js";
+import { diffState } from "../engine/patch.js";
+import { createJsonStore, createNullStore } from "./store.js";
+import { BOT_THINK_MS } from "../engine/bots.js";
+import {
+  newRoom, generateRoomId, roomSnapshot, restoreRoom, viewerIndex, roomSummary, historyMessage,
+  compactSeats, addBot, addLocalPlayer, removeSeat, setOptions, toggleReady,
+  tryAction, recordAction, autoMoveDue, autoMove, undoBlocker, takeBack,
+} from "../engine/rooms.js";
+import {
+  normalizeClock, createClockState, pauseClock, runClock, clockSnapshot, timeoutAction,
+} from "./clock.js";
 
 const PORT = Number(process.env.PORT || 8787);
 const DEBUG = process.env.DEBUG === "1";
 const MAX_CHAT_MESSAGES = 50;
+const PERSIST = process.env.PERSIST !== "0";
 
 // -----------------------------------------------------------------------------
 // Static hosting config
@@ -54,6 +89,9 @@ const PUBLIC_DIR = path.join(__dirname, "..", "public");
 // (useful while prototyping; later you might bundle these for the browser)
 const ENGINE_DIR = path.join(__dirname, "..", "engine");
 
+// Room/session snapshots (see store.js). PERSIST=0 keeps everything in memory.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
 // Minimal MIME map (important for ES modules)
 const MIME = {
   ".html": "text/html; charset=utf-8",
@@ -76,12 +114,15 @@ const MIME = {
 /**
  * rooms: roomId -> room
  *
- * room = {
+ * room = newRoom() (engine/rooms.js: seats, ready, state, version, history,
+ * undo, options...) plus the server's own:
  *   clients: Set<ws>,                     // everyone connected to the room
- *   seats: Array<null | {ws,clientId,name}>, // exactly 4 slots; null means empty seat
- *   state: any,                           // authoritative engine state
- *   version: number                       // increments on every accepted action
- * }
+ *                                         // each human seat also has its ws
+ *   messages: Array<chat message>,        // last MAX_CHAT_MESSAGES
+ *   clockState, clockTimer                // time left per seat (clock.js) once started
+ *
+ * Started rooms are snapshotted to the store (see Persistence below) and
+ * restored on boot with every seat's ws set to null.
  */
 const rooms = new Map();
 
@@ -103,14 +144,91 @@ function generateSessionId() {
   return Math.random().toString(36).slice(2, 10) + Math.random().toString(36).slice(2, 10);
 }
 
-function generateRoomId() {
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // omit O/0/I/1 to avoid confusion
-  let id = "";
-  for (let i = 0; i < 6; i++) id += chars[Math.floor(Math.random() * chars.length)];
-  return id;
+let nextClientId = 1;
+
+// -----------------------------------------------------------------------------
+// Persistence
+// -----------------------------------------------------------------------------
+// Only started rooms are saved: a pre-game lobby is cheap to recreate, and
+// nobody can reconnect to it after a restart anyway. Seats are saved without
+// their socket so the session-reclaim path in assignSeat() restores them.
+// Writes are batched: persistRoom() marks the room and a save follows
+// PERSIST_DELAY_MS later (and on shutdown), so a busy room costs one write
+// per delay rather than one per action.
+
+const PERSIST_DELAY_MS = 1000;
+
+const store = PERSIST ? createJsonStore(DATA_DIR) : createNullStore();
+
+function persistSessions() {
+  try {
+    store.saveSessions([...sessions], { nextClientId });
+  } catch (err) {
+    console.error("persist sessions failed:", err.message);
+  }
 }
 
-let nextClientId = 1;
+const unsavedRooms = new Set();
+let persistTimer = null;
+
+/** Save a room (if started) together with the session mapping, shortly. */
+function persistRoom(roomId) {
+  unsavedRooms.add(roomId);
+  persistTimer ??= setTimeout(flushPersist, PERSIST_DELAY_MS);
+}
+
+function flushPersist() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+
+  for (const roomId of unsavedRooms) {
+    const room = rooms.get(roomId);
+    try {
+      if (room?.started) store.saveRoom(roomId, { ...roomSnapshot(room), messages: room.messages, clockState: room.clockState });
+    } catch (err) {
+      console.error(`persist room ${roomId} failed:`, err.message);
+    }
+  }
+  unsavedRooms.clear();
+  persistSessions();
+}
+
+function forgetRoom(roomId) {
+  unsavedRooms.delete(roomId);
+  try {
+    store.deleteRoom(roomId);
+  } catch (err) {
+    console.error(`delete room ${roomId} failed:`, err.message);
+  }
+  persistSessions();
+}
+
+function restoreFromStore() {
+  const saved = store.load();
+
+  for (const [roomId, snap] of saved.rooms) {
+    const room = restoreRoom(snap); // undo take-backs end with a restart
+    if (!room) continue;
+    rooms.set(roomId, {
+      ...room,
+      clients: new Set(),
+      seats: room.seats.map(s => s && { ws: null, ...s }),
+      messages: snap.messages ?? [],
+      // paused until someone reconnects; server downtime isn't charged
+      clockState: snap.clockState ? { ...snap.clockState, startedAt: null } : null,
+      clockTimer: null,
+    });
+  }
+
+  for (const [sessionId, session] of saved.sessions) sessions.set(sessionId, session);
+
+  // Keep clientIds unique across restarts: restored seats are matched by clientId
+  nextClientId = Math.max(nextClientId, saved.meta.nextClientId ?? 1);
+
+  if (rooms.size) console.log(`Restored ${rooms.size} room(s) from ${DATA_DIR}`);
+}
+
+restoreFromStore();
 
 // -----------------------------------------------------------------------------
 // Room helpers
@@ -124,42 +242,39 @@ function getRoom(roomId, metadata = {}) {
   let room = rooms.get(roomId);
   if (!room) {
     room = {
+      ...newRoom({ ...metadata, name: metadata.name ?? roomId }),
       clients: new Set(),
-      seats: Array(4).fill(null),
-      state: null,
-      version: 0,
-      ready: [false, false, false, false],
-      started: false,
-      name: metadata.name ?? roomId,
-      createdBy: metadata.createdBy ?? null,
-      createdAt: metadata.createdAt ?? Date.now(),
       messages: [],
+      clockState: null,  // per-seat time left once the game has started
+      clockTimer: null,
     };
     rooms.set(roomId, room);
   }
   return room;
 }
 
-function createRoom({ creatorClientId, roomName }) {
+function createRoom({ creatorClientId, roomName, seed = null, clock = null, hotSeat = false, options = null }) {
   let roomId;
   do { roomId = generateRoomId(); } while (rooms.has(roomId));
-  getRoom(roomId, { name: roomName, createdBy: creatorClientId, createdAt: Date.now() });
+  getRoom(roomId, { name: roomName, createdBy: creatorClientId, createdAt: Date.now(), seed, clock, hotSeat, options });
   return roomId;
 }
 
-function roomListSnapshot() {
+/** Private rooms stay out of the lobby list, except for their host and seated players. */
+function roomListedFor(room, clientId) {
+  if (room.options.visibility !== "private") return true;
+  return clientId != null && (room.createdBy === clientId || room.seats.some(s => s?.clientId === clientId));
+}
+
+function roomListSnapshot(forClientId = null) {
   const list = [];
   for (const [roomId, room] of rooms) {
-    const playerCount = room.seats.filter(s => s !== null).length;
+    if (!roomListedFor(room, forClientId)) continue;
     let spectatorCount = 0;
     for (const ws of room.clients) {
       const info = clientInfo.get(ws);
       if (info && info.playerIndex === null) spectatorCount++;
     }
-    const gameOver = room.state?.gameOver ?? false;
-    const winnerName = gameOver && typeof room.state.winner === "number"
-      ? (room.state.players[room.state.winner]?.name ?? `Player ${room.state.winner + 1}`)
-      : null;
     // Build a clientId → live ws lookup from the active clients set
     const liveWsByClientId = new Map();
     for (const ws of room.clients) {
@@ -173,7 +288,9 @@ function roomListSnapshot() {
         const liveInfo = liveWs ? clientInfo.get(liveWs) : null;
         return {
           name: s.name, seat,
-          wsOpen: liveWs ? (liveWs.readyState === 1) : false,
+          bot: s.bot ?? null,
+          local: !!s.local,
+          wsOpen: s.bot ? true : s.local ? seatOpen(room, s) : liveWs ? (liveWs.readyState === 1) : false,
           lastActivity: liveInfo?.lastActivity ?? null,
         };
       })
@@ -185,18 +302,20 @@ function roomListSnapshot() {
         spectators.push({ name: info.name, wsOpen: ws.readyState === 1 });
       }
     }
-    list.push({ roomId, name: room.name, playerCount, spectatorCount, started: room.started, gameOver, winnerName, players, spectators });
+    list.push({ ...roomSummary(roomId, room), spectatorCount, players, spectators });
   }
   return list;
 }
 
-function connectedUsersSnapshot() {
+/** Who is online and where; a private room's name is only shown to those it is listed for. */
+function connectedUsersSnapshot(forClientId = null) {
   const list = [];
   for (const [ws, info] of clientInfo) {
     let location = "Lobby";
     if (info.roomId) {
       const room = rooms.get(info.roomId);
-      location = room?.name ?? info.roomId;
+      if (room && !roomListedFor(room, forClientId)) location = "In a private game";
+      else location = room?.name ?? info.roomId;
     }
     list.push({
       clientId: info.clientId,
@@ -210,10 +329,9 @@ function connectedUsersSnapshot() {
 }
 
 function broadcastRoomList() {
-  const snapshot = roomListSnapshot();
-  const users = connectedUsersSnapshot();
   for (const [ws, info] of clientInfo) {
-    if (info.roomId === null) safeSend(ws, { type: "ROOM_LIST", rooms: snapshot, users });
+    if (info.roomId !== null) continue;
+    safeSend(ws, { type: "ROOM_LIST", rooms: roomListSnapshot(info.clientId), users: connectedUsersSnapshot(info.clientId) });
   }
 }
 
@@ -232,22 +350,63 @@ function broadcastToRoom(roomId, obj) {
   for (const ws of room.clients) safeSend(ws, obj);
 }
 
+/** Whose hidden information `ws` may see in `state` (see viewerIndex). */
+function viewerIndexFor(room, ws, state) {
+  return viewerIndex(room, clientInfo.get(ws)?.playerIndex ?? null, state);
+}
+
 /**
- * Broadcast the authoritative state snapshot to everyone in the room.
- * This is the simplest (and safest) multiplayer sync model.
+ * Send the room's state snapshot to one client, projected for their seat
+ * so hidden information (e.g. blind-reserved cards) never leaves the server.
  */
-function broadcastState(roomId) {
+function sendState(ws, roomId) {
   const room = rooms.get(roomId);
   if (!room || !room.state) return;
 
-  broadcastToRoom(roomId, {
+  safeSend(ws, {
     type: "STATE",
     roomId,
     version: room.version,
-    state: room.state,
+    state: viewFor(room.state, viewerIndexFor(room, ws, room.state)),
+    clock: clockSnapshot(room.clock, room.clockState),
   });
 }
 
+/**
+ * Broadcast the authoritative state snapshot to everyone in the room.
+ * This is the simplest (and safest) multiplayer sync model.
+ */
+function broadcastState(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.state) return;
+
+  for (const ws of room.clients) sendState(ws, roomId);
+}
+
+/**
+ * Broadcast one accepted action as a PATCH against each viewer's previous
+ * view. Views differ per seat (blind reserves), so ops are computed per
+ * viewer index; spectators share one. A pass-and-play device may switch
+ * seats with the turn, so the key is the (before, after) pair.
+ * Clients that see a version gap ask for a full STATE with RESYNC.
+ */
+function broadcastPatch(roomId, prev, next, entry) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const clock = clockSnapshot(room.clock, room.clockState);
+  const byViewer = new Map();
+  for (const ws of room.clients) {
+    const before = viewerIndexFor(room, ws, prev);
+    const after = viewerIndexFor(room, ws, next);
+    const key = `${before}:${after}`;
+    if (!byViewer.has(key)) {
+      byViewer.set(key, diffState(viewFor(prev, before), viewFor(next, after)));
+    }
+    safeSend(ws, { type: "PATCH", roomId, version: room.version, ops: byViewer.get(key), entry, clock });
+  }
+}
+
 /**
  * Broadcast the current ROOM message (roster + ready + started) to all room clients.
  */
@@ -263,6 +422,9 @@ function broadcastRoom(roomId) {
     started:    room.started,
     name:       room.name,
     host:       room.createdBy,
+    clock:      clockSnapshot(room.clock, room.clockState),
+    hotSeat:    room.hotSeat,
+    options:    room.options,
   });
 }
 
@@ -279,11 +441,23 @@ function roomRoster(roomId) {
     clientId: s?.clientId ?? null,
     name: s?.name ?? null,
     occupied: !!s,
-    wsOpen: s ? (s.ws?.readyState === 1) : false,
+    bot: s?.bot ?? null,
+    local: !!s?.local,
+    wsOpen: s ? seatOpen(room, s) : false,
     lastActivity: s ? (clientInfo.get(s.ws)?.lastActivity ?? null) : null,
   }));
 }
 
+/**
+ * Bots are always there; local (pass-and-play) players are there while
+ * the device playing them, the host's seat, is connected.
+ */
+function seatOpen(room, seat) {
+  if (seat.bot) return true;
+  if (seat.local) return room.seats.some(s => s && !s.bot && !s.local && s.ws?.readyState === 1);
+  return seat.ws?.readyState === 1;
+}
+
 /**
  * Returns the list of spectators (connected clients with no seat).
  */
@@ -326,8 +500,9 @@ function assignSeat(room, ws, stringRoomId) {
       const occupantInfo = occupant ? clientInfo.get(occupant.ws) : null;
       // Reclaim if seat is empty, occupant ws already cleaned up, or occupant
       // is the same player reconnecting (same sessionId — stale ws from a
-      // page refresh whose close event hasn't fired yet).
-      if (occupant === null || !occupantInfo || occupantInfo.sessionId === info.sessionId) {
+      // page refresh whose close event hasn't fired yet). Bot and local
+      // seats stay as they are.
+      if (!occupant?.bot && !occupant?.local && (occupant === null || !occupantInfo || occupantInfo.sessionId === info.sessionId)) {
         // Clean up the stale ws if it's still lingering
         if (occupant && occupant.ws !== ws) {
           room.clients.delete(occupant.ws);
@@ -346,6 +521,9 @@ function assignSeat(room, ws, stringRoomId) {
   // Only the session-reclaim path above can restore a seat mid-game.
   if (room.started) return null;
 
+  // Pass and play: only the host's device sits down; the rest watch
+  if (room.hotSeat && info.clientId !== room.createdBy) return null;
+
   // first open seat (pre-game lobby only)
   const idx = room.seats.findIndex(s => s === null);
   if (idx === -1) return null; // spectator
@@ -355,23 +533,13 @@ function assignSeat(room, ws, stringRoomId) {
 }
 
 /**
- * During the pre-game lobby, pack all occupied seats toward index 0 so that
- * seat indices always form a contiguous range starting at 0. This ensures
- * initialState(N) and the seated playerIndex values stay in sync.
- * Updates clientInfo.playerIndex and session data for every moved player.
- * Resets all ready flags (composition changed, so everyone must re-ready).
+ * After compactSeats() (or removeSeat(), which compacts) has moved players
+ * in the pre-game lobby: update clientInfo.playerIndex and session data for
+ * every seated player and tell them their seat.
  */
-function compactSeats(room, roomId) {
-  const occupied = room.seats
-    .map((s, i) => s ? { seatObj: s, oldIndex: i } : null)
-    .filter(Boolean);
-
-  room.seats = Array(4).fill(null);
-  room.ready = [false, false, false, false];
-
-  occupied.forEach(({ seatObj }, newIndex) => {
-    room.seats[newIndex] = seatObj;
-    const info = clientInfo.get(seatObj.ws);
+function reseatClients(room, roomId) {
+  room.seats.forEach((seatObj, newIndex) => {
+    const info = seatObj && clientInfo.get(seatObj.ws);
     if (info) {
       info.playerIndex = newIndex;
       if (info.sessionId) {
@@ -413,13 +581,20 @@ function leaveRoom(ws) {
       room.ready[seat] = false;
     }
 
+    // Local players live on the host's device and leave with it
+    if (!room.started && room.hotSeat && info.clientId === room.createdBy) {
+      room.seats = room.seats.map(s => s?.local ? null : s);
+    }
+
     // During pre-game lobby, compact remaining players to contiguous seats
     // so seat indices always match initialState(N) player indices.
     if (!room.started) {
-      compactSeats(room, roomId);
+      compactSeats(room);
+      reseatClients(room, roomId);
     }
 
     // Notify others about roster change
+    updateClock(roomId);
     broadcastRoom(roomId);
 
     // Pre-game: close the room once it's completely empty.
@@ -470,6 +645,8 @@ function joinRoom(ws, roomId, name) {
     room.state.players[seatIndex].name = info.name;
   }
 
+  persistRoom(roomId);
+
   broadcastState(roomId);
 
   // WELCOME: tells the client who they are and what seat they got
@@ -483,17 +660,15 @@ function joinRoom(ws, roomId, name) {
     sessionId: info.sessionId,
   });
 
-  // Broadcast roster to everyone (including the joiner)
+  // Broadcast roster to everyone (including the joiner); the clock resumes
+  // if the room was empty
+  updateClock(roomId);
   broadcastRoom(roomId);
 
   // Send authoritative snapshot to the joiner only if game is in progress
   if (room.state !== null) {
-    safeSend(ws, {
-      type: "STATE",
-      roomId,
-      version: room.version,
-      state: room.state,
-    });
+    sendState(ws, roomId);
+    safeSend(ws, historyMessage(roomId, room));
   }
 
   // Send chat history so the joiner sees prior messages
@@ -503,8 +678,174 @@ function joinRoom(ws, roomId, name) {
 
   // Update lobby browsers (player count changed)
   broadcastRoomList();
+
+  // Bots pause while nobody is connected; pick up where they left off
+  scheduleBotTurn(roomId);
 }
 
+// -----------------------------------------------------------------------------
+// Turn commit + bots
+// -----------------------------------------------------------------------------
+
+/**
+ * Records an accepted action (next !== prev) and fans it out: state, log
+ * entry, history on game over, persistence, then the next bot move if any.
+ * Shared by human ACTION messages, bot moves and clock timeouts (timedOut).
+ */
+function commitAction(roomId, prev, next, action, { timedOut = false } = {}) {
+  const room = rooms.get(roomId);
+
+  // The game moved on: an undo still waiting for consent no longer applies
+  if (room.undoRequest) resolveUndo(roomId, { accepted: false, by: null });
+  const entry = recordAction(room, prev, next, action, { timedOut });
+
+  // Debug: catch a corrupted room at the action that corrupted it
+  if (DEBUG) {
+    const problems = validateState(next);
+    if (problems.length) {
+      console.error(`INVALID STATE room=${roomId} v=${room.version} after ${JSON.stringify(action)}:\n  ${problems.join("\n  ")}`);
+    }
+  }
+
+  updateClock(roomId);
+  broadcastPatch(roomId, prev, next, entry);
+
+  // Game just ended: the seed is no longer secret, send the replayable history
+  if (next.gameOver && !prev.gameOver) {
+    broadcastToRoom(roomId, historyMessage(roomId, room));
+  }
+
+  persistRoom(roomId);
+  scheduleBotTurn(roomId);
+}
+
+/**
+ * If the active seat moves by itself (a bot, or a player with no legal move,
+ * who passes; see autoMoveDue), plays that move after a short think delay.
+ * No-op while a move is already pending or nobody is connected to watch.
+ */
+function scheduleBotTurn(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || room.botTimer || !autoMoveDue(room)) return;
+  if (room.undoRequest) return; // wait for the answer; resolveUndo reschedules
+  if (room.clients.size === 0) return;
+
+  room.botTimer = setTimeout(() => {
+    room.botTimer = null;
+    if (rooms.get(roomId) !== room) return; // closed meanwhile
+
+    const move = autoMove(room);
+    if (!move) return;
+    commitAction(roomId, room.state, move.next, move.action);
+  }, BOT_THINK_MS);
+}
+
+function stopBots(room) {
+  clearTimeout(room.botTimer);
+  room.botTimer = null;
+}
+
+// Room is going away: no more timers of any kind
+function stopRoomTimers(room) {
+  stopBots(room);
+  clearTimeout(room.clockTimer);
+  room.clockTimer = null;
+}
+
+// -----------------------------------------------------------------------------
+// Undo (take-backs)
+// -----------------------------------------------------------------------------
+// Who may undo is engine/rooms.js undoBlocker(). Other connected human
+// players must all accept; bots, absent players and hot-seat rooms don't
+// get asked. A voter who disconnects is no longer waited for, but an undo
+// someone was asked about still needs at least one of them to accept.
+
+/** Seats that have to accept an undo requested by `seat`. */
+function undoVoters(room, seat) {
+  if (room.state.hotSeat) return [];
+  return room.seats
+    .map((s, i) => (i !== seat && s && !s.bot && s.ws?.readyState === 1) ? i : null)
+    .filter(i => i !== null);
+}
+
+function requestUndo(roomId, seat) {
+  const room = rooms.get(roomId);
+  const waitingFor = undoVoters(room, seat);
+  room.undoRequest = { seat, waitingFor: new Set(waitingFor), accepted: 0 };
+  if (!waitingFor.length) return resolveUndo(roomId, { accepted: true });
+
+  stopBots(room); // a bot on turn would otherwise act before anyone answers
+  broadcastToRoom(roomId, { type: "UNDO_REQUESTED", roomId, seat, waitingFor });
+}
+
+/**
+ * Ends the pending request. Accepted: restore the state from before the last
+ * action (version included) and resend everything; clients drop their
+ * predictions on the full STATE.
+ */
+function resolveUndo(roomId, { accepted, by = null }) {
+  const room = rooms.get(roomId);
+  const { seat } = room.undoRequest;
+  room.undoRequest = null;
+
+  if (!accepted) {
+    broadcastToRoom(roomId, { type: "UNDO_RESOLVED", roomId, seat, accepted: false, by });
+    scheduleBotTurn(roomId);
+    return;
+  }
+
+  stopBots(room);
+  const entry = takeBack(room);
+  if (DEBUG) console.log(`undo room=${roomId} v${entry.v} -> v${room.version}: ${entry.text}`);
+
+  updateClock(roomId);
+  broadcastToRoom(roomId, { type: "UNDO_RESOLVED", roomId, seat, accepted: true });
+  broadcastState(roomId);
+  broadcastToRoom(roomId, historyMessage(roomId, room));
+  persistRoom(roomId);
+  scheduleBotTurn(roomId);
+}
+
+// -----------------------------------------------------------------------------
+// Time controls (see clock.js)
+// -----------------------------------------------------------------------------
+
+/**
+ * Point the room's clock at the active seat and (re)arm the timeout.
+ * Call after anything that may change whose turn it is or who is watching:
+ * the clock pauses while nobody is connected and stops once the game is over.
+ */
+function updateClock(roomId) {
+  const room = rooms.get(roomId);
+  if (!room?.clock || !room.clockState) return;
+
+  clearTimeout(room.clockTimer);
+  room.clockTimer = null;
+
+  if (!room.state || room.state.gameOver || room.clients.size === 0) {
+    pauseClock(room.clockState);
+    return;
+  }
+
+  const left = runClock(room.clock, room.clockState, room.state.activePlayerIndex);
+  room.clockTimer = setTimeout(() => clockExpired(roomId), left);
+}
+
+function clockExpired(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.clockTimer = null;
+  if (!room.state || room.state.gameOver) return;
+
+  const prev = room.state;
+  const action = timeoutAction(prev, room.clock.onTimeout);
+  const next = applyAction(prev, action);
+  if (next === prev) {
+    console.warn(`clock timeout in room ${roomId}: ${action.type} was rejected`);
+    return;
+  }
+  commitAction(roomId, prev, next, action, { timedOut: true }); // re-arms the clock for the next turn
+}
 
 // -----------------------------------------------------------------------------
 // HTTP server (health + static hosting)
@@ -587,7 +928,7 @@ wss.on("connection", (ws, req) => {
   if (DEBUG) console.log(`connected clientId=${clientId} from ${req.socket.remoteAddress}`);
 
   // Immediately send room list so the game lobby can render without waiting
-  safeSend(ws, { type: "ROOM_LIST", rooms: roomListSnapshot(), users: connectedUsersSnapshot(), yourClientId: clientId });
+  safeSend(ws, { type: "ROOM_LIST", rooms: roomListSnapshot(clientId), users: connectedUsersSnapshot(clientId), yourClientId: clientId });
 
   // Notify existing lobby clients about the new connection
   broadcastRoomList();
@@ -620,7 +961,7 @@ wss.on("connection", (ws, req) => {
       // Reject joins to non-existent rooms — only CREATE_GAME creates rooms
       if (!rooms.has(roomId)) {
         safeSend(ws, { type: "ROOM_NOT_FOUND", roomId });
-        safeSend(ws, { type: "ROOM_LIST", rooms: roomListSnapshot(), users: connectedUsersSnapshot() });
+        safeSend(ws, { type: "ROOM_LIST", rooms: roomListSnapshot(clientId), users: connectedUsersSnapshot(clientId) });
         return;
       }
 
@@ -655,7 +996,20 @@ wss.on("connection", (ws, req) => {
       const name = typeof msg.name === "string" && msg.name.trim() ? msg.name.trim() : info.name;
       info.name = name;
 
-      const roomId = createRoom({ creatorClientId: info.clientId, roomName: `${name}'s Game` });
+      // Optional seed: same seed + player count => same decks, market and nobles
+      const seed = (typeof msg.seed === "number" && Number.isFinite(msg.seed))
+        || (typeof msg.seed === "string" && msg.seed.trim())
+        ? msg.seed
+        : null;
+
+      const roomId = createRoom({
+        creatorClientId: info.clientId,
+        roomName: `${name}'s Game`,
+        seed,
+        clock: normalizeClock(msg.clock),
+        hotSeat: msg.hotSeat === true,
+        options: msg.options,
+      });
       joinRoom(ws, roomId, name);
       // broadcastRoomList() called inside joinRoom()
       return;
@@ -673,6 +1027,7 @@ wss.on("connection", (ws, req) => {
       if (info.playerIndex === null && info.sessionId) {
         const session = sessions.get(info.sessionId);
         if (session) { session.roomId = null; session.seatIndex = null; }
+        persistSessions();
       }
 
       // Started game with a seated player: preserve seat for reconnect
@@ -705,52 +1060,34 @@ wss.on("connection", (ws, req) => {
       const room = rooms.get(info.roomId);
       if (!room) return;
 
-      if (!room.started) {
-        safeSend(ws, { type: "REJECTED", roomId: info.roomId, reason: "GAME_NOT_STARTED" });
-        return;
-      }
-
       // -------------------------
       // Increment 2: seat + turn enforcement
       // -------------------------
       const actorIndex = info.playerIndex;
 
       // Spectators cannot act
-      if (typeof actorIndex !== "number") {
-        safeSend(ws, { type: "REJECTED", roomId: info.roomId, reason: "SPECTATOR_CANNOT_ACT" });
-        safeSend(ws, { type: "STATE", roomId: info.roomId, version: room.version, state: room.state });
-        return;
-      }
-
-      // Only active player can act
-      const active = room.state?.activePlayerIndex ?? 0;
-      if (actorIndex !== active && !room.state.hotSeat) {
+      if (room.started && typeof actorIndex !== "number") {
         safeSend(ws, {
           type: "REJECTED",
           roomId: info.roomId,
-          reason: "NOT_YOUR_TURN",
-          activePlayerIndex: active,
-          yourPlayerIndex: actorIndex,
+          reason: "SPECTATOR_CANNOT_ACT",
+          code: "SPECTATOR_CANNOT_ACT",
+          message: "Spectators can't make moves",
         });
-        safeSend(ws, { type: "STATE", roomId: info.roomId, version: room.version, state: room.state });
+        sendState(ws, info.roomId);
         return;
       }
 
-      // Apply reducer (pure function is ideal; your reducer uses "return prev" as invalid/no-op)
-      const prev = room.state;
-      const next = applyAction(prev, msg.action);
-
-      // Convention: if reducer returns same state reference, treat as invalid/no-op
-      if (next === prev) {
-        safeSend(ws, { type: "REJECTED", roomId: info.roomId, reason: "INVALID_ACTION" });
-        safeSend(ws, { type: "STATE", roomId: info.roomId, version: room.version, state: room.state });
+      // Only the active player can act (see tryAction); the reducer returns
+      // the same state reference for an invalid action
+      const { next, rejected, resend } = tryAction(room, actorIndex, msg.action);
+      if (rejected) {
+        safeSend(ws, { type: "REJECTED", roomId: info.roomId, ...rejected });
+        if (resend) sendState(ws, info.roomId);
         return;
       }
 
-      room.state = next;
-      room.version += 1;
-
-      broadcastState(info.roomId);
+      commitAction(info.roomId, room.state, next, msg.action);
       return;
     }
 
@@ -769,29 +1106,76 @@ wss.on("connection", (ws, req) => {
       const seat = info.playerIndex;
       if (typeof seat !== "number" || room.started) return;
 
-      room.ready[seat] = !room.ready[seat]; // toggle
-
-      // Check start condition: all occupied seats (min 2) must be ready
-      const occupiedIndices = room.seats.map((s, i) => s ? i : null).filter(i => i !== null);
-      const allReady = occupiedIndices.length >= 2 && occupiedIndices.every(i => room.ready[i]);
-
-      if (allReady) {
-        room.state = initialState(occupiedIndices.length, info.roomId);
+      // Starts once all occupied seats (min 2) are ready
+      if (toggleReady(room, seat, info.roomId)) {
         if (DEBUG) room.state.hotSeat = true;
-        room.started = true;
-        room.seats.forEach((seat, i) => {
-          if (seat && room.state.players[i]) room.state.players[i].name = seat.name;
-        });
+        if (room.clock) room.clockState = createClockState(room.clock, room.state.players.length);
       }
 
+      updateClock(info.roomId);
       broadcastRoom(info.roomId);
       if (room.started) {
         broadcastState(info.roomId);
+        broadcastToRoom(info.roomId, historyMessage(info.roomId, room));
         broadcastRoomList(); // lobby: room now shows started=true
+        persistRoom(info.roomId);
+        scheduleBotTurn(info.roomId);
       }
       return;
     }
 
+    // -------------------------
+    // ADD_BOT / ADD_PLAYER / REMOVE_BOT (host only, pre-game)
+    // -------------------------
+    if (msg.type === "ADD_BOT") {
+      if (!info.roomId) return;
+      const room = rooms.get(info.roomId);
+      if (!room || room.started || info.clientId !== room.createdBy) return;
+
+      if (addBot(room, msg.level) === -1) return;
+      broadcastRoom(info.roomId);
+      broadcastRoomList();
+      return;
+    }
+
+    // Pass and play: another person at the host's device
+    if (msg.type === "ADD_PLAYER") {
+      if (!info.roomId) return;
+      const room = rooms.get(info.roomId);
+      if (!room || room.started || !room.hotSeat || info.clientId !== room.createdBy) return;
+
+      if (addLocalPlayer(room, msg.name) === -1) return;
+      broadcastRoom(info.roomId);
+      broadcastRoomList();
+      return;
+    }
+
+    // Removes a bot or a local player
+    if (msg.type === "REMOVE_BOT") {
+      if (!info.roomId) return;
+      const room = rooms.get(info.roomId);
+      if (!room || room.started || info.clientId !== room.createdBy) return;
+      if (!removeSeat(room, msg.seat)) return;
+      reseatClients(room, info.roomId);
+      broadcastRoom(info.roomId);
+      broadcastRoomList();
+      return;
+    }
+
+    // -------------------------
+    // SET_OPTIONS (host only, pre-game)
+    // -------------------------
+    if (msg.type === "SET_OPTIONS") {
+      if (!info.roomId) return;
+      const room = rooms.get(info.roomId);
+      if (!room || room.started || info.clientId !== room.createdBy) return;
+      // Different game now: people re-ready (bots and local players always are)
+      if (!setOptions(room, msg.options)) return;
+      broadcastRoom(info.roomId);
+      broadcastRoomList();
+      return;
+    }
+
     // -------------------------
     // RENAME_ROOM (host only, pre-game or mid-game)
     // -------------------------
@@ -804,6 +1188,7 @@ wss.on("connection", (ws, req) => {
       room.name = newName;
       broadcastRoom(info.roomId);
       broadcastRoomList();
+      persistRoom(info.roomId);
       return;
     }
 
@@ -827,11 +1212,55 @@ wss.on("connection", (ws, req) => {
         }
         safeSend(clientWs, { type: "ROOM_NOT_FOUND", roomId: closingRoomId });
       }
+      stopRoomTimers(room);
       rooms.delete(closingRoomId);
+      forgetRoom(closingRoomId);
       broadcastRoomList();
       return;
     }
 
+    // -------------------------
+    // UNDO_REQUEST / UNDO_REPLY (take back the last action)
+    // -------------------------
+    if (msg.type === "UNDO_REQUEST") {
+      const room = info.roomId && rooms.get(info.roomId);
+      if (!room) return;
+
+      const seat = info.playerIndex;
+      const blocker = typeof seat === "number" ? undoBlocker(room, seat) : "Spectators can't undo";
+      if (blocker) {
+        safeSend(ws, { type: "REJECTED", roomId: info.roomId, reason: "UNDO_NOT_ALLOWED", code: "UNDO_NOT_ALLOWED", message: blocker });
+        return;
+      }
+      requestUndo(info.roomId, seat);
+      return;
+    }
+
+    if (msg.type === "UNDO_REPLY") {
+      const room = info.roomId && rooms.get(info.roomId);
+      const request = room?.undoRequest;
+      if (!request || !request.waitingFor.has(info.playerIndex)) return;
+
+      if (!msg.accept) {
+        resolveUndo(info.roomId, { accepted: false, by: info.playerIndex });
+        return;
+      }
+      request.waitingFor.delete(info.playerIndex);
+      request.accepted++;
+      if (!request.waitingFor.size) resolveUndo(info.roomId, { accepted: true });
+      return;
+    }
+
+    // -------------------------
+    // RESYNC (client detected a version gap)
+    // -------------------------
+    if (msg.type === "RESYNC") {
+      if (!rooms.get(info.roomId)?.state) return;
+      sendState(ws, info.roomId);
+      safeSend(ws, historyMessage(info.roomId, rooms.get(info.roomId)));
+      return;
+    }
+
     // -------------------------
     // IDENTIFY (set display name before joining a room)
     // -------------------------
@@ -874,7 +1303,7 @@ wss.on("connection", (ws, req) => {
       room.messages.push(chatMsg);
       if (room.messages.length > MAX_CHAT_MESSAGES) room.messages.shift();
       broadcastToRoom(info.roomId, { type: "MSG", roomId: info.roomId, ...chatMsg });
-      return;
+      return; // saved along with the room's next change
     }
 
     // -------------------------
@@ -905,7 +1334,14 @@ wss.on("connection", (ws, req) => {
     // from room.clients so broadcasts stop reaching the dead socket.
     if (room && room.started && typeof info?.playerIndex === "number") {
       room.clients.delete(ws);
+      updateClock(roomId);     // pauses once the last one has gone
       broadcastRoom(roomId);   // dot turns red for others
+      // Nobody left to answer for this seat: drop it from a pending undo,
+      // which then stands only if someone else already accepted
+      const request = room.undoRequest;
+      if (request?.waitingFor.delete(info.playerIndex) && !request.waitingFor.size) {
+        resolveUndo(roomId, { accepted: request.accepted > 0 });
+      }
       info.roomId = null;
       info.playerIndex = null;
     } else {
@@ -945,7 +1381,9 @@ setInterval(() => {
           inf.playerIndex = null;
         }
       }
+      stopRoomTimers(room);
       rooms.delete(roomId);
+      forgetRoom(roomId);
       anyDeleted = true;
     }
   }
@@ -956,9 +1394,19 @@ setInterval(() => {
 // Start server
 // -----------------------------------------------------------------------------
 
+// Save what's pending before going down
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    flushPersist();
+    process.exit(0);
+  });
+}
+
+// PORT=0 picks a free port (tests read it back from the first log line)
 server.listen(PORT, () => {
-  console.log(`HTTP  : http://localhost:${PORT}`);
-  console.log(`Health: http://localhost:${PORT}/health`);
-  console.log(`WS    : ws://localhost:${PORT}`);
+  const port = server.address().port;
+  console.log(`HTTP  : http://localhost:${port}`);
+  console.log(`Health: http://localhost:${port}/health`);
+  console.log(`WS    : ws://localhost:${port}`);
   console.log(`Static: ${PUBLIC_DIR}`);
 });
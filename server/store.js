@@ -0,0 +1,87 @@
+// store.js
+// -----------------------------------------------------------------------------
+// Room / session persistence
+// -----------------------------------------------------------------------------
+// The server keeps everything in memory; a store snapshots it so a restart
+// doesn't kill games in progress. Any object with this shape can be plugged in:
+//
+//   store.load()                      -> { rooms: [[roomId, snapshot]], sessions: [[sessionId, session]], meta }
+//   store.saveRoom(roomId, snapshot)  // snapshot is plain JSON (no sockets)
+//   store.deleteRoom(roomId)
+//   store.saveSessions(sessions, meta) // sessions: [[sessionId, session]]
+//
+// createJsonStore writes one file per room plus sessions.json into a data dir.
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write leaves the previous snapshot intact.
+// -----------------------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+
+const ROOM_PREFIX = "room-";
+const SESSIONS_FILE = "sessions.json";
+
+/** Store that remembers nothing (persistence disabled). */
+export function createNullStore() {
+  return {
+    load: () => ({ rooms: [], sessions: [], meta: {} }),
+    saveRoom() {},
+    deleteRoom() {},
+    saveSessions() {},
+  };
+}
+
+/** Store backed by JSON files in `dir` (created on first use). */
+export function createJsonStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const roomFile = (roomId) => path.join(dir, `${ROOM_PREFIX}${encodeURIComponent(roomId)}.json`);
+
+  function writeJson(file, data) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+
+  function readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.warn(`store: skipping unreadable ${file}: ${err.message}`);
+      return null;
+    }
+  }
+
+  return {
+    load() {
+      const rooms = [];
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.startsWith(ROOM_PREFIX) || !name.endsWith(".json")) continue;
+        const roomId = decodeURIComponent(name.slice(ROOM_PREFIX.length, -".json".length));
+        const snapshot = readJson(path.join(dir, name));
+        if (snapshot) rooms.push([roomId, snapshot]);
+      }
+
+      const sessionsPath = path.join(dir, SESSIONS_FILE);
+      const saved = fs.existsSync(sessionsPath) ? readJson(sessionsPath) : null;
+
+      return {
+        rooms,
+        sessions: Array.isArray(saved?.sessions) ? saved.sessions : [],
+        meta: saved?.meta ?? {},
+      };
+    },
+
+    saveRoom(roomId, snapshot) {
+      writeJson(roomFile(roomId), snapshot);
+    },
+
+    deleteRoom(roomId) {
+      fs.rmSync(roomFile(roomId), { force: true });
+    },
+
+    saveSessions(sessions, meta = {}) {
+      writeJson(path.join(dir, SESSIONS_FILE), { sessions, meta });
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  normalizeClock, createClockState, pauseClock, runClock, clockSnapshot, timeoutAction,
+} from "../server/clock.js";
+import { applyAction } from "../engine/reducer.js";
+import { scenario, setTokens } from "./fixtures.js";
+
+test("normalizeClock: unknown modes mean no clock, seconds are clamped", () => {
+  assert.equal(normalizeClock(null), null);
+  assert.equal(normalizeClock({ mode: "hourglass", seconds: 30 }), null);
+  assert.equal(normalizeClock({ mode: "turn", seconds: "soon" }), null);
+  assert.deepEqual(normalizeClock({ mode: "turn", seconds: 1 }), { mode: "turn", seconds: 10, onTimeout: "autoTake" });
+  assert.deepEqual(normalizeClock({ mode: "total", seconds: 600, onTimeout: "forfeit" }),
+    { mode: "total", seconds: 600, onTimeout: "forfeit" });
+});
+
+test("turn mode refills on each new turn, not on the same seat's sub-steps", () => {
+  const clock = normalizeClock({ mode: "turn", seconds: 30 });
+  const cs = createClockState(clock, 2);
+
+  assert.equal(runClock(clock, cs, 0, 1000), 30000);
+  assert.equal(runClock(clock, cs, 0, 6000), 25000, "same seat: keeps counting down");
+  assert.equal(runClock(clock, cs, 1, 8000), 30000);
+  assert.deepEqual(cs.remainingMs, [23000, 30000]);
+  assert.equal(runClock(clock, cs, 0, 9000), 30000);
+});
+
+test("total mode: a chess clock that pauses and resumes", () => {
+  const clock = normalizeClock({ mode: "total", seconds: 60 });
+  const cs = createClockState(clock, 2);
+
+  runClock(clock, cs, 0, 0);
+  runClock(clock, cs, 1, 10000);
+  assert.deepEqual(clockSnapshot(clock, cs, 15000).remainingMs, [50000, 55000]);
+  assert.equal(clockSnapshot(clock, cs, 15000).running, 1);
+
+  pauseClock(cs, 20000);
+  assert.equal(clockSnapshot(clock, cs, 99999).running, null);
+  assert.deepEqual(clockSnapshot(clock, cs, 99999).remainingMs, [50000, 50000]);
+
+  assert.equal(runClock(clock, cs, 1, 100000), 50000, "resumed where it paused");
+  assert.equal(runClock(clock, cs, 0, 200000), 50000);
+  assert.deepEqual(cs.remainingMs, [50000, 0], "never below zero");
+});
+
+test("timeoutAction: resolves sub-steps, then takes tokens or passes", () => {
+  const fresh = scenario();
+  const take = timeoutAction(fresh, "autoTake");
+  assert.equal(take.type, "TAKE_TOKENS");
+  assert.equal(Object.keys(take.tokens).length, 3);
+  assert.notEqual(applyAction(fresh, take), fresh);
+
+  assert.deepEqual(timeoutAction(fresh, "skip"), { type: "PASS_TURN" });
+  assert.deepEqual(timeoutAction(fresh, "forfeit"), { type: "FORFEIT" });
+
+  const emptyBank = scenario({}, st => {
+    for (const c of ["white", "blue", "green", "red", "black"]) st.market.bank[c] = 0;
+  });
+  assert.deepEqual(timeoutAction(emptyBank, "autoTake"), { type: "PASS_TURN" });
+
+  const owing = applyAction(
+    scenario({}, st => setTokens(st, 0, { white: 3, blue: 3, green: 3 })),
+    { type: "TAKE_TOKENS", tokens: { red: 1, black: 1, white: 1 } },
+  );
+  const discard = timeoutAction(owing, "skip");
+  assert.equal(discard.type, "DISCARD_TOKENS");
+  assert.equal(applyAction(owing, discard).awaiting, null);
+});
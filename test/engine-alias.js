@@ -0,0 +1,15 @@
+// Module resolve hook for tests that import browser modules from public/.
+// Their "../engine/*.js" imports mean the URL /engine/*, which the server
+// maps to engine/ (server.js ENGINE_DIR); this does the same on disk.
+// Register it with module.register() before importing the browser module.
+
+export async function resolve(specifier, context, nextResolve) {
+  const parent = context.parentURL ?? "";
+  if (specifier.startsWith(".") && parent.includes("/public/")) {
+    const url = new URL(specifier, parent).href;
+    if (url.includes("/public/engine/")) {
+      return { url: url.replace("/public/engine/", "/engine/"), shortCircuit: true };
+    }
+  }
+  return nextResolve(specifier, context);
+}
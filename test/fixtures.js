@@ -0,0 +1,87 @@
+// test/fixtures.js
+// Scenario builders for engine tests. Every scenario starts from a real
+// seeded initialState and is then arranged by hand, so tests read as
+// "given this table, when this action, then ...".
+
+import { initialState } from "../engine/state.js";
+import { CARDS, ORIENT_CARDS, NOBLES, CITIES, TRADING_POSTS } from "../engine/defs.js";
+
+export const COLORS = ["white", "blue", "green", "red", "black"];
+export const TIERS = ["tier1", "tier2", "tier3"];
+
+/**
+ * scenario({ players, seed, options }, arrange?)
+ * Fresh game state; `arrange(state)` may mutate it freely.
+ */
+export function scenario({ players = 2, seed = 1, options } = {}, arrange) {
+  const state = initialState(players, "test", seed, options);
+  arrange?.(state);
+  return state;
+}
+
+export function card(id) {
+  const def = CARDS.find(c => c.id === id) ?? ORIENT_CARDS.find(c => c.id === id);
+  if (!def) throw new Error(`unknown card ${id}`);
+  return structuredClone(def);
+}
+
+export function noble(id) {
+  const def = NOBLES.find(n => n.id === id);
+  if (!def) throw new Error(`unknown noble ${id}`);
+  return structuredClone(def);
+}
+
+export function city(id) {
+  const def = CITIES.find(c => c.id === id);
+  if (!def) throw new Error(`unknown city ${id}`);
+  return structuredClone(def);
+}
+
+// Trading Posts module: a coat of arms on post `id` (worth no prestige yet).
+export function coat(id) {
+  const def = TRADING_POSTS.find(p => p.id === id);
+  if (!def) throw new Error(`unknown trading post ${id}`);
+  return { ...structuredClone(def), points: 0 };
+}
+
+// Sets a player's tokens (missing colors become 0).
+export function setTokens(state, playerIndex, tokens) {
+  const player = state.players[playerIndex];
+  player.tokens = { white: 0, blue: 0, green: 0, red: 0, black: 0, yellow: 0, ...tokens };
+}
+
+export function setBank(state, tokens) {
+  state.market.bank = { white: 0, blue: 0, green: 0, red: 0, black: 0, yellow: 0, ...tokens };
+}
+
+// `n` throwaway cards of one bonus color, for bonus-heavy setups.
+export function bonusCards(color, n, points = 0) {
+  return Array.from({ length: n }, (_, i) => ({ id: `x_${color}_${i}`, tier: 1, bonus: color, points, cost: {} }));
+}
+
+// Places a card definition in a market slot (replacing what was there).
+export function putInMarket(state, id, index = 0) {
+  const c = card(id);
+  state.market.cards[`tier${c.tier}`][index] = c;
+  return c;
+}
+
+export function setNobles(state, ids) {
+  state.market.nobles = ids.map(noble);
+}
+
+// Cities module: the board's cities, plus the rest back in the deck so
+// validateState still finds every city once.
+export function setCities(state, ids) {
+  state.market.cities = ids.map(city);
+  state.decks.cities = CITIES.filter(c => !ids.includes(c.id)).map(c => structuredClone(c));
+}
+
+export function countTokens(tokens) {
+  return Object.values(tokens ?? {}).reduce((s, n) => s + n, 0);
+}
+
+// Action card payload in the shape the UI sends.
+export function cardRef(c) {
+  return { meta: c, tier: c.tier };
+}
@@ -0,0 +1,53 @@
+// Randomized self-play: thousands of games of uniformly random legal moves,
+// checking validateState (token/card conservation, limits) after every action.
+// FUZZ_GAMES=n overrides the game count, FUZZ_SEED=n the starting seed.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { initialState } from "../engine/state.js";
+import { applyAction } from "../engine/reducer.js";
+import { legalActions } from "../engine/moves.js";
+import { createRng } from "../engine/rng.js";
+import { validateState } from "../engine/validate.js";
+
+const GAMES = Number(process.env.FUZZ_GAMES || 2000);
+const FIRST_SEED = Number(process.env.FUZZ_SEED || 1);
+const MAX_STEPS = 1000;
+const MODULES = [
+  { cities: true }, { orient: true }, { cities: true, orient: true },
+  { tradingPosts: true }, { orient: true, tradingPosts: true },
+];
+
+test(`self-play fuzz: ${GAMES} random games keep the invariants`, () => {
+  let finished = 0;
+
+  for (let g = 0; g < GAMES; g++) {
+    const seed = FIRST_SEED + g;
+    const players = 2 + (g % 3);
+    const pick = createRng(`fuzz-${seed}`);
+    // every fourth game bends the house rules (engine/options.js), another
+    // fourth plays the Cities, Orient and/or Trading Posts modules
+    const options = g % 4 === 3
+      ? { targetPoints: 8 + (g % 9), firstPlayer: "random", reserveLimit: 1 + (g % 5), handLimit: 6 + (g % 7), orient: g % 8 === 7 }
+      : g % 4 === 1 ? MODULES[Math.floor(g / 4) % MODULES.length] : undefined;
+    let state = initialState(players, `fuzz-${seed}`, seed, options);
+
+    for (let step = 0; step < MAX_STEPS && !state.gameOver; step++) {
+      const actions = legalActions(state);
+      if (!actions.length) break; // stuck: bank short of colors, nothing affordable or reservable
+
+      const action = actions[Math.floor(pick() * actions.length)];
+      const next = applyAction(state, action);
+      assert.notEqual(next, state, `seed ${seed} step ${step}: legal action rejected ${JSON.stringify(action)}`);
+
+      state = next;
+      assert.deepEqual(validateState(state), [], `seed ${seed} step ${step} after ${action.type}`);
+    }
+
+    if (state.gameOver) finished++;
+  }
+
+  // random play often stalls, but it must still be able to finish games
+  assert.ok(finished > 0, "no game finished");
+});
@@ -0,0 +1,108 @@
+// test/harness.js
+// Boots server/server.js in a child process on a free port (persistence off)
+// and drives it with scripted ws clients.
+
+import { spawn } from "node:child_process";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "server", "server.js");
+const TIMEOUT_MS = 3000;
+
+/** Starts a server; resolves to { url, stop() }. */
+export function startServer(env = {}) {
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: "0", PERSIST: "0", DEBUG: "", ...env },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  return new Promise((resolve, reject) => {
+    let out = "";
+    const timer = setTimeout(() => { child.kill(); reject(new Error("server did not start")); }, TIMEOUT_MS * 2);
+
+    child.stdout.on("data", (buf) => {
+      out += buf;
+      const m = out.match(/HTTP {2}: http:\/\/localhost:(\d+)/);
+      if (!m) return;
+      clearTimeout(timer);
+      child.stdout.removeAllListeners("data");
+      child.stdout.resume();
+      resolve({
+        url: `ws://localhost:${m[1]}`,
+        stop: () => new Promise(done => { child.once("exit", done); child.kill(); }),
+      });
+    });
+    child.once("exit", (code) => reject(new Error(`server exited (${code})`)));
+  });
+}
+
+/**
+ * connect(url) -> client
+ * client.send(msg)                 JSON-encodes and sends
+ * client.next(type, match?)        resolves with (and consumes) the first unseen
+ *                                  message of that type matching `match(msg)`
+ * client.none(type, ms?, match?)   resolves if no such message arrives within ms
+ * client.close()
+ */
+export function connect(url) {
+  const ws = new WebSocket(url);
+  const inbox = [];
+  const waiters = new Set();
+
+  ws.on("message", (buf) => {
+    inbox.push(JSON.parse(buf.toString()));
+    for (const w of waiters) w();
+  });
+
+  function take(type, match) {
+    const i = inbox.findIndex(m => m.type === type && (!match || match(m)));
+    return i === -1 ? null : inbox.splice(i, 1)[0];
+  }
+
+  const client = {
+    ws,
+    send: (msg) => ws.send(JSON.stringify(msg)),
+    sendRaw: (text) => ws.send(text),
+
+    next(type, match, ms = TIMEOUT_MS) {
+      const found = take(type, match);
+      if (found) return Promise.resolve(found);
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiters.delete(check);
+          reject(new Error(`timed out waiting for ${type}; inbox: ${inbox.map(m => m.type).join(", ")}`));
+        }, ms);
+        function check() {
+          const msg = take(type, match);
+          if (!msg) return;
+          clearTimeout(timer);
+          waiters.delete(check);
+          resolve(msg);
+        }
+        waiters.add(check);
+      });
+    },
+
+    async none(type, ms = 300, match) {
+      await new Promise(r => setTimeout(r, ms));
+      const msg = take(type, match);
+      if (msg) throw new Error(`unexpected ${type}: ${JSON.stringify(msg)}`);
+    },
+
+    // Drops everything received so far (e.g. the ROOM_LIST burst on connect).
+    drain() { inbox.length = 0; },
+
+    close: () => new Promise(done => {
+      if (ws.readyState === WebSocket.CLOSED) return done();
+      ws.once("close", done);
+      ws.close();
+    }),
+  };
+
+  return new Promise((resolve, reject) => {
+    ws.once("open", () => resolve(client));
+    ws.once("error", reject);
+  });
+}
@@ -0,0 +1,199 @@
+// Offline transport (public/net/local.js): the server's protocol, run in
+// process against a fake localStorage.
+
+import { test, describe, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+
+import { Actions } from "../engine/actions.js";
+import { applyPatch } from "../engine/patch.js";
+
+register("./engine-alias.js", import.meta.url);
+const { createLocalTransport } = await import("../public/net/local.js");
+
+const TIMEOUT_MS = 3000;
+const TAKE = Actions.takeTokens({ red: 1, blue: 1, green: 1 });
+const TAKE_AGAIN = Actions.takeTokens({ white: 1, blue: 1, black: 1 });
+
+function fakeStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => { items.set(key, String(value)); },
+  };
+}
+
+const open = [];
+afterEach(() => { for (const t of open.splice(0)) t.close(); });
+
+/**
+ * offline(storage) -> client, connected
+ * client.send(msg)            as transport.sendRaw
+ * client.next(type, match?)   like harness.js connect(): the first unseen
+ *                             message of that type matching `match(msg)`
+ */
+async function offline(storage, name = "Ada") {
+  const inbox = [];
+  const waiters = new Set();
+  const transport = createLocalTransport({
+    name,
+    storage,
+    onMessage(msg) {
+      inbox.push(msg);
+      for (const w of waiters) w();
+    },
+  });
+  open.push(transport);
+
+  function take(type, match) {
+    const i = inbox.findIndex(m => m.type === type && (!match || match(m)));
+    return i === -1 ? null : inbox.splice(i, 1)[0];
+  }
+
+  const client = {
+    transport,
+    send: (msg) => transport.sendRaw(msg),
+    next(type, match, ms = TIMEOUT_MS) {
+      const found = take(type, match);
+      if (found) return Promise.resolve(found);
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiters.delete(check);
+          reject(new Error(`timed out waiting for ${type}; inbox: ${inbox.map(m => m.type).join(", ")}`));
+        }, ms);
+        function check() {
+          const msg = take(type, match);
+          if (!msg) return;
+          clearTimeout(timer);
+          waiters.delete(check);
+          resolve(msg);
+        }
+        waiters.add(check);
+      });
+    },
+  };
+
+  transport.connect();
+  await client.next("ROOM_LIST");
+  return client;
+}
+
+// We sit at seat 0 with a bot (or, hot seat, a second local player) at seat 1.
+async function startedGame(storage = fakeStorage(), { hotSeat = false } = {}) {
+  const c = await offline(storage);
+  c.send({ type: "CREATE_GAME", name: "Ada", seed: 7, hotSeat });
+  const welcome = await c.next("WELCOME");
+  if (hotSeat) c.send({ type: "ADD_PLAYER", name: "Bea" });
+  else c.send({ type: "ADD_BOT", level: "greedy" });
+  await c.next("ROOM", m => m.clients[1].occupied);
+  c.send({ type: "READY" });
+  const first = await c.next("STATE");
+  return { c, storage, roomId: welcome.roomId, first };
+}
+
+describe("local transport", () => {
+  test("CREATE_GAME seats us; the game starts once we are ready", async () => {
+    const c = await offline(fakeStorage());
+    c.send({ type: "CREATE_GAME", name: "Ada", seed: 7 });
+    const welcome = await c.next("WELCOME");
+    assert.equal(welcome.playerIndex, 0);
+    assert.equal((await c.next("ROOM")).name, "Ada's Game");
+
+    c.send({ type: "ADD_BOT", level: "greedy" });
+    const withBot = await c.next("ROOM", m => m.clients[1].occupied);
+    assert.equal(withBot.clients[1].bot, "greedy");
+    assert.deepEqual(withBot.ready.slice(0, 2), [false, true]);
+
+    c.send({ type: "READY" });
+    const { version, state } = await c.next("STATE");
+    assert.equal(version, 0);
+    assert.deepEqual(state.players.map(p => p.name), ["Ada", "Greedy Bot"]);
+    assert.equal((await c.next("ROOM", m => m.started)).started, true);
+    assert.deepEqual((await c.next("HISTORY")).entries, []);
+  });
+
+  test("the bot plays its turn after ours", async () => {
+    const { c, first } = await startedGame();
+    c.send({ type: "ACTION", action: TAKE });
+    const mine = await c.next("PATCH", m => m.entry.actor === 0);
+    const bot = await c.next("PATCH", m => m.entry.actor === 1, 5000);
+    assert.equal(bot.version, mine.version + 1);
+
+    const view = applyPatch(applyPatch(first.state, mine.ops), bot.ops);
+    assert.equal(view.activePlayerIndex, 0);
+  });
+
+  test("out of turn and invalid actions are rejected with a fresh STATE", async () => {
+    const { c } = await startedGame();
+    c.send({ type: "ACTION", action: { type: "PASS_TURN" } });
+    assert.equal((await c.next("REJECTED")).code, "CLOCK_ONLY");
+    await c.next("STATE");
+
+    c.send({ type: "ACTION", action: TAKE });
+    await c.next("PATCH", m => m.entry.actor === 0);
+    c.send({ type: "ACTION", action: TAKE_AGAIN }); // bot is thinking
+    assert.equal((await c.next("REJECTED")).reason, "NOT_YOUR_TURN");
+  });
+
+  test("UNDO_REQUEST takes our move back right away", async () => {
+    const { c } = await startedGame();
+    c.send({ type: "ACTION", action: TAKE });
+    await c.next("PATCH", m => m.entry.actor === 0);
+
+    c.send({ type: "UNDO_REQUEST" }); // well within the bot's think time
+    assert.equal((await c.next("UNDO_RESOLVED")).accepted, true);
+    const { version, state } = await c.next("STATE");
+    assert.equal(version, 0);
+    assert.equal(state.activePlayerIndex, 0);
+    assert.deepEqual((await c.next("HISTORY", m => m.entries.length === 0)).entries, []);
+
+    c.send({ type: "UNDO_REQUEST" });
+    assert.equal((await c.next("REJECTED")).reason, "UNDO_NOT_ALLOWED");
+  });
+
+  test("hot seat: the device plays every local seat and sees as the one to move", async () => {
+    const { c, first } = await startedGame(fakeStorage(), { hotSeat: true });
+    assert.deepEqual(first.state.players.map(p => p.name), ["Ada", "Bea"]);
+
+    // Ada's blind reserve is hidden while Bea is at the device, then back
+    c.send({ type: "ACTION", action: Actions.reserveFromDeck("tier1") });
+    const ada = await c.next("PATCH", m => m.entry.actor === 0);
+    let view = applyPatch(first.state, ada.ops);
+    assert.equal(view.activePlayerIndex, 1);
+    assert.equal(view.players[0].reserved[0].hidden, true);
+
+    c.send({ type: "ACTION", action: TAKE });
+    const bea = await c.next("PATCH", m => m.entry.actor === 1);
+    view = applyPatch(view, bea.ops);
+    assert.equal(view.activePlayerIndex, 0);
+    assert.ok(view.players[0].reserved[0].id);
+
+    c.send({ type: "RESYNC" });
+    const { state } = await c.next("STATE");
+    assert.deepEqual(state, view);
+  });
+
+  test("started games are saved and can be picked up by a new page", async () => {
+    const { c, storage, roomId } = await startedGame();
+    c.send({ type: "ACTION", action: TAKE });
+    await c.next("PATCH", m => m.entry.actor === 0);
+    await c.next("PATCH", m => m.entry.actor === 1, 5000);
+    c.transport.close();
+    assert.ok(storage.items.size);
+
+    const reloaded = await offline(storage);
+    reloaded.send({ type: "LEAVE_ROOM" }); // a fresh ROOM_LIST
+    const listed = (await reloaded.next("ROOM_LIST")).rooms.find(r => r.roomId === roomId);
+    assert.equal(listed.started, true);
+    assert.deepEqual(listed.players.map(p => p.name), ["Ada", "Greedy Bot"]);
+
+    reloaded.send({ type: "JOIN", roomId });
+    assert.equal((await reloaded.next("WELCOME")).playerIndex, 0);
+    const { version, state } = await reloaded.next("STATE");
+    assert.equal(version, 2);
+    assert.equal(state.activePlayerIndex, 0);
+    assert.deepEqual((await reloaded.next("HISTORY")).entries.map(e => e.actor), [0, 1]);
+  });
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { diffState, applyPatch } from "../engine/patch.js";
+import { initialState } from "../engine/state.js";
+import { applyAction } from "../engine/reducer.js";
+import { legalActions } from "../engine/moves.js";
+import { viewFor } from "../engine/view.js";
+import { createRng } from "../engine/rng.js";
+
+test("set, delete and whole-array replacement", () => {
+  const prev = { a: 1, b: { c: [1, 2, 3], d: "x" }, gone: true };
+  const next = { a: 1, b: { c: [1, 5, 3, 4], d: "y" }, added: { e: null } };
+
+  const ops = diffState(prev, next);
+  assert.deepEqual(ops, [
+    [["b", "c"], [1, 5, 3, 4]],
+    [["b", "d"], "y"],
+    [["added"], { e: null }],
+    [["gone"]],
+  ]);
+  assert.deepEqual(applyPatch(prev, ops), next);
+  assert.deepEqual(prev.b.c, [1, 2, 3], "input untouched");
+});
+
+test("same-length arrays are diffed per index", () => {
+  assert.deepEqual(diffState({ row: [{ id: "a" }, { id: "b" }] }, { row: [{ id: "a" }, { id: "c" }] }),
+    [[["row", 1, "id"], "c"]]);
+  assert.deepEqual(diffState({ row: [1, null] }, { row: [1, null] }), []);
+});
+
+test("every seat's view round-trips through a patch, action by action", () => {
+  for (const players of [2, 3, 4]) {
+    const pick = createRng(`patch-${players}`);
+    let state = initialState(players, `patch-${players}`, players);
+
+    for (let step = 0; step < 120 && !state.gameOver; step++) {
+      const actions = legalActions(state);
+      if (!actions.length) break;
+      const next = applyAction(state, actions[Math.floor(pick() * actions.length)]);
+
+      for (const viewer of [null, ...state.players.keys()]) {
+        const before = viewFor(state, viewer);
+        const after = viewFor(next, viewer);
+        assert.deepEqual(applyPatch(before, diffState(before, after)), after,
+          `${players}p step ${step} viewer ${viewer}`);
+      }
+      state = next;
+    }
+  }
+});
+
+test("a patch is much smaller than the state it updates", () => {
+  const state = initialState(4, "size", 1);
+  const next = applyAction(state, legalActions(state)[0]);
+  const view = v => viewFor(v, 0);
+  const patchSize = JSON.stringify(diffState(view(state), view(next))).length;
+  assert.ok(patchSize * 5 < JSON.stringify(view(next)).length, `patch is ${patchSize} bytes`);
+});
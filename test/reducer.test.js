@@ -0,0 +1,724 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyAction, explainRejection } from "../engine/reducer.js";
+import { rulesCheck } from "../engine/rules.js";
+import { validateState } from "../engine/validate.js";
+import { Actions } from "../engine/actions.js";
+import {
+  scenario, card, setTokens, setBank, bonusCards,
+  putInMarket, setNobles, setCities, countTokens, cardRef, coat,
+} from "./fixtures.js";
+
+// Reducer contract: an invalid action returns the very same state object,
+// and explainRejection says why (optionally checked against `code`).
+function assertRejected(state, action, code) {
+  assert.equal(rulesCheck({ state, action }), false, "rulesCheck should reject");
+  assert.equal(applyAction(state, action), state, "applyAction should return prev");
+
+  const why = explainRejection(state, action);
+  assert.ok(why?.message, "rejection should carry a message");
+  if (code) assert.equal(why.code, code);
+  return why;
+}
+
+function assertAccepted(state, action) {
+  const before = structuredClone(state);
+  const next = applyAction(state, action);
+  assert.notEqual(next, state, "applyAction should return a new state");
+  assert.deepEqual(state, before, "prev must not be mutated");
+  return next;
+}
+
+describe("TAKE_TOKENS", () => {
+  test("3 different colors move from bank to player and end the turn", () => {
+    const s = scenario();
+    const next = assertAccepted(s, Actions.takeTokens({ red: 1, blue: 1, green: 1 }));
+
+    assert.deepEqual(
+      [next.players[0].tokens.red, next.players[0].tokens.blue, next.players[0].tokens.green],
+      [1, 1, 1],
+    );
+    assert.equal(next.market.bank.red, s.market.bank.red - 1);
+    assert.equal(next.activePlayerIndex, 1);
+  });
+
+  test("2 of one color needs at least 4 in the bank", () => {
+    const s = scenario({}, st => setBank(st, { red: 4, blue: 3, green: 4, white: 4, black: 4, yellow: 5 }));
+    assertAccepted(s, Actions.takeTokens({ red: 2 }));
+    const why = assertRejected(s, Actions.takeTokens({ blue: 2 }), "BANK_SHORT");
+    assert.equal(why.message, "Bank has fewer than 4 blue");
+  });
+
+  test("bad shapes are rejected", () => {
+    const s = scenario();
+    assertRejected(s, Actions.takeTokens({ red: 1, blue: 1 }), "TAKE_SHAPE");
+    assertRejected(s, Actions.takeTokens({ red: 1, blue: 1, green: 1, white: 1 }), "TAKE_SHAPE");
+    assertRejected(s, Actions.takeTokens({ red: 2, blue: 1 }), "TAKE_SHAPE");
+    assertRejected(s, Actions.takeTokens({ red: 1, blue: 1, yellow: 1 }), "TAKE_GOLD");
+    assertRejected(s, Actions.takeTokens({ red: 3 }), "TAKE_SHAPE");
+    assertRejected(s, Actions.takeTokens({}));
+    assertRejected(s, Actions.takeTokens({ red: 1.5, blue: 1.5 }), "MALFORMED");
+    assertRejected(s, Actions.takeTokens({ red: 0.5, blue: 0.5, green: 1, white: 1 }), "MALFORMED");
+  });
+
+  test("cannot take a color the bank is out of", () => {
+    const s = scenario({}, st => { st.market.bank.red = 0; });
+    assertRejected(s, Actions.takeTokens({ red: 1, blue: 1, green: 1 }), "BANK_SHORT");
+  });
+});
+
+describe("hand limit", () => {
+  const overLimit = () => scenario({}, st => setTokens(st, 0, { white: 3, blue: 3, green: 3 }));
+
+  test("ending above 10 tokens asks for a discard and holds the turn", () => {
+    const next = assertAccepted(overLimit(), Actions.takeTokens({ red: 1, black: 1, white: 1 }));
+    assert.deepEqual(next.awaiting, { type: "DISCARD_TOKENS", count: 2 });
+    assert.equal(next.activePlayerIndex, 0);
+  });
+
+  test("only the discard is legal while it is owed", () => {
+    const next = applyAction(overLimit(), Actions.takeTokens({ red: 1, black: 1, white: 1 }));
+    assertRejected(next, Actions.takeTokens({ red: 1, black: 1, blue: 1 }), "AWAITING_DISCARD");
+    assertRejected(next, Actions.discardTokens({ white: 1 }), "DISCARD_COUNT");  // too few
+    assertRejected(next, Actions.discardTokens({ white: 3 }), "DISCARD_COUNT");  // too many
+    assertRejected(next, Actions.discardTokens({ yellow: 2 }), "NOT_HELD");      // not held
+
+    const done = assertAccepted(next, Actions.discardTokens({ white: 1, blue: 1 }));
+    assert.equal(done.awaiting, null);
+    assert.equal(countTokens(done.players[0].tokens), 10);
+    assert.equal(done.activePlayerIndex, 1);
+  });
+
+  test("the hand limit is a game option", () => {
+    const s = scenario({ options: { handLimit: 8 } }, st => setTokens(st, 0, { white: 3, blue: 3 }));
+    const next = assertAccepted(s, Actions.takeTokens({ red: 1, black: 1, green: 1 }));
+    assert.deepEqual(next.awaiting, { type: "DISCARD_TOKENS", count: 1 });
+    assert.equal(assertRejected(next, Actions.discardTokens({ white: 2 }), "DISCARD_COUNT").message, "Return exactly 1 token");
+    assertAccepted(next, Actions.discardTokens({ white: 1 }));
+  });
+
+  test("discard is rejected when nothing is owed", () => {
+    assertRejected(overLimit(), Actions.discardTokens({ white: 1 }), "NOTHING_TO_DISCARD");
+  });
+});
+
+describe("RESERVE_CARD", () => {
+  test("market card moves to reserved, player gets gold, slot refills", () => {
+    const s = scenario();
+    const target = s.market.cards.tier2[1];
+    const next = assertAccepted(s, Actions.reserveCard(cardRef(target)));
+
+    assert.equal(next.players[0].reserved[0].id, target.id);
+    assert.equal(next.players[0].tokens.yellow, 1);
+    assert.equal(next.market.bank.yellow, s.market.bank.yellow - 1);
+    assert.equal(next.market.cards.tier2[1].id, s.decks.tier2[0].id);
+    assert.equal(next.decks.tier2.length, s.decks.tier2.length - 1);
+  });
+
+  test("no gold left: reserve still works, without gold", () => {
+    const s = scenario({}, st => { st.market.bank.yellow = 0; });
+    const next = assertAccepted(s, Actions.reserveCard(cardRef(s.market.cards.tier1[0])));
+    assert.equal(next.players[0].tokens.yellow, 0);
+  });
+
+  test("blind reserve takes the top of the deck, face down", () => {
+    const s = scenario();
+    const top = s.decks.tier3[0];
+    const next = assertAccepted(s, Actions.reserveFromDeck("tier3"));
+
+    assert.equal(next.players[0].reserved[0].id, top.id);
+    assert.equal(next.players[0].reserved[0].blind, true);
+    assert.deepEqual(next.market.cards.tier3, s.market.cards.tier3);
+  });
+
+  test("empty deck or unknown deck is rejected", () => {
+    const s = scenario({}, st => { st.decks.tier1 = []; });
+    assertRejected(s, Actions.reserveFromDeck("tier1"), "DECK_EMPTY");
+    assertRejected(s, Actions.reserveFromDeck("nobles"));
+  });
+
+  test("a fourth reserve is rejected", () => {
+    const s = scenario({}, st => { st.players[0].reserved = [card("t1_01"), card("t1_02"), card("t1_03")]; });
+    const why = assertRejected(s, Actions.reserveCard(cardRef(s.market.cards.tier1[0])), "RESERVE_LIMIT");
+    assert.match(why.message, /Reserve limit/);
+    assertRejected(s, Actions.reserveFromDeck("tier1"), "RESERVE_LIMIT");
+  });
+
+  test("a card that isn't in the market is rejected", () => {
+    assertRejected(scenario(), Actions.reserveCard({ meta: { id: "nope" } }), "CARD_NOT_AVAILABLE");
+  });
+
+  test("the reserve limit is a game option", () => {
+    const s = scenario({ options: { reserveLimit: 1 } }, st => { st.players[0].reserved = [card("t1_01")]; });
+    const why = assertRejected(s, Actions.reserveFromDeck("tier1"), "RESERVE_LIMIT");
+    assert.equal(why.message, "Reserve limit reached (1 card)");
+
+    const roomy = scenario({ options: { reserveLimit: 4 } }, st => { st.players[0].reserved = [card("t1_01"), card("t1_02"), card("t1_03")]; });
+    assertAccepted(roomy, Actions.reserveFromDeck("tier1"));
+  });
+});
+
+describe("BUY_CARD", () => {
+  test("bonuses discount the cost before tokens are spent", () => {
+    // t1_05 costs green 3, blue 1, red 1
+    const s = scenario({}, st => {
+      putInMarket(st, "t1_05", 0);
+      st.players[0].cards.push(...bonusCards("green", 2));
+      setTokens(st, 0, { green: 1, blue: 1, red: 1, white: 2 });
+    });
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+
+    assert.deepEqual(next.players[0].tokens, { white: 2, blue: 0, green: 0, red: 0, black: 0, yellow: 0 });
+    assert.equal(next.market.bank.green, s.market.bank.green + 1);
+    assert.ok(next.players[0].cards.some(c => c.id === "t1_05"));
+  });
+
+  test("gold covers only what colored tokens can't", () => {
+    // t1_03 costs white 3
+    const s = scenario({}, st => {
+      putInMarket(st, "t1_03", 2);
+      setTokens(st, 0, { white: 1, yellow: 3 });
+    });
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[2])));
+
+    assert.equal(next.players[0].tokens.white, 0);
+    assert.equal(next.players[0].tokens.yellow, 1);
+    assert.equal(next.market.bank.yellow, s.market.bank.yellow + 2);
+  });
+
+  test("enough bonuses make a card free", () => {
+    const s = scenario({}, st => {
+      putInMarket(st, "t1_03", 0);
+      st.players[0].cards.push(...bonusCards("white", 3));
+    });
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.deepEqual(next.market.bank, s.market.bank);
+  });
+
+  test("unaffordable card is rejected", () => {
+    const s = scenario({}, st => {
+      putInMarket(st, "t1_03", 0);
+      setTokens(st, 0, { white: 1, yellow: 1 });
+    });
+    const why = assertRejected(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])), "CANNOT_AFFORD");
+    assert.equal(why.message, "Short 1 gem");
+  });
+
+  test("buying from reserve frees the slot and reveals a blind card", () => {
+    const s = scenario({}, st => {
+      st.players[0].reserved = [{ ...card("t1_03"), blind: true }];
+      setTokens(st, 0, { white: 3 });
+    });
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.players[0].reserved[0])));
+
+    assert.equal(next.players[0].reserved.length, 0);
+    const bought = next.players[0].cards.find(c => c.id === "t1_03");
+    assert.equal(bought.blind, undefined);
+  });
+
+  test("another player's reserved card can't be bought", () => {
+    const s = scenario({}, st => {
+      st.players[1].reserved = [card("t1_03")];
+      setTokens(st, 0, { white: 3 });
+    });
+    assertRejected(s, Actions.buyCard(cardRef(s.players[1].reserved[0])), "CARD_NOT_AVAILABLE");
+  });
+
+  test("an explicit payment can spend gold while keeping colored tokens", () => {
+    // t1_03 costs white 3
+    const s = scenario({}, st => {
+      putInMarket(st, "t1_03", 0);
+      setTokens(st, 0, { white: 3, yellow: 2 });
+    });
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0]), { white: 1, yellow: 2 }));
+
+    assert.equal(next.players[0].tokens.white, 2);
+    assert.equal(next.players[0].tokens.yellow, 0);
+    assert.equal(next.market.bank.white, s.market.bank.white + 1);
+    assert.equal(next.market.bank.yellow, s.market.bank.yellow + 2);
+  });
+
+  test("explicit payments must cover the cost exactly with held tokens", () => {
+    // t1_05 costs green 3, blue 1, red 1; two green bonuses leave green 1
+    const s = scenario({}, st => {
+      putInMarket(st, "t1_05", 0);
+      st.players[0].cards.push(...bonusCards("green", 2));
+      setTokens(st, 0, { green: 2, blue: 1, red: 1, yellow: 1 });
+    });
+    const buy = (payment) => Actions.buyCard(cardRef(s.market.cards.tier1[0]), payment);
+
+    assertAccepted(s, buy({ green: 1, blue: 1, red: 1 }));
+    assertAccepted(s, buy({ blue: 1, red: 1, yellow: 1 }));
+
+    assert.equal(assertRejected(s, buy({ green: 2, blue: 1, red: 1 }), "OVERPAY").message, "The card only needs 1 green");
+    assertRejected(s, buy({ green: 1, blue: 1, red: 1, yellow: 1 }), "OVERPAY");
+    assert.equal(assertRejected(s, buy({ green: 1, blue: 1 }), "PAYMENT_SHORT").message, "Short 1 gem");
+    assertRejected(s, buy({ blue: 1, red: 1, yellow: 2 }), "NOT_HELD");
+    assertRejected(s, buy({ green: 1, blue: 1, red: 1, white: 0, purple: 1 }), "MALFORMED");
+    assertRejected(s, buy({ green: 1.5, blue: 1, red: 1 }), "MALFORMED");
+    assertRejected(s, buy({ green: -1, blue: 1, red: 1, yellow: 2 }), "MALFORMED");
+    assertRejected(s, buy("all of it"), "MALFORMED");
+  });
+});
+
+describe("nobles", () => {
+  // n_01 needs white 4 + blue 4; n_06 needs white 3 + blue 3 + green 3
+  function almostNoble(nobleIds) {
+    return scenario({}, st => {
+      setNobles(st, nobleIds);
+      st.players[0].cards.push(...bonusCards("white", 4), ...bonusCards("blue", 3), ...bonusCards("green", 3));
+      putInMarket(st, "t1_06", 0); // blue bonus, costs white 1 + black 2
+      setTokens(st, 0, { black: 2 });
+    });
+  }
+
+  test("a single eligible noble visits automatically", () => {
+    const s = almostNoble(["n_01", "n_04"]);
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+
+    assert.deepEqual(next.players[0].nobles.map(n => n.id), ["n_01"]);
+    assert.deepEqual(next.market.nobles.map(n => n.id), ["n_04"]);
+    assert.equal(next.activePlayerIndex, 1);
+  });
+
+  test("several eligible: the player chooses one, only one is claimed", () => {
+    const s = almostNoble(["n_01", "n_06", "n_04"]);
+    const pending = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+
+    assert.deepEqual(pending.awaiting, { type: "CHOOSE_NOBLE", nobleIds: ["n_01", "n_06"] });
+    assert.equal(pending.activePlayerIndex, 0);
+    assertRejected(pending, Actions.chooseNoble("n_04"), "NOBLE_NOT_OFFERED");
+    assertRejected(pending, Actions.takeTokens({ red: 1, black: 1, white: 1 }), "AWAITING_NOBLE");
+
+    const next = assertAccepted(pending, Actions.chooseNoble("n_06"));
+    assert.deepEqual(next.players[0].nobles.map(n => n.id), ["n_06"]);
+    assert.equal(next.awaiting, null);
+    assert.equal(next.activePlayerIndex, 1);
+  });
+
+  test("choosing a noble when none is offered is rejected", () => {
+    assertRejected(scenario(), Actions.chooseNoble("n_01"), "NOTHING_TO_CHOOSE");
+  });
+});
+
+describe("Orient cards", () => {
+  function buying(id, tokens, arrange) {
+    return scenario({ options: { orient: true } }, st => {
+      putInMarket(st, id, 0);
+      setTokens(st, 0, tokens);
+      arrange?.(st);
+    });
+  }
+  const buyFirst = (s, tier = "tier1") => Actions.buyCard(cardRef(s.market.cards[tier][0]));
+
+  test("a double bonus counts twice", () => {
+    // t1_03: red, costs white 3
+    const s = scenario({}, st => {
+      st.players[0].cards.push(card("t1_o05")); // white x2
+      putInMarket(st, "t1_03", 0);
+      setTokens(st, 0, { white: 1 });
+    });
+    const next = assertAccepted(s, buyFirst(s));
+    assert.equal(next.players[0].tokens.white, 0);
+  });
+
+  test("a joker copies a bonus color: automatic with one, chosen with several", () => {
+    const tokens = { white: 2, blue: 2 }; // t1_o01 costs white 2 + blue 2
+    assertRejected(buying("t1_o01", tokens), buyFirst(buying("t1_o01", tokens)), "NO_BONUS_TO_COPY");
+
+    const one = buying("t1_o01", tokens, st => st.players[0].cards.push(...bonusCards("red", 1)));
+    const auto = assertAccepted(one, buyFirst(one));
+    assert.equal(auto.players[0].cards.find(c => c.id === "t1_o01").bonus, "red");
+    assert.equal(auto.activePlayerIndex, 1);
+
+    const two = buying("t1_o01", tokens, st => st.players[0].cards.push(...bonusCards("red", 1), ...bonusCards("green", 1)));
+    const pending = assertAccepted(two, buyFirst(two));
+    assert.deepEqual(pending.awaiting, { type: "CHOOSE_BONUS", cardId: "t1_o01", colors: ["green", "red"] });
+    assert.equal(pending.activePlayerIndex, 0);
+    assertRejected(pending, Actions.takeTokens({ red: 1, black: 1, white: 1 }), "AWAITING_BONUS");
+    assertRejected(pending, Actions.chooseBonus("blue"), "COLOR_NOT_OFFERED");
+
+    const next = assertAccepted(pending, Actions.chooseBonus("green"));
+    assert.equal(next.players[0].cards.find(c => c.id === "t1_o01").bonus, "green");
+    assert.equal(next.awaiting, null);
+    assert.equal(next.activePlayerIndex, 1);
+  });
+
+  test("reserve on buy: a free reserve without gold, skipped at the reserve limit", () => {
+    const tokens = { blue: 2, red: 1, white: 1 }; // t1_o03
+    const s = buying("t1_o03", tokens);
+    const pending = assertAccepted(s, buyFirst(s));
+    assert.deepEqual(pending.awaiting, { type: "RESERVE_CARD" });
+    assertRejected(pending, Actions.takeTokens({ red: 1, black: 1, white: 1 }), "AWAITING_RESERVE");
+
+    const next = assertAccepted(pending, Actions.reserveFromDeck("tier2"));
+    assert.equal(next.players[0].reserved.length, 1);
+    assert.equal(next.players[0].tokens.yellow, 0);
+    assert.equal(next.market.bank.yellow, s.market.bank.yellow);
+    assert.equal(next.activePlayerIndex, 1);
+
+    const full = buying("t1_o03", tokens, st => { st.players[0].reserved = [card("t2_01"), card("t2_02"), card("t2_03")]; });
+    const skipped = assertAccepted(full, buyFirst(full));
+    assert.equal(skipped.awaiting, null);
+    assert.equal(skipped.activePlayerIndex, 1);
+  });
+
+  test("take on buy: a free card from the lower row", () => {
+    const s = buying("t2_o03", { blue: 3, black: 4 }, st => putInMarket(st, "t1_02", 2));
+    const pending = assertAccepted(s, buyFirst(s, "tier2"));
+    assert.deepEqual(pending.awaiting, { type: "TAKE_CARD", tier: 1 });
+    assertRejected(pending, Actions.takeCard(cardRef(pending.market.cards.tier2[1])), "WRONG_TIER");
+
+    const next = assertAccepted(pending, Actions.takeCard(cardRef(pending.market.cards.tier1[2])));
+    assert.ok(next.players[0].cards.some(c => c.id === "t1_02"));
+    assert.notEqual(next.market.cards.tier1[2]?.id, "t1_02");
+    assert.deepEqual(next.players[0].tokens, pending.players[0].tokens);
+    assert.equal(next.activePlayerIndex, 1);
+  });
+
+  test("noble on buy: any noble on the board, requirements or not", () => {
+    const s = buying("t2_o05", { green: 3, red: 2, black: 3 }, st => setNobles(st, ["n_01", "n_04"]));
+    const pending = assertAccepted(s, buyFirst(s, "tier2"));
+    assert.deepEqual(pending.awaiting, { type: "CHOOSE_NOBLE", nobleIds: ["n_01", "n_04"], ability: true });
+
+    const next = assertAccepted(pending, Actions.chooseNoble("n_04"));
+    assert.deepEqual(next.players[0].nobles.map(n => n.id), ["n_04"]);
+    assert.equal(next.activePlayerIndex, 1);
+
+    const one = buying("t2_o05", { green: 3, red: 2, black: 3 }, st => setNobles(st, ["n_02"]));
+    const auto = assertAccepted(one, buyFirst(one, "tier2"));
+    assert.deepEqual(auto.players[0].nobles.map(n => n.id), ["n_02"]);
+    assert.equal(auto.activePlayerIndex, 1);
+  });
+});
+
+describe("trading posts", () => {
+  const options = { tradingPosts: true };
+  const take3 = Actions.takeTokens({ red: 1, blue: 1, white: 1 });
+
+  test("a coat of arms goes on every post reached at the end of the turn", () => {
+    // tp_01: red 3 + white 1, tp_02: white 2 + black 2
+    const s = scenario({ options }, st => {
+      st.players[0].cards.push(...bonusCards("red", 3), ...bonusCards("white", 2), ...bonusCards("black", 2));
+    });
+    const next = assertAccepted(s, take3);
+    assert.deepEqual(next.players[0].coats.map(c => c.id), ["tp_01", "tp_02"]);
+    assert.deepEqual(next.players[1].coats, []);
+    assert.deepEqual(validateState(next).filter(e => e.includes("coat") || e.includes("trading post")), []);
+
+    // coats stay put; another turn doesn't add them twice
+    const again = assertAccepted(next, take3);
+    const third = assertAccepted(again, Actions.takeTokens({ green: 1, blue: 1, black: 1 }));
+    assert.equal(third.players[0].coats.length, 2);
+  });
+
+  test("the noble post needs a noble, and then every coat is worth a point", () => {
+    // tp_03: blue 3 + 1 noble
+    const s = scenario({ options }, st => {
+      st.players[0].cards.push(...bonusCards("blue", 3));
+      st.players[0].coats.push(coat("tp_01"));
+    });
+    const noNoble = assertAccepted(s, take3);
+    assert.deepEqual(noNoble.players[0].coats.map(c => c.id), ["tp_01"]);
+
+    const withNoble = scenario({ options }, st => {
+      st.players[0].cards.push(...bonusCards("blue", 3));
+      st.players[0].coats.push(coat("tp_01"));
+      st.players[0].nobles.push(st.market.nobles.pop());
+    });
+    const next = assertAccepted(withNoble, take3);
+    assert.deepEqual(next.players[0].coats.map(c => [c.id, c.points]), [["tp_01", 1], ["tp_03", 1]]);
+  });
+
+  test("extraToken: 1 more token of another color with a 2-same take", () => {
+    const twoPlusOne = Actions.takeTokens({ red: 2, blue: 1 });
+    assertRejected(scenario({ options }), twoPlusOne, "TAKE_SHAPE");
+
+    const s = scenario({ options }, st => { st.players[0].coats.push(coat("tp_01")); });
+    const next = assertAccepted(s, twoPlusOne);
+    assert.equal(next.players[0].tokens.red, 2);
+    assert.equal(next.players[0].tokens.blue, 1);
+    assertRejected(s, Actions.takeTokens({ red: 2, blue: 2 }), "TAKE_SHAPE");
+    assertRejected(s, Actions.takeTokens({ red: 2, blue: 0.5, green: 0.5 }), "MALFORMED");
+
+    const short = scenario({ options }, st => {
+      st.players[0].coats.push(coat("tp_01"));
+      st.market.bank.red = 3;
+    });
+    assertRejected(short, twoPlusOne, "BANK_SHORT");
+  });
+
+  test("tokenOnBuy: a free token of any color but gold after buying", () => {
+    // t1_02 costs green 4
+    const s = scenario({ options }, st => {
+      st.players[0].coats.push(coat("tp_02"));
+      putInMarket(st, "t1_02", 0);
+      setTokens(st, 0, { green: 4 });
+    });
+    const pending = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.deepEqual(pending.awaiting, { type: "TAKE_FREE_TOKEN", cardId: "t1_02" });
+    assert.equal(pending.activePlayerIndex, 0);
+    assertRejected(pending, take3, "AWAITING_TOKEN");
+    assertRejected(pending, Actions.takeFreeToken("yellow"), "TAKE_GOLD");
+
+    const next = assertAccepted(pending, Actions.takeFreeToken("black"));
+    assert.equal(next.players[0].tokens.black, 1);
+    assert.equal(next.market.bank.black, s.market.bank.black - 1);
+    assert.equal(next.awaiting, null);
+    assert.equal(next.activePlayerIndex, 1);
+    assertRejected(next, Actions.takeFreeToken("black"), "NOTHING_TO_TAKE");
+  });
+});
+
+describe("end of game", () => {
+  // t1_02: 1 point, costs green 4
+  function nearWin(seat, players = 2) {
+    return scenario({ players }, st => {
+      st.activePlayerIndex = seat;
+      st.players[seat].cards.push(...bonusCards("black", 2, 7)); // 14 points
+      putInMarket(st, "t1_02", 0);
+      setTokens(st, seat, { green: 4 });
+    });
+  }
+
+  test("reaching 15 starts the final round, the game ends when play returns to player 0", () => {
+    const s = nearWin(0, 3);
+    let next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.equal(next.finalRound, true);
+    assert.ok(!next.gameOver);
+
+    next = assertAccepted(next, Actions.takeTokens({ red: 1, blue: 1, white: 1 }));
+    assert.ok(!next.gameOver);
+    next = assertAccepted(next, Actions.takeTokens({ red: 1, blue: 1, white: 1 }));
+
+    assert.equal(next.gameOver, true);
+    assert.equal(next.winner, 0);
+  });
+
+  test("a lower points target starts the final round sooner", () => {
+    const s = scenario({ options: { targetPoints: 8 } }, st => {
+      st.players[0].cards.push(...bonusCards("black", 1, 7));
+      putInMarket(st, "t1_02", 0);
+      setTokens(st, 0, { green: 4 });
+    });
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.equal(next.finalRound, true);
+  });
+
+  test("with another first player, the final round ends when play returns to them", () => {
+    const s = scenario({ players: 3, options: { firstPlayer: 1 } }, st => {
+      st.players[1].cards.push(...bonusCards("black", 2, 7));
+      putInMarket(st, "t1_02", 0);
+      setTokens(st, 1, { green: 4 });
+    });
+    assert.equal(s.activePlayerIndex, 1);
+
+    let next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.equal(next.finalRound, true);
+    next = assertAccepted(next, Actions.takeTokens({ red: 1, blue: 1, white: 1 })); // seat 2
+    assert.equal(next.turn, 1);
+    next = assertAccepted(next, Actions.takeTokens({ red: 1, blue: 1, white: 1 })); // seat 0 closes the round
+
+    assert.equal(next.gameOver, true);
+    assert.equal(next.winner, 1);
+    assert.equal(next.turn, 2);
+  });
+
+  test("the last seat finishing the round ends the game at once", () => {
+    const s = nearWin(1);
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.equal(next.gameOver, true);
+    assert.equal(next.winner, 1);
+  });
+
+  test("points tie: fewer purchased cards wins", () => {
+    const s = scenario({}, st => {
+      st.activePlayerIndex = 1;
+      st.finalRound = true;
+      st.players[0].cards.push(...bonusCards("red", 3, 5));       // 15 points, 3 cards
+      st.players[1].cards.push(...bonusCards("red", 2, 7));       // 14 points, 2 cards
+      putInMarket(st, "t1_02", 0);
+      setTokens(st, 1, { green: 4 });
+    });
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    // 15 each; player 1 now has 3 cards too, so the earlier seat keeps the tie
+    assert.equal(next.gameOver, true);
+    assert.equal(next.winner, 0);
+
+    const fewer = scenario({}, st => {
+      st.activePlayerIndex = 1;
+      st.finalRound = true;
+      st.players[0].cards.push(...bonusCards("red", 5, 3));       // 15 points, 5 cards
+      st.players[1].cards.push(...bonusCards("red", 2, 7));       // 14 points, 2 cards
+      putInMarket(st, "t1_02", 0);
+      setTokens(st, 1, { green: 4 });
+    });
+    const end = assertAccepted(fewer, Actions.buyCard(cardRef(fewer.market.cards.tier1[0])));
+    assert.equal(end.winner, 1);
+  });
+
+  test("no action is accepted once the game is over", () => {
+    const s = nearWin(1);
+    const over = applyAction(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.equal(applyAction(over, Actions.takeTokens({ red: 1, blue: 1, white: 1 })), over);
+    assert.equal(explainRejection(over, Actions.takeTokens({ red: 1, blue: 1, white: 1 })).code, "GAME_OVER");
+  });
+});
+
+describe("cities module", () => {
+  // city_01: 11 points + 4 white + 4 blue; city_06: 13 points + 5 of any one color
+  // t1_02: 1 point, costs green 4
+  function nearCity(seat, players = 2) {
+    return scenario({ players, options: { cities: true } }, st => {
+      setCities(st, ["city_01", "city_06", "city_09"]);
+      st.activePlayerIndex = seat;
+      st.players[seat].cards.push(...bonusCards("white", 4, 1), ...bonusCards("blue", 4, 1), ...bonusCards("black", 1, 2));
+      putInMarket(st, "t1_02", 0);
+      setTokens(st, seat, { green: 4 });
+    });
+  }
+
+  test("qualifying for a city at the end of the turn starts the final round", () => {
+    const s = nearCity(0, 3);
+    assert.equal(s.players[0].cities.length, 0);
+
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.deepEqual(next.players[0].cities.map(c => c.id), ["city_01"]);
+    assert.equal(next.finalRound, true);
+    assert.ok(next.market.cities.some(c => c.id === "city_01"), "the city stays on the board");
+    assert.deepEqual(validateState(next).filter(e => e.includes("city")), []);
+  });
+
+  test("several cities in reach: the player chooses one, then the final round starts", () => {
+    const s = nearCity(0, 3);
+    s.players[0].cards.push(...bonusCards("white", 1, 2)); // 5 white, 13 points after the buy: city_06 too
+
+    const paused = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.deepEqual(paused.awaiting, { type: "CHOOSE_CITY", cityIds: ["city_01", "city_06"] });
+    assert.equal(paused.activePlayerIndex, 0);
+    assert.equal(paused.players[0].cities.length, 0);
+    assert.ok(!paused.finalRound);
+
+    assertRejected(paused, Actions.takeTokens({ red: 1, blue: 1, green: 1 }), "AWAITING_CITY");
+    assertRejected(paused, Actions.chooseCity("city_09"), "CITY_NOT_OFFERED");
+    assertRejected(s, Actions.chooseCity("city_01"), "NOTHING_TO_CHOOSE");
+
+    const next = assertAccepted(paused, Actions.chooseCity("city_06"));
+    assert.deepEqual(next.players[0].cities.map(c => c.id), ["city_06"]);
+    assert.equal(next.awaiting, null);
+    assert.equal(next.finalRound, true);
+    assert.equal(next.activePlayerIndex, 1);
+    assert.deepEqual(validateState(next).filter(e => e.includes("city")), []);
+  });
+
+  test("the points target no longer ends the game", () => {
+    const s = scenario({ options: { cities: true } }, st => {
+      setCities(st, ["city_01", "city_02", "city_03"]);
+      st.players[0].cards.push(...bonusCards("black", 3, 5)); // 15 points, no matching bonuses
+      setTokens(st, 0, {});
+    });
+    const next = assertAccepted(s, Actions.takeTokens({ red: 1, blue: 1, white: 1 }));
+    assert.ok(!next.finalRound);
+    assert.equal(next.players[0].cities.length, 0);
+  });
+
+  test("'any' asks for that many bonuses of one color the city doesn't list", () => {
+    const s = scenario({ options: { cities: true } }, st => {
+      setCities(st, ["city_07"]); // 13 points + 2 blue + 2 red + 4 of another color
+      st.players[0].cards.push(...bonusCards("blue", 4, 2), ...bonusCards("red", 2, 2)); // 12 points
+      setTokens(st, 0, {});
+    });
+    const take = Actions.takeTokens({ green: 1, white: 1, black: 1 });
+    assert.ok(!assertAccepted(s, take).finalRound, "not enough prestige yet");
+
+    const blueHeavy = structuredClone(s);
+    blueHeavy.players[0].cards.push(...bonusCards("black", 1, 1)); // 13 points, but only 1 black
+    assert.ok(!assertAccepted(blueHeavy, take).finalRound, "blue is listed, so it can't count as 'any'");
+
+    const ready = structuredClone(s);
+    ready.players[0].cards.push(...bonusCards("green", 4), ...bonusCards("white", 1, 1));
+    assert.equal(assertAccepted(ready, take).finalRound, true);
+  });
+
+  test("only city holders can win: most prestige, then fewer cards", () => {
+    const s = nearCity(1, 2);
+    s.players[0].cards.push(...bonusCards("red", 4, 5)); // 20 points, no city
+    const next = assertAccepted(s, Actions.buyCard(cardRef(s.market.cards.tier1[0])));
+    assert.equal(next.gameOver, true);
+    assert.equal(next.winner, 1);
+
+    // both qualify in the final round; points tie, fewer cards wins
+    const tie = nearCity(1, 2);
+    tie.finalRound = true;
+    tie.players[0].cards.push(...bonusCards("white", 4, 1), ...bonusCards("blue", 4, 1), ...bonusCards("black", 1, 3));
+    tie.players[0].cities = [structuredClone(tie.market.cities[0])];
+    const end = assertAccepted(tie, Actions.buyCard(cardRef(tie.market.cards.tier1[0])));
+    assert.equal(end.gameOver, true);
+    assert.equal(end.winner, 0);
+  });
+});
+
+describe("time controls (PASS_TURN / FORFEIT)", () => {
+  test("a pass only moves the turn on", () => {
+    const s = scenario({ players: 3 });
+    const next = assertAccepted(s, Actions.passTurn());
+    assert.equal(next.activePlayerIndex, 1);
+    assert.deepEqual(next.players, s.players);
+    assert.deepEqual(next.market, s.market);
+  });
+
+  test("no pass while a sub-step is owed; forfeit is still possible", () => {
+    const s = scenario({}, st => {
+      setTokens(st, 0, { white: 4, blue: 4, green: 4 });
+      st.market.bank.white -= 4; st.market.bank.blue -= 4; st.market.bank.green -= 4;
+      st.awaiting = { type: "DISCARD_TOKENS", count: 2 };
+    });
+    assertRejected(s, Actions.passTurn(), "AWAITING_DISCARD");
+
+    const next = assertAccepted(s, Actions.forfeit());
+    assert.equal(next.awaiting, null);
+    assert.equal(countTokens(next.players[0].tokens), 0);
+    assert.deepEqual(validateState(next), []);
+  });
+
+  test("a forfeited seat is skipped and can't win", () => {
+    let s = scenario({ players: 3 }, st => {
+      st.activePlayerIndex = 1;
+      st.players[1].cards.push(...bonusCards("red", 3, 5)); // would lead on points
+    });
+    s = assertAccepted(s, Actions.forfeit());
+    assert.equal(s.players[1].forfeited, true);
+    assert.equal(s.activePlayerIndex, 2);
+
+    s = assertAccepted(s, Actions.passTurn());
+    assert.equal(s.activePlayerIndex, 0);
+    s = assertAccepted(s, Actions.passTurn());
+    assert.equal(s.activePlayerIndex, 2, "seat 1 is skipped");
+
+    s = assertAccepted({ ...s, finalRound: true }, Actions.passTurn());
+    assert.equal(s.gameOver, true);
+    assert.equal(s.winner, 0);
+  });
+
+  test("the final round still ends when seat 0 has forfeited", () => {
+    let s = scenario({ players: 3 }, st => { st.players[0].forfeited = true; st.activePlayerIndex = 1; });
+    s = assertAccepted({ ...s, finalRound: true }, Actions.passTurn());
+    assert.ok(!s.gameOver);
+    s = assertAccepted(s, Actions.passTurn());
+    assert.equal(s.gameOver, true);
+    assert.notEqual(s.winner, 0);
+  });
+
+  test("two players: a forfeit ends the game for the other", () => {
+    const next = assertAccepted(scenario(), Actions.forfeit());
+    assert.equal(next.gameOver, true);
+    assert.equal(next.winner, 1);
+  });
+});
+
+test("unknown action types are rejected", () => {
+  const s = scenario();
+  assertRejected(s, { type: "FLIP_TABLE" }, "UNKNOWN_ACTION");
+  assert.equal(applyAction(s, null), s);
+});
@@ -0,0 +1,121 @@
+// Room bookkeeping shared by the server and the offline transport (engine/rooms.js).
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { newRoom, restoreRoom, roomSnapshot, addBot, addLocalPlayer, autoMoveDue, autoMove, recordAction } from "../engine/rooms.js";
+import { applyAction } from "../engine/reducer.js";
+import { Actions } from "../engine/actions.js";
+import { scenario, card, setBank, setTokens } from "./fixtures.js";
+
+const ADA = { clientId: 1, name: "Ada" };
+const BEA = { clientId: 2, name: "Bea" };
+const BOT = { clientId: "bot1", name: "Greedy Bot", bot: "greedy" };
+const DEEP_BOT = { clientId: "bot2", name: "Lookahead Bot", bot: "lookahead" };
+
+// A started room around `state`, seats from 0
+function table(state, seats) {
+  const room = newRoom({ name: "Test" });
+  seats.forEach((s, i) => { room.seats[i] = s; });
+  room.started = true;
+  room.state = state;
+  return room;
+}
+
+// Empty bank and reserve full: `stuck` players have no legal move
+function stalled(stuck) {
+  return scenario({ options: { reserveLimit: 1 } }, st => {
+    setBank(st, {});
+    for (const i of stuck) {
+      setTokens(st, i, {});
+      st.players[i].reserved = [card(`t1_0${i + 1}`)];
+    }
+  });
+}
+
+function play(room) {
+  const move = autoMove(room);
+  return recordAction(room, room.state, move.next, move.action);
+}
+
+describe("automatic moves", () => {
+  test("bots move by themselves; people who can move are left alone", () => {
+    const room = table(scenario(), [ADA, BOT]);
+    assert.equal(autoMoveDue(room), false);
+    assert.equal(autoMove(room), null);
+
+    room.state = { ...room.state, activePlayerIndex: 1 };
+    assert.equal(autoMoveDue(room), true);
+    const move = autoMove(room);
+    assert.equal(move.seat, BOT);
+    assert.notEqual(move.action.type, "PASS_TURN");
+    assert.notEqual(move.next, room.state);
+  });
+
+  test("a lookahead bot plays around a blind reserve it can't see", () => {
+    const reserved = applyAction(scenario(), Actions.reserveFromDeck("tier3"));
+    const room = table(reserved, [ADA, DEEP_BOT]);
+    const before = structuredClone(room.state);
+
+    const move = autoMove(room);
+    assert.equal(move.seat, DEEP_BOT);
+    assert.notEqual(move.next, room.state, "the bot's pick is legal");
+    assert.deepEqual(room.state, before);
+  });
+
+  test("a player with no legal move passes", () => {
+    const room = table(stalled([0]), [ADA, BEA]);
+    assert.equal(autoMoveDue(room), true);
+
+    const entry = play(room);
+    assert.equal(entry.action.type, "PASS_TURN");
+    assert.equal(entry.text, "P1 had no legal move and passed");
+    assert.equal(room.state.activePlayerIndex, 1);
+    assert.equal(autoMoveDue(room), false); // Bea can still reserve
+  });
+
+  test("stuck in a sub-step with no way out, a player forfeits instead", () => {
+    const stuck = scenario({ players: 3 }, st => {
+      setBank(st, {});
+      st.awaiting = { type: "TAKE_FREE_TOKEN", cardId: "t1_01" }; // nothing left to take
+    });
+    const room = table(stuck, [ADA, BEA, BOT]);
+    assert.equal(autoMoveDue(room), true);
+
+    const entry = play(room);
+    assert.equal(entry.action.type, "FORFEIT");
+    assert.equal(entry.text, "P1 was stuck with no legal move and forfeited");
+    assert.equal(room.state.players[0].forfeited, true);
+    assert.equal(room.state.awaiting, null);
+    assert.equal(room.state.activePlayerIndex, 1);
+    assert.ok(!room.state.gameOver);
+  });
+
+  test("a bot with no legal move passes too", () => {
+    const room = table(stalled([0]), [BOT, ADA]);
+    assert.equal(play(room).action.type, "PASS_TURN");
+  });
+
+  test("when nobody can move, the table waits instead of passing forever", () => {
+    const room = table(stalled([0, 1]), [ADA, BOT]);
+    play(room);
+    play(room);
+    assert.equal(room.state.activePlayerIndex, 0);
+    assert.equal(autoMoveDue(room), false);
+    assert.equal(autoMove(room), null);
+  });
+});
+
+describe("restored rooms", () => {
+  test("new bots and local players never reuse a restored seat's id", () => {
+    const saved = table(scenario(), [ADA, { clientId: "bot41", name: "Bot", bot: "greedy" }, { clientId: "local17", name: "Bea", local: true }]);
+    restoreRoom(JSON.parse(JSON.stringify(roomSnapshot(saved))));
+
+    const lobby = newRoom({ name: "Next" });
+    lobby.seats[0] = ADA;
+    const botSeat = addBot(lobby, "greedy");
+    addLocalPlayer(lobby, "Cid");
+    assert.ok(Number(lobby.seats[botSeat].clientId.slice("bot".length)) > 41);
+    assert.ok(Number(lobby.seats.find(s => s?.local).clientId.slice("local".length)) > 17);
+  });
+});
@@ -0,0 +1,623 @@
+// Protocol integration tests: a real server process, scripted ws clients.
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { startServer, connect } from "./harness.js";
+import { Actions } from "../engine/actions.js";
+import { applyPatch } from "../engine/patch.js";
+
+let server;
+const open = [];
+
+before(async () => { server = await startServer(); });
+after(async () => {
+  await Promise.all(open.map(c => c.close()));
+  await server.stop();
+});
+
+async function client() {
+  const c = await connect(server.url);
+  open.push(c);
+  await c.next("ROOM_LIST");
+  return c;
+}
+
+async function host(name = "Host") {
+  const c = await client();
+  c.send({ type: "CREATE_GAME", name });
+  const welcome = await c.next("WELCOME");
+  return { c, welcome, roomId: welcome.roomId };
+}
+
+async function join(roomId, name, sessionId) {
+  const c = await client();
+  c.send({ type: "JOIN", roomId, name, sessionId });
+  const welcome = await c.next("WELCOME");
+  return { c, welcome };
+}
+
+// Host + one guest, both ready: resolves once both have the first STATE.
+async function startedGame() {
+  const h = await host();
+  const g = await join(h.roomId, "Guest");
+  h.c.send({ type: "READY" });
+  g.c.send({ type: "READY" });
+  await h.c.next("STATE");
+  await g.c.next("STATE");
+  return { h, g, roomId: h.roomId };
+}
+
+const TAKE = Actions.takeTokens({ red: 1, blue: 1, green: 1 });
+
+describe("lobby", () => {
+  test("CREATE_GAME seats the creator and makes them host", async () => {
+    const { c, welcome } = await host("Ada");
+    assert.equal(welcome.playerIndex, 0);
+    assert.equal(welcome.name, "Ada");
+    assert.ok(welcome.sessionId);
+
+    const room = await c.next("ROOM");
+    assert.equal(room.host, welcome.clientId);
+    assert.equal(room.name, "Ada's Game");
+    assert.equal(room.started, false);
+  });
+
+  test("JOIN takes the next seat; unknown rooms are reported", async () => {
+    const h = await host();
+    const g = await join(h.roomId, "Bea");
+    assert.equal(g.welcome.playerIndex, 1);
+
+    const roster = await h.c.next("ROOM", m => m.clients.filter(s => s.occupied).length === 2);
+    assert.deepEqual(roster.clients.filter(s => s.occupied).map(s => s.name), ["Host", "Bea"]);
+
+    const stray = await client();
+    stray.send({ type: "JOIN", roomId: "NOPE42" });
+    assert.equal((await stray.next("ROOM_NOT_FOUND")).roomId, "NOPE42");
+  });
+
+  test("the game starts once every seated player is ready", async () => {
+    const h = await host();
+    const g = await join(h.roomId, "Guest");
+
+    h.c.send({ type: "READY" });
+    const half = await g.c.next("ROOM", m => m.ready[0]);
+    assert.deepEqual(half.ready.slice(0, 2), [true, false]);
+    await h.c.none("STATE");
+
+    g.c.send({ type: "READY" });
+    const state = await g.c.next("STATE");
+    assert.equal(state.version, 0);
+    assert.equal(state.state.players.length, 2);
+    assert.equal(typeof state.state.decks.tier1, "number", "decks are projected to counts");
+
+    const history = await h.c.next("HISTORY");
+    assert.deepEqual(history.entries, []);
+  });
+
+  test("a lone player cannot start", async () => {
+    const h = await host();
+    h.c.send({ type: "READY" });
+    await h.c.next("ROOM", m => m.ready[0]);
+    await h.c.none("STATE");
+  });
+});
+
+describe("turns", () => {
+  test("the active player's action is broadcast as a PATCH with its log entry", async () => {
+    const h = await host();
+    const g = await join(h.roomId, "Guest");
+    h.c.send({ type: "READY" });
+    g.c.send({ type: "READY" });
+    const views = [(await h.c.next("STATE")).state, (await g.c.next("STATE")).state];
+
+    h.c.send({ type: "ACTION", action: TAKE });
+
+    for (const [i, c] of [h.c, g.c].entries()) {
+      const patch = await c.next("PATCH");
+      assert.equal(patch.version, 1);
+      assert.equal(patch.entry.actor, 0);
+      assert.match(patch.entry.text, /^P1 took/);
+
+      const next = applyPatch(views[i], patch.ops);
+      assert.equal(next.activePlayerIndex, 1);
+      assert.deepEqual(next.players[0].tokens, { ...views[i].players[0].tokens, red: 1, blue: 1, green: 1 });
+      await c.none("STATE");
+    }
+  });
+
+  test("RESYNC answers with the full STATE and HISTORY", async () => {
+    const { h } = await startedGame();
+    h.c.send({ type: "ACTION", action: TAKE });
+    await h.c.next("PATCH");
+
+    h.c.drain();
+    h.c.send({ type: "RESYNC" });
+    const s = await h.c.next("STATE");
+    assert.equal(s.version, 1);
+    assert.equal(s.state.activePlayerIndex, 1);
+    assert.equal((await h.c.next("HISTORY")).entries.length, 1);
+  });
+
+  test("NOT_YOUR_TURN, with a resync", async () => {
+    const { g } = await startedGame();
+    g.c.send({ type: "ACTION", action: TAKE });
+
+    const rej = await g.c.next("REJECTED");
+    assert.equal(rej.reason, "NOT_YOUR_TURN");
+    assert.equal(rej.activePlayerIndex, 0);
+    assert.equal(rej.yourPlayerIndex, 1);
+    assert.equal(rej.message, "It's Host's turn");
+    assert.equal((await g.c.next("STATE")).version, 0);
+  });
+
+  test("SPECTATOR_CANNOT_ACT for late joiners", async () => {
+    const { roomId } = await startedGame();
+    const s = await join(roomId, "Late");
+    assert.equal(s.welcome.playerIndex, null);
+    assert.equal(s.welcome.spectator, true);
+
+    s.c.send({ type: "ACTION", action: TAKE });
+    assert.equal((await s.c.next("REJECTED")).reason, "SPECTATOR_CANNOT_ACT");
+  });
+
+  test("INVALID_ACTION leaves the version unchanged", async () => {
+    const { h } = await startedGame();
+    h.c.send({ type: "ACTION", action: Actions.takeTokens({ red: 3 }) });
+    const rej = await h.c.next("REJECTED");
+    assert.equal(rej.reason, "INVALID_ACTION");
+    assert.equal(rej.code, "TAKE_SHAPE");
+    assert.match(rej.message, /^Take 3 different colors/);
+    assert.equal((await h.c.next("STATE")).version, 0);
+  });
+
+  test("actions before the game starts are rejected", async () => {
+    const h = await host();
+    h.c.send({ type: "ACTION", action: TAKE });
+    assert.equal((await h.c.next("REJECTED")).reason, "GAME_NOT_STARTED");
+  });
+});
+
+describe("reconnect", () => {
+  test("same sessionId reclaims the seat mid-game", async () => {
+    const { h, g, roomId } = await startedGame();
+    const { sessionId } = g.welcome;
+
+    h.c.drain();
+    await g.c.close();
+    await h.c.next("ROOM", m => !m.clients[1].wsOpen);
+
+    const back = await join(roomId, undefined, sessionId);
+    assert.equal(back.welcome.playerIndex, 1);
+    assert.equal(back.welcome.name, "Guest");
+    assert.equal((await back.c.next("STATE")).version, 0);
+
+    // and can act on their turn again
+    h.c.send({ type: "ACTION", action: TAKE });
+    await back.c.next("PATCH", m => m.version === 1);
+    back.c.send({ type: "ACTION", action: TAKE });
+    await back.c.next("PATCH", m => m.version === 2);
+  });
+
+  test("a restarted server picks a saved game back up", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "trevdor-"));
+    const env = { PERSIST: "1", DATA_DIR: dir };
+    try {
+      const first = await startServer(env);
+      const c = await connect(first.url);
+      c.send({ type: "CREATE_GAME", name: "Ada" });
+      const { roomId, sessionId } = await c.next("WELCOME");
+      c.send({ type: "ADD_BOT", level: "greedy" });
+      await c.next("ROOM", m => m.clients[1].bot);
+      c.send({ type: "READY" });
+      await c.next("STATE");
+      c.send({ type: "ACTION", action: TAKE });
+      await c.next("PATCH", m => m.version === 1);
+      await c.close();
+      await first.stop(); // saves what the save delay was still holding
+
+      const second = await startServer(env);
+      const back = await connect(second.url);
+      back.send({ type: "JOIN", roomId, sessionId });
+      assert.equal((await back.next("WELCOME")).playerIndex, 0);
+      assert.ok((await back.next("STATE")).version >= 1);
+      await back.close();
+      await second.stop();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("a stranger can't take a disconnected player's seat", async () => {
+    const { g, roomId } = await startedGame();
+    await g.c.close();
+
+    const other = await join(roomId, "Mallory");
+    assert.equal(other.welcome.playerIndex, null);
+  });
+});
+
+describe("time controls", () => {
+  test("the clock is announced in ROOM and follows the turn in STATE / PATCH", async () => {
+    const h = await client();
+    h.send({ type: "CREATE_GAME", name: "Host", clock: { mode: "turn", seconds: 30, onTimeout: "skip" } });
+    const { roomId } = await h.next("WELCOME");
+    const room = await h.next("ROOM");
+    assert.deepEqual(room.clock, { mode: "turn", seconds: 30, onTimeout: "skip", remainingMs: [], running: null });
+
+    const g = await join(roomId, "Guest");
+    h.send({ type: "READY" });
+    g.c.send({ type: "READY" });
+
+    const start = await h.next("STATE");
+    assert.equal(start.clock.running, 0);
+    assert.ok(start.clock.remainingMs[0] > 29000);
+
+    h.send({ type: "ACTION", action: TAKE });
+    const patch = await g.c.next("PATCH");
+    assert.equal(patch.clock.running, 1);
+    assert.ok(patch.clock.remainingMs[1] > 29000);
+  });
+
+  test("rooms without a clock say so; players can't pass or forfeit themselves", async () => {
+    const { h } = await startedGame();
+    h.c.send({ type: "RESYNC" });
+    assert.equal((await h.c.next("STATE")).clock, null);
+
+    h.c.send({ type: "ACTION", action: Actions.passTurn() });
+    const rej = await h.c.next("REJECTED");
+    assert.equal(rej.code, "CLOCK_ONLY");
+    h.c.send({ type: "ACTION", action: Actions.forfeit() });
+    assert.equal((await h.c.next("REJECTED")).code, "CLOCK_ONLY");
+  });
+});
+
+describe("undo", () => {
+  // Host has taken tokens; both clients have seen the PATCH.
+  async function afterHostMove() {
+    const game = await startedGame();
+    game.h.c.send({ type: "ACTION", action: TAKE });
+    await game.h.c.next("PATCH");
+    await game.g.c.next("PATCH");
+    return game;
+  }
+
+  test("accepted: everyone gets the previous state and history back", async () => {
+    const { h, g } = await afterHostMove();
+    h.c.send({ type: "UNDO_REQUEST" });
+
+    const asked = await g.c.next("UNDO_REQUESTED");
+    assert.deepEqual([asked.seat, asked.waitingFor], [0, [1]]);
+    g.c.send({ type: "UNDO_REPLY", accept: true });
+
+    for (const c of [h.c, g.c]) {
+      assert.equal((await c.next("UNDO_RESOLVED")).accepted, true);
+      const s = await c.next("STATE");
+      assert.equal(s.version, 0);
+      assert.equal(s.state.activePlayerIndex, 0);
+      assert.deepEqual((await c.next("HISTORY")).entries, []);
+    }
+
+    // and the game carries on from there
+    h.c.send({ type: "ACTION", action: TAKE });
+    assert.equal((await g.c.next("PATCH")).version, 1);
+  });
+
+  test("declined: nothing changes", async () => {
+    const { h, g } = await afterHostMove();
+    h.c.send({ type: "UNDO_REQUEST" });
+    await g.c.next("UNDO_REQUESTED");
+    g.c.send({ type: "UNDO_REPLY", accept: false });
+
+    const res = await h.c.next("UNDO_RESOLVED");
+    assert.deepEqual([res.accepted, res.by], [false, 1]);
+    await h.c.none("STATE");
+
+    g.c.send({ type: "ACTION", action: TAKE });
+    assert.equal((await h.c.next("PATCH")).version, 2);
+  });
+
+  test("a voter who leaves without answering doesn't count as a yes", async () => {
+    const { h, g } = await afterHostMove();
+    h.c.send({ type: "UNDO_REQUEST" });
+    await g.c.next("UNDO_REQUESTED");
+    await g.c.close();
+
+    const res = await h.c.next("UNDO_RESOLVED");
+    assert.deepEqual([res.accepted, res.by], [false, null]);
+    await h.c.none("STATE");
+  });
+
+  test("only your own last move, and only until the next player acts", async () => {
+    const { h, g } = await afterHostMove();
+
+    g.c.send({ type: "UNDO_REQUEST" });
+    const rej = await g.c.next("REJECTED");
+    assert.equal(rej.reason, "UNDO_NOT_ALLOWED");
+    assert.match(rej.message, /your own last move/);
+
+    h.c.send({ type: "UNDO_REQUEST" });
+    await g.c.next("UNDO_REQUESTED");
+    g.c.send({ type: "ACTION", action: TAKE }); // acting instead of answering
+
+    const res = await h.c.next("UNDO_RESOLVED");
+    assert.deepEqual([res.accepted, res.by], [false, null]);
+    h.c.send({ type: "UNDO_REQUEST" });
+    assert.equal((await h.c.next("REJECTED")).reason, "UNDO_NOT_ALLOWED");
+  });
+
+  test("no one to ask: a game against bots undoes right away", async () => {
+    const h = await host();
+    h.c.send({ type: "ADD_BOT", level: "greedy" });
+    await h.c.next("ROOM", m => m.clients[1].bot);
+    h.c.send({ type: "READY" });
+    await h.c.next("STATE");
+
+    h.c.send({ type: "ACTION", action: TAKE });
+    await h.c.next("PATCH", m => m.version === 1);
+    h.c.send({ type: "UNDO_REQUEST" });
+
+    // well within the bot's think time
+    assert.equal((await h.c.next("UNDO_RESOLVED")).accepted, true);
+    const s = await h.c.next("STATE");
+    assert.equal(s.version, 0);
+    assert.equal(s.state.activePlayerIndex, 0);
+  });
+});
+
+describe("pass and play", () => {
+  // Host device with a second local player, plus a would-be guest
+  async function hotSeatRoom() {
+    const c = await client();
+    c.send({ type: "CREATE_GAME", name: "Ada", hotSeat: true });
+    const welcome = await c.next("WELCOME");
+    c.send({ type: "ADD_PLAYER", name: "Bea" });
+    const room = await c.next("ROOM", m => m.clients[1].occupied);
+    return { h: { c, welcome, roomId: welcome.roomId }, room };
+  }
+
+  test("the host adds local players; everyone else watches", async () => {
+    const { h, room } = await hotSeatRoom();
+    assert.equal(room.hotSeat, true);
+    assert.deepEqual([room.clients[1].name, room.clients[1].local], ["Bea", true]);
+    assert.equal(room.ready[1], true);
+
+    const g = await join(h.roomId, "Guest");
+    assert.equal(g.welcome.spectator, true);
+    g.c.send({ type: "ADD_PLAYER", name: "Cid" });
+    await h.c.none("ROOM", 300, m => m.clients[2].occupied);
+
+    h.c.send({ type: "READY" });
+    const start = await h.c.next("STATE");
+    assert.equal(start.state.hotSeat, true);
+    assert.deepEqual(start.state.players.map(p => p.name), ["Ada", "Bea"]);
+  });
+
+  test("one device plays every seat and sees as the seat to move", async () => {
+    const { h } = await hotSeatRoom();
+    const g = await join(h.roomId, "Guest");
+    h.c.send({ type: "READY" });
+    let mine = (await h.c.next("STATE")).state;
+    let theirs = (await g.c.next("STATE")).state;
+
+    h.c.send({ type: "ACTION", action: Actions.reserveFromDeck("tier1") });
+    let patch = await h.c.next("PATCH");
+    mine = applyPatch(mine, patch.ops);
+    theirs = applyPatch(theirs, (await g.c.next("PATCH")).ops);
+    assert.equal(mine.activePlayerIndex, 1);
+    assert.equal(mine.players[0].reserved[0].id, null, "Bea's turn: Ada's blind reserve is hidden");
+
+    h.c.send({ type: "ACTION", action: TAKE }); // as Bea
+    patch = await h.c.next("PATCH");
+    assert.equal(patch.entry.actor, 1);
+    mine = applyPatch(mine, patch.ops);
+    theirs = applyPatch(theirs, (await g.c.next("PATCH")).ops);
+    assert.ok(mine.players[0].reserved[0].id, "Ada's turn again: she sees her card");
+    assert.equal(theirs.players[0].reserved[0].id, null);
+
+    g.c.send({ type: "ACTION", action: TAKE });
+    assert.equal((await g.c.next("REJECTED")).reason, "SPECTATOR_CANNOT_ACT");
+  });
+
+  test("bot seats still belong to the bot", async () => {
+    const c = await client();
+    c.send({ type: "CREATE_GAME", name: "Ada", hotSeat: true });
+    await c.next("WELCOME");
+    c.send({ type: "ADD_BOT", level: "greedy" });
+    await c.next("ROOM", m => m.clients[1].bot);
+    c.send({ type: "READY" });
+    await c.next("STATE");
+
+    c.send({ type: "ACTION", action: TAKE });
+    await c.next("PATCH");
+    c.send({ type: "ACTION", action: TAKE }); // bot is thinking
+    assert.equal((await c.next("REJECTED")).reason, "NOT_YOUR_TURN");
+  });
+});
+
+describe("game options", () => {
+  test("the host sets options before the game; they shape the game state", async () => {
+    const h = await host("Ada");
+    const g = await join(h.roomId, "Guest");
+    assert.equal((await g.c.next("ROOM")).options.targetPoints, 15);
+
+    g.c.send({ type: "SET_OPTIONS", options: { targetPoints: 10 } });
+    await h.c.none("ROOM", 300, m => m.options.targetPoints === 10);
+
+    g.c.send({ type: "READY" });
+    await h.c.next("ROOM", m => m.ready[1]);
+    h.c.send({ type: "SET_OPTIONS", options: { targetPoints: 10, firstPlayer: 1, reserveLimit: 9, handLimit: "lots" } });
+    const room = await g.c.next("ROOM", m => m.options.targetPoints === 10);
+    assert.deepEqual(
+      [room.options.firstPlayer, room.options.reserveLimit, room.options.handLimit],
+      [1, 5, 10],
+    );
+    assert.equal(room.ready[1], false, "changing the options un-readies everyone");
+
+    h.c.send({ type: "READY" });
+    g.c.send({ type: "READY" });
+    const start = await g.c.next("STATE");
+    assert.equal(start.state.options.targetPoints, 10);
+    assert.equal(start.state.activePlayerIndex, 1);
+
+    h.c.send({ type: "SET_OPTIONS", options: { targetPoints: 20 } });
+    await g.c.none("ROOM", 300, m => m.options.targetPoints === 20);
+  });
+
+  test("a chosen first player keeps their pick when seats shift", async () => {
+    const h = await host("Ada");
+    const b = await join(h.roomId, "Bea");
+    const c = await join(h.roomId, "Cid");
+    h.c.send({ type: "SET_OPTIONS", options: { firstPlayer: 2 } });
+    await h.c.next("ROOM", m => m.options.firstPlayer === 2);
+
+    h.c.drain();
+    b.c.send({ type: "LEAVE_ROOM" });
+    const room = await h.c.next("ROOM", m => !m.clients[2].occupied);
+    assert.equal(room.clients[1].name, "Cid");
+    assert.equal(room.options.firstPlayer, 1);
+
+    c.c.send({ type: "LEAVE_ROOM" });
+    assert.equal((await h.c.next("ROOM", m => !m.clients[1].occupied)).options.firstPlayer, 0);
+  });
+
+  test("private rooms are only listed for their own players, but open to the link", async () => {
+    const c = await client();
+    c.send({ type: "CREATE_GAME", name: "Ida", options: { visibility: "private" } });
+    const { roomId } = await c.next("WELCOME");
+
+    const stranger = await client();
+    stranger.send({ type: "IDENTIFY", name: "Zed" });
+    const list = await stranger.next("ROOM_LIST", m => m.users.some(u => u.name === "Zed"));
+    assert.ok(!list.rooms.some(r => r.roomId === roomId));
+    assert.equal(list.users.find(u => u.name === "Ida").location, "In a private game");
+
+    // joining by room id (the invite link) still works
+    const g = await join(roomId, "Guest");
+    assert.equal(g.welcome.playerIndex, 1);
+    c.send({ type: "READY" });
+    g.c.send({ type: "READY" });
+    await g.c.next("STATE");
+
+    g.c.send({ type: "LEAVE_ROOM" });
+    const mine = await g.c.next("ROOM_LIST", m => m.rooms.some(r => r.roomId === roomId));
+    assert.equal(mine.rooms.find(r => r.roomId === roomId).options.visibility, "private");
+    assert.equal(mine.users.find(u => u.name === "Ida").location, "Ida's Game");
+    stranger.drain();
+    stranger.send({ type: "IDENTIFY", name: "Zed2" });
+    const after = await stranger.next("ROOM_LIST", m => m.users.some(u => u.name === "Zed2"));
+    assert.ok(!after.rooms.some(r => r.roomId === roomId));
+  });
+});
+
+describe("host-only operations", () => {
+  test("RENAME_ROOM: host only", async () => {
+    const h = await host();
+    const g = await join(h.roomId, "Guest");
+
+    g.c.send({ type: "RENAME_ROOM", name: "Hijacked" });
+    await h.c.none("ROOM", 300, m => m.name === "Hijacked");
+    h.c.send({ type: "RENAME_ROOM", name: "Friday Night" });
+    const room = await g.c.next("ROOM", m => m.name === "Friday Night");
+    assert.equal(room.name, "Friday Night");
+  });
+
+  test("CLOSE_ROOM: ignored from a guest, closes for everyone from the host", async () => {
+    const h = await host();
+    const g = await join(h.roomId, "Guest");
+
+    g.c.send({ type: "CLOSE_ROOM", roomId: h.roomId });
+    await g.c.none("ROOM_NOT_FOUND");
+
+    h.c.send({ type: "CLOSE_ROOM", roomId: h.roomId });
+    await h.c.next("ROOM_NOT_FOUND");
+    await g.c.next("ROOM_NOT_FOUND");
+
+    const late = await client();
+    late.send({ type: "JOIN", roomId: h.roomId });
+    await late.next("ROOM_NOT_FOUND");
+  });
+
+  test("ADD_BOT / REMOVE_BOT: host only, bots play their turns", async () => {
+    const h = await host();
+    const g = await join(h.roomId, "Guest");
+
+    g.c.send({ type: "ADD_BOT", level: "greedy" });
+    await g.c.none("ROOM", 300, m => m.clients.some(s => s.bot));
+
+    h.c.send({ type: "ADD_BOT", level: "greedy" });
+    const withBot = await h.c.next("ROOM", m => m.clients[2].bot === "greedy");
+    assert.equal(withBot.ready[2], true);
+
+    h.c.drain();
+    g.c.send({ type: "REMOVE_BOT", seat: 2 });
+    await h.c.none("ROOM", 300, m => !m.clients[2].occupied);
+
+    h.c.send({ type: "READY" });
+    g.c.send({ type: "READY" });
+    await h.c.next("STATE");
+
+    h.c.send({ type: "ACTION", action: TAKE });
+    await g.c.next("PATCH", m => m.version === 1); // else the guest may move first
+    g.c.send({ type: "ACTION", action: TAKE });
+    await h.c.next("PATCH", m => m.version === 2);
+
+    const botMove = await h.c.next("PATCH", m => m.entry.actor === 2, 5000);
+    assert.equal(botMove.version, 3);
+    assert.equal(botMove.entry.v, 3);
+  });
+});
+
+describe("room chatter", () => {
+  test("SAY reaches the room; CURSOR reaches everyone else", async () => {
+    const h = await host();
+    const g = await join(h.roomId, "Guest");
+
+    g.c.send({ type: "SAY", text: "  hello  " });
+    const msg = await h.c.next("MSG");
+    assert.equal(msg.text, "hello");
+    assert.equal(msg.name, "Guest");
+    assert.equal(msg.seat, 1);
+
+    h.c.send({ type: "CURSOR", x: 0.25, y: 0.5 });
+    const cur = await g.c.next("CURSOR");
+    assert.deepEqual([cur.clientId, cur.x, cur.y], [h.welcome.clientId, 0.25, 0.5]);
+    await h.c.none("CURSOR");
+  });
+
+  test("chat history is replayed to late joiners", async () => {
+    const h = await host();
+    h.c.send({ type: "SAY", text: "first" });
+    await h.c.next("MSG");
+
+    const g = await join(h.roomId, "Guest");
+    const hist = await g.c.next("CHAT_HISTORY");
+    assert.deepEqual(hist.messages.map(m => m.text), ["first"]);
+  });
+
+  test("IDENTIFY renames in the lobby; PING refreshes", async () => {
+    const a = await client();
+    const b = await client();
+    b.drain();
+    a.send({ type: "IDENTIFY", name: "Zed" });
+    await b.next("ROOM_LIST", m => m.users.some(u => u.name === "Zed"));
+
+    a.send({ type: "PING" });
+    await b.next("ROOM_LIST");
+  });
+
+  test("malformed input gets an ERROR", async () => {
+    const c = await client();
+    c.sendRaw("{not json");
+    assert.equal((await c.next("ERROR")).message, "Invalid JSON");
+
+    c.send({ type: "WHATEVER" });
+    assert.match((await c.next("ERROR")).message, /Unknown type/);
+
+    c.send({ type: "ACTION", action: TAKE });
+    assert.match((await c.next("ERROR")).message, /JOIN a room first/);
+  });
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { initialState } from "../engine/state.js";
+import { DEFS } from "../engine/defs.js";
+import { DEFAULT_OPTIONS, normalizeOptions } from "../engine/options.js";
+import { validateState } from "../engine/validate.js";
+import { TIERS } from "./fixtures.js";
+
+for (const n of [2, 3, 4]) {
+  test(`initialState deals a ${n}-player table`, () => {
+    const s = initialState(n, "g", 42);
+
+    assert.equal(s.players.length, n);
+    assert.equal(s.activePlayerIndex, 0);
+    assert.equal(s.turn, 1);
+    assert.equal(s.awaiting, null);
+
+    for (const tier of TIERS) assert.equal(s.market.cards[tier].length, 4);
+    assert.equal(s.decks.tier1.length, 40 - 4);
+    assert.equal(s.decks.tier2.length, 30 - 4);
+    assert.equal(s.decks.tier3.length, 20 - 4);
+
+    assert.equal(s.market.nobles.length, n + 1);
+    assert.deepEqual(s.market.bank, DEFS.TOKEN_POOL_BY_PLAYERS[n]);
+
+    for (const p of s.players) {
+      assert.equal(Object.values(p.tokens).reduce((a, b) => a + b, 0), 0);
+      assert.deepEqual([p.cards.length, p.reserved.length, p.nobles.length], [0, 0, 0]);
+    }
+  });
+}
+
+test("same seed deals the same table", () => {
+  const a = initialState(3, "a", "rematch-7");
+  const b = initialState(3, "b", "rematch-7");
+  assert.deepEqual(a.market, b.market);
+  assert.deepEqual(a.decks, b.decks);
+  assert.equal(a.seed, b.seed);
+});
+
+test("different seeds deal different tables", () => {
+  const a = initialState(2, "a", 1);
+  const b = initialState(2, "a", 2);
+  assert.notDeepEqual(a.decks.tier1, b.decks.tier1);
+});
+
+test("every card is dealt exactly once", () => {
+  const s = initialState(4, "g", 9);
+  const ids = [
+    ...TIERS.flatMap(t => s.decks[t]),
+    ...TIERS.flatMap(t => s.market.cards[t]),
+  ].map(c => c.id);
+  assert.equal(ids.length, DEFS.CARDS.length);
+  assert.equal(new Set(ids).size, DEFS.CARDS.length);
+});
+
+test("options: defaults, clamping and junk", () => {
+  assert.deepEqual(initialState(2, "g", 1).options, DEFAULT_OPTIONS);
+  assert.deepEqual(normalizeOptions({ targetPoints: 99, reserveLimit: 0, handLimit: "12", visibility: "private" }),
+    { ...DEFAULT_OPTIONS, targetPoints: 30, reserveLimit: 1, handLimit: 12, visibility: "private" });
+  assert.deepEqual(normalizeOptions({ firstPlayer: 7, visibility: "secret", targetPoints: "lots" }), DEFAULT_OPTIONS);
+  assert.deepEqual(normalizeOptions({ cities: true, tradingPosts: true }), { ...DEFAULT_OPTIONS, cities: true }); // no nobles for tp_03
+});
+
+test("options: a chosen first player starts, a missing seat falls back to seat 0", () => {
+  const s = initialState(3, "g", 1, { firstPlayer: 2 });
+  assert.equal(s.firstPlayerIndex, 2);
+  assert.equal(s.activePlayerIndex, 2);
+  assert.equal(initialState(2, "g", 1, { firstPlayer: 3 }).activePlayerIndex, 0);
+});
+
+test("options: a random first player comes from the seed, after the same deal", () => {
+  const a = initialState(4, "a", "seat-draw", { firstPlayer: "random" });
+  const b = initialState(4, "b", "seat-draw", { firstPlayer: "random" });
+  assert.equal(a.activePlayerIndex, b.activePlayerIndex);
+  assert.deepEqual(a.market, initialState(4, "c", "seat-draw").market);
+
+  const firsts = new Set();
+  for (let seed = 0; seed < 40; seed++) firsts.add(initialState(4, "g", seed, { firstPlayer: "random" }).activePlayerIndex);
+  assert.equal(firsts.size, 4);
+});
+
+test("options: the cities module deals 3 cities and no nobles", () => {
+  const s = initialState(4, "g", 1, { cities: true });
+  assert.equal(s.market.cities.length, DEFS.NUMBER_CITIES);
+  assert.equal(s.market.nobles.length, 0);
+  assert.equal(s.decks.nobles.length, DEFS.NOBLES.length);
+  assert.equal(s.decks.cities.length + s.market.cities.length, DEFS.CITIES.length);
+  assert.deepEqual(validateState(s), []);
+
+  // the base game deal is untouched
+  assert.deepEqual(initialState(4, "g", 1).market.nobles, initialState(4, "h", 1, { cities: false }).market.nobles);
+  assert.equal(initialState(4, "g", 1).market.cities, undefined);
+});
+
+test("options: the trading posts module lays out every post", () => {
+  const s = initialState(3, "g", 1, { tradingPosts: true });
+  assert.deepEqual(s.market.tradingPosts.map(p => p.id), DEFS.TRADING_POSTS.map(p => p.id));
+  assert.ok(s.players.every(p => p.coats.length === 0));
+  assert.deepEqual(validateState(s), []);
+  assert.equal(initialState(3, "g", 1).market.tradingPosts, undefined);
+});
+
+test("options: the orient module shuffles its cards into the decks", () => {
+  const s = initialState(2, "g", 1, { orient: true });
+  const ids = [
+    ...TIERS.flatMap(t => s.decks[t]),
+    ...TIERS.flatMap(t => s.market.cards[t]),
+  ].map(c => c.id);
+  assert.equal(ids.length, DEFS.CARDS.length + DEFS.ORIENT_CARDS.length);
+  assert.ok(DEFS.ORIENT_CARDS.every(c => ids.includes(c.id)));
+  assert.deepEqual(validateState(s), []);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateState } from "../engine/validate.js";
+import { viewFor } from "../engine/view.js";
+import { scenario, setTokens } from "./fixtures.js";
+
+test("a fresh table is valid", () => {
+  for (const players of [2, 3, 4]) {
+    assert.deepEqual(validateState(scenario({ players })), []);
+  }
+});
+
+test("tokens created out of thin air are reported", () => {
+  const s = scenario({}, st => setTokens(st, 0, { red: 2 }));
+  assert.deepEqual(validateState(s), ["red tokens: bank 4 + hands 2 != pool 4"]);
+});
+
+test("negative counts are reported", () => {
+  const s = scenario({}, st => { st.market.bank.blue = -1; st.players[1].tokens.blue = 5; });
+  assert.ok(validateState(s).includes("bank blue is -1"));
+});
+
+test("a duplicated card and a lost card are both reported", () => {
+  const s = scenario({}, st => {
+    st.players[0].reserved.push(st.market.cards.tier1[0]);
+    st.decks.tier2.pop();
+  });
+  const errors = validateState(s);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /in both market\.tier1 and p1\.reserved/);
+  assert.match(errors[1], /is missing/);
+});
+
+test("a noble on the board and in a hand is reported", () => {
+  const s = scenario({}, st => { st.players[1].nobles.push(st.market.nobles[0]); });
+  assert.match(validateState(s)[0], /noble n_\d+ in both market\.nobles and p2\.nobles/);
+});
+
+test("limits: reserve limit, hand limit, owed discard must add up", () => {
+  const s = scenario({}, st => {
+    st.players[0].reserved.push(...st.decks.tier1.splice(0, 4));
+    st.market.bank.white -= 4;
+    st.market.bank.blue -= 4;
+    st.market.bank.green -= 3;
+    setTokens(st, 1, { white: 4, blue: 4, green: 3 });
+  });
+  assert.deepEqual(validateState(s), ["p1 has 4 reserved", "p2 holds 11 tokens"]);
+
+  s.activePlayerIndex = 1;
+  s.awaiting = { type: "DISCARD_TOKENS", count: 2 };
+  assert.deepEqual(validateState(s), ["p1 has 4 reserved", "p2 owes 2 but holds 11"]);
+
+  // mid-turn sub-step: one over the limit (a free token) is fine, two is not
+  s.awaiting = { type: "CHOOSE_BONUS", colors: ["red"] };
+  assert.deepEqual(validateState(s), ["p1 has 4 reserved"]);
+  s.market.bank.red -= 1;
+  s.players[1].tokens.red = 1;
+  assert.deepEqual(validateState(s), ["p1 has 4 reserved", "p2 holds 12 tokens"]);
+});
+
+test("projected (per-viewer) states are flagged rather than miscounted", () => {
+  const errors = validateState(viewFor(scenario(), 0));
+  assert.ok(errors.includes("decks.tier1 is not a deck (projected state?)"));
+});